@@ -0,0 +1,134 @@
+// ============================================
+// LOCAL RUNNER
+// ============================================
+//
+// Runs processExpiredListings against the in-memory R2, a SQLite-backed D1
+// and the recorded HTTP fixtures in test/fixtures/http, then prints what
+// would have gone to Slack and the stored leads.
+//
+//   node scripts/run-local.js [options] [file.csv ...]
+//
+//   file.csv          exports to load as expired-listings/<name>.csv
+//   --r2 <dir>        mirror a directory into R2 (paths become keys, e.g.
+//                     <dir>/comps/77093.csv -> comps/77093.csv)
+//   --db <file>       keep D1 in a SQLite file between runs (default: memory)
+//   --now <date>      freeze the clock, e.g. 2026-10-19T14:00:00Z
+//   --skip-trace      submit to Tracerfy and run one skip-trace cron tick
+//
+// [vars] come from wrangler.toml; secrets get placeholder values, so every
+// outbound call must be answered by a fixture.
+
+import { readFileSync, readdirSync, statSync } from "node:fs";
+import { basename, join, relative, sep } from "node:path";
+import { parseArgs } from "node:util";
+import { mock } from "node:test";
+import { processExpiredListings } from "../src/pipeline.js";
+import { processSkipTraceJobs } from "../src/skip-trace.js";
+import { LEAD_FROM_SQL } from "../src/storage.js";
+import { createTestEnv } from "../test/helpers/env.js";
+import { createD1 } from "../test/helpers/d1.js";
+
+const FIXTURES = ["anthropic-analysis", "slack-webhook", "tracerfy-submit", "tracerfy-queue-complete", "tracerfy-results"];
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    r2: { type: "string" },
+    db: { type: "string" },
+    now: { type: "string" },
+    "skip-trace": { type: "boolean", default: false }
+  }
+});
+
+// Reads the [vars] table of wrangler.toml (string values only)
+function readWranglerVars() {
+  const vars = {};
+  let inVars = false;
+  for (const line of readFileSync(new URL("../wrangler.toml", import.meta.url), "utf8").split("\n")) {
+    const section = line.match(/^\s*\[+([^\]]+)\]+/);
+    if (section) {
+      inVars = section[1].trim() === "vars";
+      continue;
+    }
+    const entry = inVars && line.match(/^\s*([A-Z0-9_]+)\s*=\s*"(.*)"\s*$/);
+    if (entry) vars[entry[1]] = entry[2];
+  }
+  return vars;
+}
+
+function listFiles(dir) {
+  return readdirSync(dir).flatMap(name => {
+    const path = join(dir, name);
+    return statSync(path).isDirectory() ? listFiles(path) : [path];
+  });
+}
+
+function loadFiles() {
+  const files = {};
+  if (options.r2) {
+    for (const path of listFiles(options.r2)) {
+      files[relative(options.r2, path).split(sep).join("/")] = readFileSync(path);
+    }
+  }
+  for (const path of positionals) {
+    files[`expired-listings/${basename(path)}`] = readFileSync(path);
+  }
+  return files;
+}
+
+function printSlackMessage(message) {
+  const lines = [
+    message.text,
+    ...(message.blocks || []).flatMap(block => [block.text?.text, ...(block.elements || []).map(e => e.text)])
+  ].filter(text => typeof text === "string");
+  console.log(`\n--- Slack ---\n${lines.join("\n")}`);
+}
+
+async function main() {
+  if (options.now) {
+    mock.timers.enable({ apis: ["Date"], now: new Date(options.now) });
+  }
+  
+  const files = loadFiles();
+  if (!Object.keys(files).some(key => key.startsWith("expired-listings/"))) {
+    console.error("No exports to process: pass CSV files or an --r2 directory with expired-listings/");
+    process.exitCode = 1;
+    return;
+  }
+  
+  const { env, http, slackMessages, restore } = createTestEnv({
+    files,
+    fixtures: FIXTURES,
+    vars: {
+      ...readWranglerVars(),
+      ...(options["skip-trace"] ? { TRACERFY_API_KEY: "local" } : {})
+    }
+  });
+  if (options.db) env.DB = createD1(options.db);
+  
+  try {
+    await processExpiredListings(env, { trigger: "manual" });
+    if (options["skip-trace"]) await processSkipTraceJobs(env);
+    
+    slackMessages().forEach(printSlackMessage);
+    
+    const { results } = await env.DB.prepare(
+      `SELECT l.id, l.urgency_score AS score, l.address, c.phone,
+        json_extract(a.analysis, '$.firstContactChannel') AS channel
+      FROM ${LEAD_FROM_SQL} ORDER BY l.urgency_score DESC, l.id`
+    ).all();
+    console.log("\n--- Leads ---");
+    console.table(results);
+    
+    if (http.unmatched.length > 0) {
+      console.log(`\nRequests with no fixture (answered 501):\n${http.unmatched.join("\n")}`);
+    }
+  } finally {
+    restore();
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
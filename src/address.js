@@ -0,0 +1,103 @@
+// ============================================
+// ADDRESS NORMALIZATION
+// ============================================
+
+const STREET_SUFFIXES = {
+  avenue: "ave", av: "ave", boulevard: "blvd", circle: "cir", court: "ct", cove: "cv",
+  crossing: "xing", drive: "dr", expressway: "expy", freeway: "fwy", highway: "hwy",
+  lane: "ln", loop: "loop", parkway: "pkwy", pkway: "pkwy", place: "pl", plaza: "plz",
+  point: "pt", road: "rd", square: "sq", street: "st", str: "st", terrace: "ter",
+  trail: "trl", way: "way", bend: "bnd", glen: "gln", hollow: "holw", ridge: "rdg"
+};
+
+const STREET_DIRECTIONALS = {
+  north: "n", south: "s", east: "e", west: "w",
+  northeast: "ne", northwest: "nw", southeast: "se", southwest: "sw"
+};
+
+const UNIT_DESIGNATORS = new Set(["apt", "apartment", "unit", "ste", "suite", "bldg", "building", "lot", "no", "#"]);
+
+// Splits a street address into comparable parts:
+// "1234 North Oak Street Apt 5B" -> { number: "1234", direction: "n", name: "oak", suffix: "st", unit: "5b" }
+function parseStreetAddress(address) {
+  const tokens = (address || "")
+    .toLowerCase()
+    .replace(/#/g, " # ")
+    .replace(/[.,]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  
+  const parts = { number: "", direction: "", name: "", suffix: "", unit: "" };
+  if (tokens.length > 0 && /^\d+[a-z]?$/.test(tokens[0])) {
+    parts.number = tokens.shift();
+  }
+  
+  // Anything after a unit designator is the unit
+  const unitIndex = tokens.findIndex(t => UNIT_DESIGNATORS.has(t));
+  if (unitIndex !== -1) {
+    parts.unit = tokens.slice(unitIndex + 1).filter(t => !UNIT_DESIGNATORS.has(t)).join("");
+    tokens.splice(unitIndex);
+  }
+  
+  const directions = [];
+  const nameTokens = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = STREET_DIRECTIONALS[tokens[i]] || tokens[i];
+    const isDirection = Object.values(STREET_DIRECTIONALS).includes(token);
+    // A directional is only a directional at either end of the street name
+    if (isDirection && (i === 0 || i === tokens.length - 1) && tokens.length > 1) {
+      directions.push(token);
+    } else {
+      nameTokens.push(token);
+    }
+  }
+  
+  if (nameTokens.length > 1) {
+    const last = nameTokens[nameTokens.length - 1];
+    const suffix = STREET_SUFFIXES[last] || (Object.values(STREET_SUFFIXES).includes(last) ? last : "");
+    if (suffix) {
+      parts.suffix = suffix;
+      nameTokens.pop();
+    }
+  }
+  
+  parts.direction = directions.join("");
+  parts.name = nameTokens.join(" ");
+  return parts;
+}
+
+// Exact-match key for joining to other datasets: "1234 n oak st". Units are
+// left out - they share the building's geocode and appraisal account.
+export function getStreetAddressKey(address) {
+  const { number, direction, name, suffix } = parseStreetAddress(address);
+  return number && name ? [number, direction, name, suffix].filter(Boolean).join(" ") : "";
+}
+
+// 0..1 similarity between two street addresses. Different house numbers never match.
+export function compareStreetAddresses(a, b) {
+  const left = parseStreetAddress(a);
+  const right = parseStreetAddress(b);
+  if (!left.number || left.number !== right.number || !left.name || !right.name) return 0;
+  
+  let score = 0;
+  
+  // Street name: 0.5, partial credit for shared words
+  if (left.name === right.name) {
+    score += 0.5;
+  } else {
+    const leftWords = new Set(left.name.split(" "));
+    const rightWords = new Set(right.name.split(" "));
+    const shared = [...leftWords].filter(w => rightWords.has(w)).length;
+    score += 0.5 * shared / Math.max(leftWords.size, rightWords.size);
+  }
+  
+  // Suffix and directional: full credit when equal, half when one side omits it
+  const partial = (x, y, weight) => (x === y ? weight : !x || !y ? weight * 0.5 : 0);
+  score += partial(left.suffix, right.suffix, 0.1);
+  score += partial(left.direction, right.direction, 0.15);
+  
+  // Unit must agree exactly; a unit on one side only could be any unit in the building
+  score += left.unit === right.unit ? 0.25 : 0;
+  
+  return Math.round(score * 100) / 100;
+}
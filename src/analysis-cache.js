@@ -0,0 +1,144 @@
+// ============================================
+// CLAUDE ANALYSIS CACHE & COST TRACKING
+// ============================================
+
+// Default model; override with the CLAUDE_MODEL var
+export const CLAUDE_MODEL = "claude-sonnet-4-20250514";
+
+export const DEFAULT_CLAUDE_CONCURRENCY = 4;
+
+// USD per million tokens
+const CLAUDE_PRICING = {
+  "claude-sonnet-4-20250514": { input: 3, output: 15 }
+};
+
+// Fields that change what Claude would say about a listing
+const ANALYSIS_MATERIAL_FIELDS = [
+  "price", "daysOnMarket", "cumulativeDaysOnMarket", "bedrooms", "bathrooms", "sqft",
+  "yearBuilt", "listingAgent", "listingOffice", "status", "expiredDate", "ownerName", "priceGapPct", "appraisal",
+  "timelineSummary"
+];
+
+// A new model or prompt template invalidates earlier analyses too
+export async function getAnalysisCacheKey(listing, config) {
+  const material = ANALYSIS_MATERIAL_FIELDS.map(field => listing[field] ?? "");
+  const hash = await sha256Hex(JSON.stringify([config.model, config.templateHash, ...material]));
+  return `${listing.mlsNumber || listing.leadKey}:${hash.slice(0, 32)}`;
+}
+
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function getCachedAnalysis(db, cacheKey) {
+  try {
+    const row = await db.prepare(`SELECT analysis FROM analysis_cache WHERE cache_key = ?`)
+      .bind(cacheKey).first();
+    return row ? JSON.parse(row.analysis) : null;
+  } catch (error) {
+    console.error("Analysis cache read error:", error);
+    return null;
+  }
+}
+
+export async function cacheAnalysis(db, cacheKey, listing, analysis, model) {
+  try {
+    await db.prepare(
+      `INSERT OR REPLACE INTO analysis_cache (cache_key, mls_number, model, analysis, created_at)
+       VALUES (?, ?, ?, ?, datetime('now'))`
+    ).bind(cacheKey, listing.mlsNumber || null, model, JSON.stringify(analysis)).run();
+  } catch (error) {
+    console.error("Analysis cache write error:", error);
+  }
+}
+
+export function estimateClaudeCost(model, inputTokens, outputTokens) {
+  const pricing = CLAUDE_PRICING[model] || CLAUDE_PRICING[CLAUDE_MODEL];
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+}
+
+// Accumulates one run's usage; monthSpend covers runs already recorded this month
+export async function createClaudeUsageTracker(env) {
+  const monthlyBudget = parseFloat(env.CLAUDE_MONTHLY_BUDGET_USD) || null;
+  let monthSpend = 0;
+  
+  try {
+    const row = await env.DB.prepare(
+      `SELECT COALESCE(SUM(cost_usd), 0) as spend FROM claude_usage
+       WHERE created_at >= datetime('now', 'start of month')`
+    ).first();
+    monthSpend = row?.spend || 0;
+  } catch (error) {
+    console.error("Claude usage read error:", error);
+  }
+  
+  return {
+    runId: crypto.randomUUID(),
+    model: env.CLAUDE_MODEL || CLAUDE_MODEL,
+    monthlyBudget,
+    monthSpend,
+    requests: 0,
+    cacheHits: 0,
+    skippedForBudget: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUsd: 0,
+    reservedUsd: 0,
+    add(callUsage) {
+      if (!callUsage?.requests) return;
+      this.requests += callUsage.requests;
+      this.inputTokens += callUsage.inputTokens;
+      this.outputTokens += callUsage.outputTokens;
+      this.costUsd += estimateClaudeCost(callUsage.model, callUsage.inputTokens, callUsage.outputTokens);
+    },
+    // Holds a call's worst-case cost against the budget while it is in flight
+    reserve(costUsd) {
+      if (this.monthlyBudget !== null && this.monthSpend + this.costUsd + this.reservedUsd + costUsd > this.monthlyBudget) {
+        return false;
+      }
+      this.reservedUsd += costUsd;
+      return true;
+    },
+    release(costUsd) {
+      this.reservedUsd -= costUsd;
+    }
+  };
+}
+
+export async function recordClaudeUsage(db, usage) {
+  if (usage.requests === 0 && usage.cacheHits === 0 && usage.skippedForBudget === 0) return;
+  
+  try {
+    await db.prepare(
+      `INSERT INTO claude_usage (run_id, model, requests, cache_hits, skipped_for_budget, input_tokens, output_tokens, cost_usd)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    ).bind(
+      usage.runId,
+      usage.model || CLAUDE_MODEL,
+      usage.requests,
+      usage.cacheHits,
+      usage.skippedForBudget,
+      usage.inputTokens,
+      usage.outputTokens,
+      usage.costUsd
+    ).run();
+  } catch (error) {
+    console.error("Claude usage insert error:", error);
+  }
+}
+
+export function formatClaudeUsage(usage) {
+  const tokens = n => (n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n));
+  let text = `🤖 Claude: ${usage.requests} calls, ${usage.cacheHits} cached | ` +
+             `${tokens(usage.inputTokens)} in / ${tokens(usage.outputTokens)} out tokens | $${usage.costUsd.toFixed(2)}`;
+  
+  const monthTotal = usage.monthSpend + usage.costUsd;
+  text += usage.monthlyBudget !== null
+    ? ` (month: $${monthTotal.toFixed(2)} of $${usage.monthlyBudget})`
+    : ` (month: $${monthTotal.toFixed(2)})`;
+  if (usage.skippedForBudget > 0) {
+    text += `\n⚠️ Monthly budget reached - ${usage.skippedForBudget} listings not analyzed`;
+  }
+  return text;
+}
@@ -0,0 +1,359 @@
+// ============================================
+// CLAUDE AI ANALYSIS
+// ============================================
+
+import { httpFetch } from "./http.js";
+import { formatPriceGap } from "./comps.js";
+import { formatListingProfile } from "./profiles.js";
+import { formatAppraisalProfile } from "./appraisal.js";
+import {
+  cacheAnalysis,
+  CLAUDE_MODEL,
+  DEFAULT_CLAUDE_CONCURRENCY,
+  estimateClaudeCost,
+  getAnalysisCacheKey,
+  getCachedAnalysis,
+  sha256Hex
+} from "./analysis-cache.js";
+
+// Default prompt; override by uploading a template to R2 at ANALYSIS_PROMPT_KEY.
+// {{placeholders}} are filled from buildAnalysisPromptValues().
+const DEFAULT_ANALYSIS_PROMPT = `You are analyzing an expired listing for {{agentName}}, {{agentBio}}.
+
+PROPERTY DETAILS:
+- Address: {{address}}, {{city}}, {{state}} {{zip}}
+- Price: \${{price}}
+- Beds/Baths: {{bedrooms}}/{{bathrooms}}
+- SqFt: {{sqft}}
+- Year Built: {{yearBuilt}}
+- Days on Market: {{daysOnMarket}} (Cumulative: {{cumulativeDaysOnMarket}})
+- Listing History: {{timelineLine}}
+- Comparables: {{compsLine}}
+- Previous Agent: {{listingAgent}} at {{listingOffice}}
+- Owner Profile: {{ownerProfileLine}}
+- Previous Agent Track Record: {{agentProfileLine}}
+- Brokerage Track Record: {{officeProfileLine}}
+- Expired: {{expiredDate}}
+{{ownerLine}}
+- Contact info on file: {{contactChannels}}
+
+URGENCY SCORE: {{urgencyScore}}/10
+
+Record a brief, direct and practical analysis with the record_listing_analysis tool:
+- failureReasons: 2-3 specific reasons it didn't sell, based on the data
+- positioningAngle: how {{agentName}} should position against the previous agent - specific and actionable
+- talkingPoints: 3 key points for the initial call
+- suggestedListPriceRange: a realistic list price range in whole dollars, grounded in the comparables when there are any
+- objectionHandlers: the 2-3 objections this seller is most likely to raise, each with a response
+- firstContactChannel: the best first channel given the contact info on file`;
+
+export const FIRST_CONTACT_CHANNELS = ["call", "text", "email", "letter", "door_knock"];
+
+const ANALYSIS_MAX_TOKENS = 1024;
+const ANALYSIS_MAX_ATTEMPTS = 2;
+
+const ANALYSIS_TOOL = {
+  name: "record_listing_analysis",
+  description: "Record the structured analysis of an expired listing.",
+  input_schema: {
+    type: "object",
+    properties: {
+      failureReasons: {
+        type: "array",
+        items: { type: "string" },
+        description: "Specific reasons the listing did not sell"
+      },
+      positioningAngle: {
+        type: "string",
+        description: "How to position against the previous agent"
+      },
+      talkingPoints: {
+        type: "array",
+        items: { type: "string" },
+        description: "Key points for the first conversation"
+      },
+      suggestedListPriceRange: {
+        type: "object",
+        properties: {
+          low: { type: "number" },
+          high: { type: "number" }
+        },
+        required: ["low", "high"]
+      },
+      objectionHandlers: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            objection: { type: "string" },
+            response: { type: "string" }
+          },
+          required: ["objection", "response"]
+        }
+      },
+      firstContactChannel: {
+        type: "string",
+        enum: FIRST_CONTACT_CHANNELS
+      }
+    },
+    required: [
+      "failureReasons", "positioningAngle", "talkingPoints",
+      "suggestedListPriceRange", "objectionHandlers", "firstContactChannel"
+    ]
+  }
+};
+
+// Model, prompt template and agent details for this run
+async function loadAnalysisConfig(env) {
+  let template = DEFAULT_ANALYSIS_PROMPT;
+  const key = env.ANALYSIS_PROMPT_KEY || "config/analysis-prompt.txt";
+  
+  try {
+    const object = await env.R2_BUCKET.get(key);
+    if (object) {
+      template = await object.text();
+      console.log(`Loaded analysis prompt template from ${key}`);
+    }
+  } catch (error) {
+    console.error("Analysis prompt load error:", error.message || error);
+  }
+  
+  return {
+    model: env.CLAUDE_MODEL || CLAUDE_MODEL,
+    template,
+    templateHash: (await sha256Hex(template)).slice(0, 12),
+    agentName: env.AGENT_NAME || "the agent",
+    agentBio: env.AGENT_BIO || "a Realtor"
+  };
+}
+
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (values[name] ?? "").toString());
+}
+
+function buildAnalysisPromptValues(listing, config) {
+  const channels = [
+    listing.ownerPhone ? "phone" : "",
+    listing.ownerEmail ? "email" : "",
+    "mailing address"
+  ].filter(Boolean).join(", ");
+  
+  const comps = listing.comps;
+  const compsLine = comps?.basis
+    ? `${formatPriceGap(comps)} - median $${comps.medianPpsf}/sqft across ${comps.basis === "sold" ? comps.soldCount : comps.activeCount} ` +
+      `${comps.basis} comps vs $${comps.listPpsf}/sqft listed (comp value ~$${comps.compValue.toLocaleString("en-US")})`
+    : "not enough nearby comps";
+  
+  return {
+    ...listing,
+    compsLine,
+    timelineLine: listing.timelineSummary || "no earlier price changes or listings on record",
+    agentProfileLine: formatListingProfile(listing.agentProfile, "agent") || "no earlier expireds on record",
+    officeProfileLine: formatListingProfile(listing.officeProfile, "brokerage") || "no earlier expireds on record",
+    agentName: config.agentName,
+    agentBio: config.agentBio,
+    ownerLine: listing.ownerName ? `- Owner: ${listing.ownerName}`
+      : listing.appraisal?.ownerName ? `- Owner: ${listing.appraisal.ownerName} (per appraisal district)` : "",
+    ownerProfileLine: formatAppraisalProfile(listing.appraisal) || "no appraisal record matched",
+    contactChannels: channels
+  };
+}
+
+// Returns a list of problems with the tool input; empty when it is usable
+function validateAnalysis(input) {
+  const errors = [];
+  const isText = v => typeof v === "string" && v.trim().length > 0;
+  
+  if (!input || typeof input !== "object") {
+    return ["analysis must be an object"];
+  }
+  if (!Array.isArray(input.failureReasons) || input.failureReasons.length === 0 || !input.failureReasons.every(isText)) {
+    errors.push("failureReasons must be a non-empty array of strings");
+  }
+  if (!isText(input.positioningAngle)) {
+    errors.push("positioningAngle must be a non-empty string");
+  }
+  if (!Array.isArray(input.talkingPoints) || input.talkingPoints.length === 0 || !input.talkingPoints.every(isText)) {
+    errors.push("talkingPoints must be a non-empty array of strings");
+  }
+  const range = input.suggestedListPriceRange;
+  if (!range || typeof range.low !== "number" || typeof range.high !== "number" || range.low <= 0 || range.high < range.low) {
+    errors.push("suggestedListPriceRange must have numeric low > 0 and high >= low");
+  }
+  if (!Array.isArray(input.objectionHandlers) || !input.objectionHandlers.every(h => isText(h?.objection) && isText(h?.response))) {
+    errors.push("objectionHandlers must be an array of { objection, response } strings");
+  }
+  if (!FIRST_CONTACT_CHANNELS.includes(input.firstContactChannel)) {
+    errors.push(`firstContactChannel must be one of: ${FIRST_CONTACT_CHANNELS.join(", ")}`);
+  }
+  return errors;
+}
+
+// Upper bound on one listing's cost: every attempt uses all of max_tokens and
+// the retry resends the first exchange. Three characters a token over-counts.
+function estimateMaxAnalysisCost(model, prompt) {
+  const promptTokens = Math.ceil((prompt.length + JSON.stringify(ANALYSIS_TOOL).length) / 3);
+  let cost = 0;
+  for (let attempt = 0; attempt < ANALYSIS_MAX_ATTEMPTS; attempt++) {
+    cost += estimateClaudeCost(model, promptTokens + attempt * (promptTokens + ANALYSIS_MAX_TOKENS), ANALYSIS_MAX_TOKENS);
+  }
+  return cost;
+}
+
+// Adds each response's tokens to usage as soon as it arrives, so a later
+// failure still counts what was spent
+async function analyzeListingWithClaude(listing, prompt, apiKey, config, usage) {
+  const messages = [{ role: "user", content: prompt }];
+  const failed = { positioningAngle: "Analysis failed", talkingPoints: [], failed: true };
+  
+  try {
+    // One retry when the tool input fails validation, with the errors fed back
+    for (let attempt = 0; attempt < ANALYSIS_MAX_ATTEMPTS; attempt++) {
+      const response = await fetchWithRetry("https://api.anthropic.com/v1/messages", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": "2023-06-01"
+        },
+        body: JSON.stringify({
+          model: config.model,
+          max_tokens: ANALYSIS_MAX_TOKENS,
+          tools: [ANALYSIS_TOOL],
+          tool_choice: { type: "tool", name: ANALYSIS_TOOL.name },
+          messages
+        })
+      });
+      
+      if (!response.ok) {
+        console.error("Claude API error:", await response.text());
+        return failed;
+      }
+      
+      const result = await response.json();
+      usage.model = result.model || config.model;
+      usage.inputTokens += result.usage?.input_tokens || 0;
+      usage.outputTokens += result.usage?.output_tokens || 0;
+      usage.requests++;
+      
+      const toolUse = (result.content || []).find(block => block.type === "tool_use");
+      const errors = toolUse ? validateAnalysis(toolUse.input) : ["no record_listing_analysis tool call in response"];
+      if (errors.length === 0) {
+        const input = toolUse.input;
+        return {
+          failureReasons: input.failureReasons.map(r => r.trim()),
+          positioningAngle: input.positioningAngle.trim(),
+          talkingPoints: input.talkingPoints.map(p => p.trim()),
+          suggestedListPriceRange: {
+            low: Math.round(input.suggestedListPriceRange.low),
+            high: Math.round(input.suggestedListPriceRange.high)
+          },
+          objectionHandlers: input.objectionHandlers.map(h => ({
+            objection: h.objection.trim(),
+            response: h.response.trim()
+          })),
+          firstContactChannel: input.firstContactChannel,
+          model: usage.model,
+          promptVersion: config.templateHash
+        };
+      }
+      
+      console.error(`Invalid analysis for ${listing.address} (attempt ${attempt + 1}):`, errors.join("; "));
+      if (!toolUse) break;
+      messages.push(
+        { role: "assistant", content: result.content },
+        {
+          role: "user",
+          content: [{
+            type: "tool_result",
+            tool_use_id: toolUse.id,
+            is_error: true,
+            content: `Invalid input: ${errors.join("; ")}. Call ${ANALYSIS_TOOL.name} again with corrected input.`
+          }]
+        }
+      );
+    }
+    
+    return failed;
+  } catch (error) {
+    console.error("Claude analysis error:", error);
+    return failed;
+  }
+}
+
+// Analyzes listings a few at a time, reusing cached analyses for listings
+// whose material fields haven't changed. A call only starts when its worst-case
+// cost still fits in the monthly budget.
+export async function analyzeListings(env, listings, usage) {
+  const concurrency = parseInt(env.CLAUDE_CONCURRENCY) || DEFAULT_CLAUDE_CONCURRENCY;
+  const config = await loadAnalysisConfig(env);
+  usage.model = config.model;
+  
+  await mapWithConcurrency(listings, concurrency, async (listing, i) => {
+    const cacheKey = await getAnalysisCacheKey(listing, config);
+    const cached = await getCachedAnalysis(env.DB, cacheKey);
+    if (cached) {
+      console.log(`Analysis ${i + 1}/${listings.length}: cache hit for ${listing.address}`);
+      listing.analysis = cached;
+      usage.cacheHits++;
+      return;
+    }
+    
+    const prompt = renderTemplate(config.template, buildAnalysisPromptValues(listing, config));
+    const maxCost = estimateMaxAnalysisCost(config.model, prompt);
+    if (!usage.reserve(maxCost)) {
+      listing.analysis = { positioningAngle: "Not analyzed - monthly Claude budget reached", talkingPoints: [] };
+      usage.skippedForBudget++;
+      return;
+    }
+    
+    console.log(`Analyzing ${i + 1}/${listings.length}: ${listing.address}`);
+    const callUsage = { model: config.model, inputTokens: 0, outputTokens: 0, requests: 0 };
+    try {
+      listing.analysis = await analyzeListingWithClaude(listing, prompt, env.ANTHROPIC_API_KEY, config, callUsage);
+    } finally {
+      usage.release(maxCost);
+      usage.add(callUsage);
+    }
+    
+    if (!listing.analysis.failed) {
+      await cacheAnalysis(env.DB, cacheKey, listing, listing.analysis, config.model);
+    }
+  });
+  
+  if (usage.skippedForBudget > 0) {
+    console.error(`Claude monthly budget of $${usage.monthlyBudget} reached: ${usage.skippedForBudget} listings not analyzed`);
+  }
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Retries 429 (rate limited) and 529 (overloaded) with exponential backoff,
+// honoring retry-after when the API sends it
+async function fetchWithRetry(url, init, { retries = 4, baseDelayMs = 2000 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await httpFetch(url, init);
+    if (![429, 529].includes(response.status) || attempt >= retries) {
+      return response;
+    }
+    
+    const retryAfter = parseFloat(response.headers.get("retry-after"));
+    const delay = retryAfter > 0
+      ? retryAfter * 1000
+      : baseDelayMs * 2 ** attempt + Math.floor(Math.random() * 500);
+    console.log(`Claude API returned ${response.status}, retrying in ${Math.round(delay / 1000)}s`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
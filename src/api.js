@@ -0,0 +1,423 @@
+// ============================================
+// REST API
+// ============================================
+
+import { getAgentRoute, listAgents, loadTerritoryConfig } from "./territories.js";
+import { listListingProfiles } from "./profiles.js";
+import { getSkipTraceStats, mergeContactInfo } from "./skip-trace.js";
+import { formatPipelineRun, listPipelineRuns, retryPipelineRun } from "./pipeline-runs.js";
+import { handleUpload } from "./uploads.js";
+import { ensureSchema, getSchemaStatus } from "./migrations.js";
+import { updateLeadRecord } from "./leads.js";
+import {
+  applyOptOutToLeads,
+  DNC_API_SOURCE,
+  DNC_REPLY_SOURCE,
+  normalizePhone,
+  scrubContactPhones
+} from "./dnc.js";
+import { formatDraft, getDraft, listDrafts, updateDraft } from "./outreach.js";
+import { listWebhookDeliveries, retryWebhookDelivery } from "./integrations.js";
+import { buildPropertyTimeline, formatTimelineSummary, loadLeadSightings } from "./timeline.js";
+import { LEAD_FROM_SQL, LEAD_HAS_CONTACT_SQL, LEAD_SELECT_SQL, readLeadRow } from "./storage.js";
+
+// Statuses a person can move a lead through ("relisted" is set by the pipeline)
+const LEAD_STATUSES = ["new", "contacted", "appointment", "listed", "dead"];
+
+const LEAD_SORTS = {
+  score: "l.urgency_score DESC, l.id DESC",
+  gathered: "l.created_at DESC, l.id DESC",
+  price: "l.list_price DESC, l.id DESC"
+};
+
+export async function handleApiRequest(request, env, url, ctx) {
+  if (!isAuthorized(request, env.API_TOKEN)) {
+    return jsonResponse({ error: "Unauthorized" }, 401);
+  }
+  
+  try {
+    const path = url.pathname.replace(/\/+$/, "");
+    // Uploads migrate only when they store something, so a dry run stays read-only
+    if (path === "/api/uploads" && request.method === "POST") {
+      return await handleUpload(request, env, ctx, url.searchParams);
+    }
+    
+    await ensureSchema(env.DB);
+    
+    if (path === "/api/schema" && request.method === "GET") {
+      return jsonResponse(await getSchemaStatus(env.DB));
+    }
+    
+    if (path === "/api/leads" && request.method === "GET") {
+      return await listLeads(env.DB, url.searchParams);
+    }
+    
+    if (path === "/api/skip-trace/stats" && request.method === "GET") {
+      return jsonResponse({ providers: await getSkipTraceStats(env.DB) });
+    }
+    
+    if (path === "/api/dnc/lists" && request.method === "GET") {
+      return await listDncLists(env.DB);
+    }
+    if (path === "/api/dnc/opt-out" && request.method === "POST") {
+      return await addOptOut(env, request);
+    }
+    
+    if (path === "/api/pipeline/runs" && request.method === "GET") {
+      return await listPipelineRuns(env.DB, url.searchParams);
+    }
+    const runMatch = path.match(/^\/api\/pipeline\/runs\/(\d+)(\/retry)?$/);
+    if (runMatch && !runMatch[2] && request.method === "GET") {
+      const run = await env.DB.prepare(`SELECT * FROM pipeline_runs WHERE id = ?`).bind(parseInt(runMatch[1])).first();
+      return run ? jsonResponse(formatPipelineRun(run)) : jsonResponse({ error: "Run not found" }, 404);
+    }
+    if (runMatch && runMatch[2] && request.method === "POST") {
+      return await retryPipelineRun(env, ctx, parseInt(runMatch[1]));
+    }
+    
+    if (path === "/api/webhooks/deliveries" && request.method === "GET") {
+      return await listWebhookDeliveries(env.DB, url.searchParams);
+    }
+    const deliveryMatch = path.match(/^\/api\/webhooks\/deliveries\/(\d+)\/retry$/);
+    if (deliveryMatch && request.method === "POST") {
+      return await retryWebhookDelivery(env.DB, parseInt(deliveryMatch[1]));
+    }
+    
+    if (path === "/api/drafts" && request.method === "GET") {
+      return await listDrafts(env.DB, url.searchParams);
+    }
+    const draftMatch = path.match(/^\/api\/drafts\/(\d+)$/);
+    if (draftMatch && request.method === "GET") {
+      const draft = await getDraft(env.DB, parseInt(draftMatch[1]));
+      return draft ? jsonResponse(formatDraft(draft)) : jsonResponse({ error: "Draft not found" }, 404);
+    }
+    if (draftMatch && request.method === "PATCH") {
+      return await updateDraft(env, parseInt(draftMatch[1]), request);
+    }
+    
+    const profileMatch = path.match(/^\/api\/profiles\/(agents|brokerages)$/);
+    if (profileMatch && request.method === "GET") {
+      return await listListingProfiles(env.DB, profileMatch[1], url.searchParams);
+    }
+    
+    if (path === "/api/agents" && request.method === "GET") {
+      return await listAgents(env);
+    }
+    const agentRouteMatch = path.match(/^\/api\/agents\/([^/]+)\/route$/);
+    if (agentRouteMatch && request.method === "GET") {
+      return await getAgentRoute(env, decodeURIComponent(agentRouteMatch[1]), url.searchParams);
+    }
+    
+    const timelineMatch = path.match(/^\/api\/leads\/(\d+)\/timeline$/);
+    if (timelineMatch && request.method === "GET") {
+      return await getLeadTimeline(env.DB, parseInt(timelineMatch[1]));
+    }
+    
+    const leadMatch = path.match(/^\/api\/leads\/(\d+)$/);
+    if (leadMatch && request.method === "GET") {
+      return await getLead(env.DB, parseInt(leadMatch[1]));
+    }
+    if (leadMatch && request.method === "PATCH") {
+      return await updateLead(env, parseInt(leadMatch[1]), request);
+    }
+    
+    return jsonResponse({ error: "Not found" }, 404);
+  } catch (error) {
+    console.error("API error:", error);
+    return jsonResponse({ error: "Internal error" }, 500);
+  }
+}
+
+export function isAuthorized(request, token) {
+  if (!token) return false;
+  const header = request.headers.get("Authorization") || "";
+  return timingSafeEqual(header.replace(/^Bearer\s+/i, ""), token);
+}
+
+// Constant-time comparison so secrets can't be guessed byte by byte
+export function timingSafeEqual(provided, expected) {
+  if (provided.length !== expected.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= provided.charCodeAt(i) ^ expected.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+export function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+// The request's JSON body when it is an object; null for anything else
+// (invalid JSON, null, arrays, strings, numbers)
+export async function readJsonObject(request) {
+  try {
+    const body = await request.json();
+    return body && typeof body === "object" && !Array.isArray(body) ? body : null;
+  } catch {
+    return null;
+  }
+}
+
+async function listLeads(db, params) {
+  const filters = buildLeadFilters(params);
+  if (filters.error) {
+    return jsonResponse({ error: filters.error }, 400);
+  }
+  
+  const limit = Math.min(Math.max(parseInt(params.get("limit")) || 50, 1), 200);
+  const offset = Math.max(parseInt(params.get("offset")) || 0, 0);
+  const orderBy = LEAD_SORTS[params.get("sort")] || LEAD_SORTS.score;
+  const where = filters.conditions.length > 0 ? `WHERE ${filters.conditions.join(" AND ")}` : "";
+  
+  const [countResult, rowsResult] = await db.batch([
+    db.prepare(`SELECT COUNT(*) as total FROM ${LEAD_FROM_SQL} ${where}`).bind(...filters.bindings),
+    db.prepare(
+      `${LEAD_SELECT_SQL} ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`
+    ).bind(...filters.bindings, limit, offset)
+  ]);
+  
+  const total = countResult.results[0]?.total || 0;
+  return jsonResponse({
+    total,
+    limit,
+    offset,
+    nextOffset: offset + limit < total ? offset + limit : null,
+    leads: rowsResult.results.map(row => formatLead(row, { full: false }))
+  });
+}
+
+// WHERE conditions over LEAD_FROM_SQL
+export function buildLeadFilters(params) {
+  const conditions = [];
+  const bindings = [];
+  
+  const numberFilters = [
+    ["min_score", "l.urgency_score >= ?"],
+    ["max_score", "l.urgency_score <= ?"],
+    ["min_price", "l.list_price >= ?"],
+    ["max_price", "l.list_price <= ?"]
+  ];
+  for (const [name, condition] of numberFilters) {
+    if (!params.has(name)) continue;
+    const value = parseFloat(params.get(name));
+    if (Number.isNaN(value)) {
+      return { error: `${name} must be a number` };
+    }
+    conditions.push(condition);
+    bindings.push(value);
+  }
+  
+  if (params.has("zip")) {
+    const zips = params.get("zip").split(",").map(z => z.trim()).filter(Boolean);
+    conditions.push(`l.zip IN (${zips.map(() => "?").join(", ")})`);
+    bindings.push(...zips);
+  }
+  
+  if (params.has("agent")) {
+    const agent = params.get("agent").trim();
+    conditions.push(agent === "none" ? "l.agent_id IS NULL" : "l.agent_id = ?");
+    if (agent !== "none") bindings.push(agent);
+  }
+  
+  if (params.has("city")) {
+    conditions.push("LOWER(l.city) = LOWER(?)");
+    bindings.push(params.get("city").trim());
+  }
+  
+  if (params.has("status")) {
+    const statuses = params.get("status").split(",").map(s => s.trim()).filter(Boolean);
+    conditions.push(`l.status IN (${statuses.map(() => "?").join(", ")})`);
+    bindings.push(...statuses);
+  }
+  
+  const dateFilters = [
+    ["gathered_after", "l.created_at >= datetime(?)"],
+    ["gathered_before", "l.created_at < datetime(?)"]
+  ];
+  for (const [name, condition] of dateFilters) {
+    if (!params.has(name)) continue;
+    const value = params.get(name);
+    if (Number.isNaN(Date.parse(value))) {
+      return { error: `${name} must be a date (YYYY-MM-DD)` };
+    }
+    conditions.push(condition);
+    bindings.push(value);
+  }
+  
+  if (params.get("needs_review") === "true") {
+    conditions.push("c.review IS NOT NULL");
+  }
+  
+  if (params.has("has_contact")) {
+    conditions.push(params.get("has_contact") === "false" ? `NOT ${LEAD_HAS_CONTACT_SQL}` : LEAD_HAS_CONTACT_SQL);
+  }
+  
+  return { conditions, bindings };
+}
+
+async function getLead(db, id) {
+  const [leadResult, historyResult, sightingsResult, touchesResult] = await db.batch([
+    db.prepare(`${LEAD_SELECT_SQL} WHERE l.id = ?`).bind(id),
+    db.prepare(
+      `SELECT from_status, to_status, source, changed_at FROM lead_status_history
+       WHERE intelligence_id = ? ORDER BY id ASC`
+    ).bind(id),
+    db.prepare(
+      `SELECT csv_filename, price, dom, cdom, listing_status, seen_at FROM listing_sightings
+       WHERE intelligence_id = ? ORDER BY id ASC`
+    ).bind(id),
+    db.prepare(
+      `SELECT cadence, step, channel, due_date, status, completed_at FROM lead_touches
+       WHERE intelligence_id = ? ORDER BY step ASC`
+    ).bind(id)
+  ]);
+  
+  const row = leadResult.results[0];
+  if (!row) {
+    return jsonResponse({ error: "Lead not found" }, 404);
+  }
+  
+  return jsonResponse({
+    ...formatLead(row, { full: true }),
+    statusHistory: historyResult.results,
+    sightings: sightingsResult.results,
+    touches: touchesResult.results
+  });
+}
+
+// Price changes, status changes and listings across every export the
+// property appeared in
+async function getLeadTimeline(db, id) {
+  const lead = await db.prepare(`SELECT id, lead_key, address, zip FROM leads WHERE id = ?`).bind(id).first();
+  if (!lead) {
+    return jsonResponse({ error: "Lead not found" }, 404);
+  }
+  
+  const timeline = buildPropertyTimeline(await loadLeadSightings(db, lead));
+  return jsonResponse({ leadId: id, summary: formatTimelineSummary(timeline), ...timeline });
+}
+
+async function updateLead(env, id, request) {
+  const db = env.DB;
+  const body = await readJsonObject(request);
+  if (!body) {
+    return jsonResponse({ error: "Body must be a JSON object" }, 400);
+  }
+  
+  if (body.status !== undefined && !LEAD_STATUSES.includes(body.status)) {
+    return jsonResponse({ error: `status must be one of: ${LEAD_STATUSES.join(", ")}` }, 400);
+  }
+  if (body.note !== undefined && (typeof body.note !== "string" || !body.note.trim())) {
+    return jsonResponse({ error: "note must be a non-empty string" }, 400);
+  }
+  if (body.skipTraceReview !== undefined && !["approve", "reject"].includes(body.skipTraceReview)) {
+    return jsonResponse({ error: "skipTraceReview must be approve or reject" }, 400);
+  }
+  if (body.agentId !== undefined && body.agentId !== null) {
+    const territories = await loadTerritoryConfig(env);
+    if (!territories.agents.some(agent => agent.id === body.agentId)) {
+      return jsonResponse({ error: `Unknown agentId ${body.agentId}` }, 400);
+    }
+  }
+  if (body.status === undefined && body.note === undefined && body.skipTraceReview === undefined && body.agentId === undefined) {
+    return jsonResponse({ error: "Nothing to update: send status, note, skipTraceReview and/or agentId" }, 400);
+  }
+  
+  const result = await updateLeadRecord(db, id, {
+    status: body.status,
+    note: body.note,
+    source: "api",
+    mutate: async summary => {
+      if (body.agentId !== undefined) summary.agentId = body.agentId;
+      if (body.skipTraceReview === undefined) return null;
+      if (!summary.skipTraceReview) {
+        return "Lead has no skip-trace match awaiting review";
+      }
+      if (body.skipTraceReview === "approve") {
+        // Opt-outs may have arrived since the match was flagged
+        const { confidence, ...contact } = summary.skipTraceReview;
+        const scrubbed = await scrubContactPhones(db, contact, env);
+        mergeContactInfo(summary, { ...scrubbed, matchConfidence: confidence });
+      } else {
+        delete summary.skipTraceReview;
+      }
+      return null;
+    }
+  });
+  
+  if (!result) {
+    return jsonResponse({ error: "Lead not found" }, 404);
+  }
+  if (result.error) {
+    return jsonResponse({ error: result.error }, 409);
+  }
+  
+  return getLead(db, id);
+}
+
+function formatLead(row, { full }) {
+  const { id, title, status, urgencyScore, createdAt, summary } = readLeadRow(row);
+  const { analysis, notes, ...fields } = summary;
+  
+  const lead = {
+    id,
+    title,
+    status,
+    urgencyScore,
+    gatheredAt: createdAt,
+    ...fields,
+    hasContact: Boolean(summary.ownerPhone || summary.ownerEmail)
+  };
+  
+  if (full) {
+    lead.analysis = analysis || null;
+    lead.notes = notes || [];
+  } else {
+    lead.positioningAngle = analysis?.positioningAngle || "";
+    lead.noteCount = (notes || []).length;
+  }
+  return lead;
+}
+
+async function listDncLists(db) {
+  const result = await db.prepare(
+    `SELECT l.source_file, l.list, l.row_count, l.refreshed_at FROM dnc_lists l ORDER BY l.list, l.source_file`
+  ).all();
+  const optOuts = await db.prepare(
+    `SELECT COUNT(*) as total, MAX(added_at) as last_added FROM dnc_numbers WHERE source_file IN (?, ?)`
+  ).bind(DNC_API_SOURCE, DNC_REPLY_SOURCE).first();
+  
+  return jsonResponse({
+    lists: result.results,
+    internalOptOuts: { total: optOuts?.total || 0, lastAddedAt: optOuts?.last_added || null }
+  });
+}
+
+async function addOptOut(env, request) {
+  const body = await readJsonObject(request);
+  if (!body) {
+    return jsonResponse({ error: "Body must be a JSON object" }, 400);
+  }
+  
+  const phone = normalizePhone(body.phone);
+  if (!phone) {
+    return jsonResponse({ error: "phone must be a 10-digit US number" }, 400);
+  }
+  
+  const leadsUpdated = await recordPhoneOptOut(env, phone, typeof body.reason === "string" ? body.reason : null, DNC_API_SOURCE);
+  return jsonResponse({ phone, list: "internal", leadsUpdated }, 201);
+}
+
+export async function recordPhoneOptOut(env, phone, reason, source) {
+  await env.DB.prepare(
+    `INSERT OR IGNORE INTO dnc_numbers (phone, list, source_file, reason) VALUES (?, ?, ?, ?)`
+  ).bind(phone, "internal", source, reason).run();
+  
+  const leadsUpdated = await applyOptOutToLeads(env, phone);
+  console.log(`Added ${phone} to internal opt-out list (${leadsUpdated} leads updated)`);
+  return leadsUpdated;
+}
@@ -0,0 +1,166 @@
+// ============================================
+// COUNTY APPRAISAL DATA
+// ============================================
+
+import { normalizeHeader, readCSVRecords } from "./csv.js";
+import { parseListingNumber } from "./comps.js";
+import { getStreetAddressKey } from "./address.js";
+
+// Column aliases for appraisal-district bulk exports under APPRAISAL_PREFIX
+// (default "appraisal/"). HCAD's real_acct.txt / jur_exempt.txt names come
+// first. .txt/.tsv files are read as tab-delimited, .csv as comma-delimited.
+const APPRAISAL_FIELDS = {
+  account: ["acct", "account", "prop_id", "account number"],
+  siteAddress: ["site_addr_1", "situs_address", "site address", "property address"],
+  siteZip: ["site_addr_3", "situs_zip", "site zip", "property zip"],
+  ownerName: ["mailto", "owner_name", "owner name", "py_owner_name", "owner"],
+  mailAddress: ["mail_addr_1", "mailing address", "py_addr_line1", "mail address"],
+  mailCity: ["mail_city", "mailing city", "py_addr_city"],
+  mailState: ["mail_state", "mailing state", "py_addr_state"],
+  mailZip: ["mail_zip", "mailing zip", "py_addr_zip"],
+  homestead: ["exempt_cat", "homestead", "hs_exempt", "homestead exemption", "hmstd"],
+  purchaseDate: ["new_own_dt", "deed_date", "purchase_date", "sale_date", "purchase year"],
+  appraisedValue: ["tot_appr_val", "appraised_value", "appraised value", "tot_mkt_val", "market_value"]
+};
+
+const HOMESTEAD_YES_PATTERN = /^(y|yes|true|1|hs|res|x)$/i;
+
+function getAppraisalKey(address, zip) {
+  const streetKey = getStreetAddressKey(address);
+  return streetKey ? `${streetKey}|${(zip || "").trim().slice(0, 5)}` : "";
+}
+
+// Streams every appraisal file and keeps only the accounts at these
+// listings' addresses. Files without site columns but with account and
+// homestead columns (HCAD's jur_exempt.txt) are exemption lists, read after.
+// Whole-county files work, but trimming them to your market keeps runs fast.
+async function findAppraisalRecords(env, listings) {
+  const prefix = env.APPRAISAL_PREFIX || "appraisal/";
+  const wanted = new Set(listings.map(l => getAppraisalKey(l.address, l.zip)).filter(Boolean));
+  const wantedZips = new Set([...wanted].map(key => key.split("|")[1]));
+  const matches = new Map();
+  if (wanted.size === 0) return matches;
+  
+  try {
+    const objects = await env.R2_BUCKET.list({ prefix });
+    const exemptionFiles = [];
+    for (const file of objects.objects.filter(obj => /\.(csv|txt|tsv)$/i.test(obj.key))) {
+      await readAppraisalFile(env, file.key, (record, columns) => {
+        if (columns.siteAddress === undefined || columns.siteZip === undefined) {
+          if (columns.account !== undefined && columns.homestead !== undefined) {
+            exemptionFiles.push(file.key);
+          } else {
+            console.error(`${file.key} has no site address/zip columns; skipping`);
+          }
+          return false;
+        }
+        
+        const siteZip = (record[columns.siteZip] || "").trim().slice(0, 5);
+        if (!wantedZips.has(siteZip)) return true;
+        const key = getAppraisalKey(record[columns.siteAddress], siteZip);
+        if (wanted.has(key)) {
+          matches.set(key, parseAppraisalRecord(record, columns));
+        }
+        return true;
+      });
+    }
+    
+    // An account with any residence homestead row has the exemption
+    const byAccount = new Map([...matches.values()].filter(r => r.account).map(r => [r.account, r]));
+    if (byAccount.size > 0 && exemptionFiles.length > 0) {
+      byAccount.forEach(record => { record.homestead = record.homestead ?? false; });
+      for (const key of exemptionFiles) {
+        await readAppraisalFile(env, key, (record, columns) => {
+          const match = byAccount.get((record[columns.account] || "").trim());
+          if (match && HOMESTEAD_YES_PATTERN.test((record[columns.homestead] || "").trim())) {
+            match.homestead = true;
+          }
+          return true;
+        });
+      }
+    }
+    console.log(`Matched ${matches.size} of ${wanted.size} listings to appraisal records under ${prefix}`);
+  } catch (error) {
+    console.error("Appraisal data load error:", error.message || error);
+  }
+  return matches;
+}
+
+// Calls onRecord(record, columns) for each data row until it returns false
+async function readAppraisalFile(env, key, onRecord) {
+  const object = await env.R2_BUCKET.get(key);
+  if (!object) return;
+  
+  let columns = null;
+  const delimiter = /\.csv$/i.test(key) ? "," : "\t";
+  for await (const record of readCSVRecords(object.body, delimiter)) {
+    if (!columns) {
+      columns = mapAppraisalColumns(record);
+      continue;
+    }
+    if (onRecord(record, columns) === false) break;
+  }
+}
+
+function mapAppraisalColumns(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  for (const [field, aliases] of Object.entries(APPRAISAL_FIELDS)) {
+    const index = aliases.map(alias => normalized.indexOf(alias)).find(i => i !== -1);
+    if (index !== undefined) columns[field] = index;
+  }
+  return columns;
+}
+
+function parseAppraisalRecord(record, columns) {
+  const value = field => (columns[field] === undefined ? "" : (record[columns[field]] || "").trim());
+  const siteKey = getStreetAddressKey(value("siteAddress"));
+  const mailKey = getStreetAddressKey(value("mailAddress"));
+  const mailZip = value("mailZip").slice(0, 5);
+  const purchaseYear = parseInt((value("purchaseDate").match(/\b(?:19|20)\d{2}\b/) || [])[0]) || null;
+  
+  return {
+    account: value("account") || null,
+    ownerName: value("ownerName").replace(/\s+/g, " ") || null,
+    mailing: mailKey ? {
+      line1: value("mailAddress"),
+      city: value("mailCity"),
+      state: value("mailState").toUpperCase(),
+      zip: value("mailZip")
+    } : null,
+    // Unknown without a mailing address to compare
+    absentee: mailKey ? mailKey !== siteKey || (mailZip !== "" && mailZip !== value("siteZip").slice(0, 5)) : null,
+    homestead: columns.homestead === undefined ? null : HOMESTEAD_YES_PATTERN.test(value("homestead")),
+    purchaseYear,
+    appraisedValue: parseListingNumber(value("appraisedValue")) || null
+  };
+}
+
+export async function attachAppraisalRecords(env, listings) {
+  const matches = await findAppraisalRecords(env, listings);
+  for (const listing of listings) {
+    listing.appraisal = matches.get(getAppraisalKey(listing.address, listing.zip)) || null;
+  }
+}
+
+// "absentee owner (mails to Katy, TX 77494), no homestead exemption, owned since 2004, appraised at $245,000"
+export function formatAppraisalProfile(appraisal) {
+  if (!appraisal) return "";
+  const parts = [];
+  if (appraisal.absentee === true) {
+    const { city, state, zip } = appraisal.mailing;
+    parts.push(`absentee owner (mails to ${[city, `${state} ${zip}`.trim()].filter(Boolean).join(", ")})`);
+  } else if (appraisal.absentee === false) {
+    parts.push("owner mails to the property");
+  }
+  if (appraisal.homestead !== null) {
+    parts.push(appraisal.homestead ? "homestead exemption" : "no homestead exemption");
+  }
+  if (appraisal.purchaseYear) {
+    parts.push(`owned since ${appraisal.purchaseYear}`);
+  }
+  if (appraisal.appraisedValue) {
+    parts.push(`appraised at $${appraisal.appraisedValue.toLocaleString("en-US")}`);
+  }
+  return parts.join(", ");
+}
@@ -0,0 +1,238 @@
+// ============================================
+// FOLLOW-UP CADENCES
+// ============================================
+
+import { FIRST_CONTACT_CHANNELS } from "./analysis.js";
+import { ensureSchema } from "./migrations.js";
+import { LEAD_COLUMNS_SQL, LEAD_FROM_SQL } from "./storage.js";
+import { scrubContactPhones } from "./dnc.js";
+import { generateMailers } from "./mailers.js";
+import { draftOutreach } from "./outreach.js";
+import { sendSlackCallList } from "./slack.js";
+import { leadFromRow } from "./slack-interactivity.js";
+
+// D1 caps a batch's size; touch inserts are chunked to stay under it
+const TOUCH_INSERT_BATCH_SIZE = 500;
+
+// Touch schedules, picked by urgency score: a lead gets the first template
+// whose minScore it meets, and leads below every minScore aren't enrolled.
+// Override by uploading JSON of the same shape to R2 at CADENCE_CONFIG_KEY.
+const DEFAULT_CADENCE_CONFIG = {
+  version: "expired-default-1",
+  templates: [
+    {
+      name: "hot",
+      minScore: 7,
+      touches: [
+        { day: 0, channel: "call" },
+        { day: 1, channel: "letter" },
+        { day: 2, channel: "call" },
+        { day: 4, channel: "door_knock" },
+        { day: 7, channel: "email" },
+        { day: 10, channel: "call" },
+        { day: 14, channel: "letter" },
+        { day: 21, channel: "call" }
+      ]
+    },
+    {
+      name: "standard",
+      minScore: 4,
+      touches: [
+        { day: 0, channel: "call" },
+        { day: 1, channel: "letter" },
+        { day: 3, channel: "call" },
+        { day: 7, channel: "email" },
+        { day: 14, channel: "call" },
+        { day: 21, channel: "letter" },
+        { day: 30, channel: "call" }
+      ]
+    }
+  ]
+};
+
+// Touches only come due while a lead is in one of these statuses, so an
+// appointment (or a snooze) pauses the cadence until the lead moves back
+export const CADENCE_ACTIVE_STATUSES = ["new", "contacted"];
+
+// These end the cadence: pending touches are cancelled
+export const CADENCE_STOP_STATUSES = ["listed", "dead", "relisted"];
+
+// Calls that fit in one Slack message alongside their talking points
+const CALL_LIST_MAX_LEADS = 9;
+
+// Hour (UTC) from which the daily call list goes out; 12 = 7am in Houston
+const DEFAULT_CALL_LIST_HOUR_UTC = 12;
+
+export async function loadCadenceConfig(env) {
+  const key = env.CADENCE_CONFIG_KEY || "config/cadences.json";
+  
+  try {
+    const object = await env.R2_BUCKET.get(key);
+    if (!object) {
+      return DEFAULT_CADENCE_CONFIG;
+    }
+    
+    const config = await object.json();
+    const problem = validateCadenceConfig(config);
+    if (problem) {
+      console.error(`Invalid cadence config at ${key}: ${problem}. Using ${DEFAULT_CADENCE_CONFIG.version}`);
+      return DEFAULT_CADENCE_CONFIG;
+    }
+    
+    console.log(`Loaded cadence config ${config.version} from ${key}`);
+    return config;
+  } catch (error) {
+    console.error("Cadence config load error:", error.message || error);
+    return DEFAULT_CADENCE_CONFIG;
+  }
+}
+
+// Returns a description of the first problem found, or null if the config is usable
+function validateCadenceConfig(config) {
+  if (!config || typeof config.version !== "string") return "missing version";
+  if (!Array.isArray(config.templates) || config.templates.length === 0) return "templates must be a non-empty array";
+  
+  for (const template of config.templates) {
+    if (!template.name) return "every template needs a name";
+    if (typeof template.minScore !== "number") return `template ${template.name} needs a numeric minScore`;
+    if (!Array.isArray(template.touches) || template.touches.length === 0) {
+      return `template ${template.name} has no touches`;
+    }
+    for (const touch of template.touches) {
+      if (!Number.isInteger(touch.day) || touch.day < 0) return `template ${template.name} has a touch without a valid day`;
+      if (!FIRST_CONTACT_CHANNELS.includes(touch.channel)) {
+        return `template ${template.name} uses unknown channel ${touch.channel}`;
+      }
+    }
+  }
+  return null;
+}
+
+function pickCadenceTemplate(config, score) {
+  return [...config.templates]
+    .sort((a, b) => b.minScore - a.minScore)
+    .find(template => score >= template.minScore) || null;
+}
+
+// Schedules every touch for newly stored leads, starting today
+export async function enrollLeadsInCadence(db, listings, config) {
+  const today = new Date();
+  const statements = [];
+  
+  for (const listing of listings) {
+    const template = pickCadenceTemplate(config, listing.urgencyScore);
+    if (!template) continue;
+    
+    template.touches.forEach((touch, step) => {
+      const dueDate = new Date(today.getTime() + touch.day * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      statements.push(
+        db.prepare(
+          `INSERT OR IGNORE INTO lead_touches (intelligence_id, cadence, step, channel, due_date)
+           VALUES (?, ?, ?, ?, ?)`
+        ).bind(listing.leadId, `${config.version}/${template.name}`, step, touch.channel, dueDate)
+      );
+    });
+  }
+  
+  try {
+    for (let i = 0; i < statements.length; i += TOUCH_INSERT_BATCH_SIZE) {
+      await db.batch(statements.slice(i, i + TOUCH_INSERT_BATCH_SIZE));
+    }
+    if (statements.length > 0) {
+      console.log(`Scheduled ${statements.length} follow-up touches`);
+    }
+  } catch (error) {
+    console.error("Cadence enrollment error:", error);
+  }
+}
+
+// Returned unexecuted so callers can batch it with the status change
+export function stopLeadCadence(db, leadId) {
+  return db.prepare(
+    `UPDATE lead_touches SET status = 'cancelled' WHERE intelligence_id = ? AND status = 'pending'`
+  ).bind(leadId);
+}
+
+export async function completeDueTouches(db, leadId, channel) {
+  try {
+    await db.prepare(
+      `UPDATE lead_touches SET status = 'done', completed_at = datetime('now')
+       WHERE intelligence_id = ? AND channel = ? AND status = 'pending' AND due_date <= date('now')`
+    ).bind(leadId, channel).run();
+  } catch (error) {
+    console.error("Touch completion error:", error);
+  }
+}
+
+// Touches due today or earlier on active, unsnoozed leads. When several
+// touches on the same channel have piled up (e.g. after a pause), only the
+// latest is kept and the older ones are marked skipped.
+async function getDueTouches(db) {
+  const statuses = CADENCE_ACTIVE_STATUSES.map(() => "?").join(", ");
+  const rows = await db.prepare(
+    `SELECT t.id AS touch_id, t.cadence, t.step, t.channel, t.due_date, ${LEAD_COLUMNS_SQL}
+     FROM ${LEAD_FROM_SQL} JOIN lead_touches t ON t.intelligence_id = l.id
+     WHERE t.status = 'pending' AND t.due_date <= date('now')
+       AND l.status IN (${statuses})
+       AND COALESCE(l.snoozed_until, '') < strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+     ORDER BY l.urgency_score DESC, t.due_date DESC, t.step DESC`
+  ).bind(...CADENCE_ACTIVE_STATUSES).all();
+  
+  const due = [];
+  const superseded = [];
+  const seen = new Set();
+  for (const row of rows.results) {
+    const key = `${row.id}:${row.channel}`;
+    if (seen.has(key)) {
+      superseded.push(row.touch_id);
+    } else {
+      seen.add(key);
+      due.push(row);
+    }
+  }
+  
+  if (superseded.length > 0) {
+    await db.batch(superseded.map(touchId =>
+      db.prepare(`UPDATE lead_touches SET status = 'skipped' WHERE id = ?`).bind(touchId)
+    ));
+  }
+  return due;
+}
+
+// Posts today's call list, generates the day's mail batch and drafts
+// first-touch messages once a day; run after every listings cron tick
+export async function processCadences(env) {
+  const now = new Date();
+  const listHour = parseInt(env.CALL_LIST_HOUR_UTC ?? DEFAULT_CALL_LIST_HOUR_UTC);
+  if (now.getUTCHours() < listHour) return;
+  
+  const listDate = now.toISOString().slice(0, 10);
+  try {
+    await ensureSchema(env.DB);
+    const posted = await env.DB.prepare(`SELECT list_date FROM call_lists WHERE list_date = ?`).bind(listDate).first();
+    if (posted) return;
+    
+    const dueTouches = await getDueTouches(env.DB);
+    const calls = dueTouches.filter(t => t.channel === "call");
+    const otherDue = {};
+    dueTouches.filter(t => t.channel !== "call").forEach(t => {
+      otherDue[t.channel] = (otherDue[t.channel] || 0) + 1;
+    });
+    console.log(`Cadence: ${calls.length} calls and ${dueTouches.length - calls.length} other touches due`);
+    
+    const callLeads = await Promise.all(calls.slice(0, CALL_LIST_MAX_LEADS).map(async touch => ({
+      ...(await scrubContactPhones(env.DB, leadFromRow(touch), env)),
+      touch
+    })));
+    
+    if (calls.length > 0 && env.SLACK_WEBHOOK) {
+      await sendSlackCallList(env.SLACK_WEBHOOK, callLeads, calls.length, otherDue, listDate);
+    }
+    await generateMailers(env, dueTouches.filter(t => t.channel === "letter"), listDate);
+    await draftOutreach(env);
+    await env.DB.prepare(`INSERT OR IGNORE INTO call_lists (list_date, call_count) VALUES (?, ?)`)
+      .bind(listDate, calls.length).run();
+  } catch (error) {
+    console.error("Cadence processing error:", error);
+  }
+}
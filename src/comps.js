@@ -0,0 +1,117 @@
+// ============================================
+// MARKET COMPARABLES
+// ============================================
+
+import { parseCSVStream } from "./csv.js";
+import { getLeadKey } from "./leads.js";
+
+// Comparables must be within these bounds of the expired listing
+const COMPS_SQFT_TOLERANCE = 0.2;
+const COMPS_BEDS_TOLERANCE = 1;
+const COMPS_YEAR_TOLERANCE = 15;
+
+// Fewest comps a median is trusted from, and most used per listing
+const COMPS_MIN_COUNT = 3;
+const COMPS_MAX_COUNT = 10;
+
+const SOLD_STATUS_PATTERN = /\b(sold|closed)\b/i;
+const ACTIVE_STATUS_PATTERN = /\b(active|pending|contingent|option|under contract)\b/i;
+
+export function parseListingNumber(value) {
+  return parseFloat(String(value ?? "").replace(/[^0-9.]/g, "")) || 0;
+}
+
+// Reads every MLS export under COMPS_PREFIX (default "comps/") and indexes
+// the sold and active rows with a usable $/sqft by zip
+export async function loadComparables(env) {
+  const prefix = env.COMPS_PREFIX || "comps/";
+  const byZip = new Map();
+  
+  try {
+    const objects = await env.R2_BUCKET.list({ prefix });
+    let total = 0;
+    for (const file of objects.objects.filter(obj => obj.key.endsWith(".csv"))) {
+      const object = await env.R2_BUCKET.get(file.key);
+      if (!object) continue;
+      
+      for (const row of await parseCSVStream(object.body)) {
+        const soldPrice = parseListingNumber(row.soldPrice);
+        const sold = soldPrice > 0 || SOLD_STATUS_PATTERN.test(row.status);
+        const price = sold ? soldPrice || parseListingNumber(row.price) : parseListingNumber(row.price);
+        const sqft = parseListingNumber(row.sqft);
+        if (!sold && !ACTIVE_STATUS_PATTERN.test(row.status)) continue;
+        if (!price || !sqft) continue;
+        
+        const zip = (row.zip || "").slice(0, 5);
+        if (!byZip.has(zip)) byZip.set(zip, []);
+        byZip.get(zip).push({
+          mlsNumber: row.mlsNumber,
+          leadKey: getLeadKey(row),
+          sqft,
+          beds: parseInt(row.bedrooms) || 0,
+          yearBuilt: parseInt(row.yearBuilt) || 0,
+          sold,
+          ppsf: price / sqft
+        });
+        total++;
+      }
+    }
+    console.log(`Loaded ${total} comparables across ${byZip.size} zips from ${prefix}`);
+  } catch (error) {
+    console.error("Comparables load error:", error.message || error);
+  }
+  return byZip;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Same zip, similar sqft/beds/year. Sold comps are preferred; active ones
+// are the fallback when too few have sold. priceGapPct is null without
+// enough comps to trust.
+export function findComparables(listing, compsByZip) {
+  const sqft = parseListingNumber(listing.sqft);
+  const price = parseListingNumber(listing.price);
+  if (!sqft || !price) return null;
+  
+  const beds = parseInt(listing.bedrooms) || 0;
+  const yearBuilt = parseInt(listing.yearBuilt) || 0;
+  const leadKey = getLeadKey(listing);
+  const candidates = (compsByZip.get((listing.zip || "").slice(0, 5)) || [])
+    .filter(comp =>
+      comp.leadKey !== leadKey &&
+      Math.abs(comp.sqft - sqft) / sqft <= COMPS_SQFT_TOLERANCE &&
+      (!beds || !comp.beds || Math.abs(comp.beds - beds) <= COMPS_BEDS_TOLERANCE) &&
+      (!yearBuilt || !comp.yearBuilt || Math.abs(comp.yearBuilt - yearBuilt) <= COMPS_YEAR_TOLERANCE)
+    )
+    .sort((a, b) => Math.abs(a.sqft - sqft) - Math.abs(b.sqft - sqft));
+  
+  const sold = candidates.filter(c => c.sold).slice(0, COMPS_MAX_COUNT);
+  const active = candidates.filter(c => !c.sold).slice(0, COMPS_MAX_COUNT);
+  const basis = sold.length >= COMPS_MIN_COUNT ? "sold" : active.length >= COMPS_MIN_COUNT ? "active" : null;
+  const comps = { soldCount: sold.length, activeCount: active.length, basis, priceGapPct: null };
+  if (!basis) return comps;
+  
+  const used = basis === "sold" ? sold : active;
+  const medianPpsf = median(used.map(c => c.ppsf));
+  return {
+    ...comps,
+    medianPpsf: Math.round(medianPpsf),
+    listPpsf: Math.round(price / sqft),
+    compValue: Math.round(medianPpsf * sqft / 1000) * 1000,
+    priceGapPct: Math.round((price / sqft / medianPpsf - 1) * 100),
+    mlsNumbers: used.slice(0, 5).map(c => c.mlsNumber).filter(Boolean)
+  };
+}
+
+// "listed 14% over comps"; empty when there weren't enough comps
+export function formatPriceGap(comps) {
+  const gap = comps?.priceGapPct;
+  if (gap === null || gap === undefined) return "";
+  if (gap >= 1) return `listed ${gap}% over comps`;
+  if (gap <= -1) return `listed ${-gap}% under comps`;
+  return "priced at comps";
+}
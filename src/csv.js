@@ -0,0 +1,355 @@
+// ============================================
+// CSV PARSING (RFC 4180 + MLS Mapping Profiles)
+// ============================================
+
+// Column mappings for the MLS exports we receive. A profile is picked by
+// detectMappingProfile() from the header row: its signature columns must all
+// be present. Each field lists header aliases, first non-empty value wins.
+// Address is assembled from addressParts when present, else fields.address.
+const MLS_MAPPING_PROFILES = [
+  {
+    id: "har",
+    name: "HAR (Houston)",
+    signature: ["City/Location", "Last Change Timestamp"],
+    defaultState: "TX",
+    addressParts: ["Street Number", "Street Dir Prefix", "Street Name", "Street Suffix", "Street Dir Suffix", "Unit Number"],
+    fields: {
+      address: ["Address"],
+      city: ["City/Location"],
+      state: ["State"],
+      zip: ["Zip Code"],
+      price: ["List Price"],
+      originalPrice: ["Original List Price", "Orig List Price"],
+      previousPrice: ["Previous List Price", "Prev List Price"],
+      priceChangeDate: ["Price Change Timestamp", "Price Change Date"],
+      originalListDate: ["List Date"],
+      expiredDate: ["Last Change Timestamp"],
+      daysOnMarket: ["DOM"],
+      cumulativeDaysOnMarket: ["CDOM"],
+      bedrooms: ["Bedrooms"],
+      bathrooms: ["Baths Total"],
+      sqft: ["Building SqFt"],
+      yearBuilt: ["Year Built"],
+      listingAgent: ["List Agent Full Name"],
+      listingOffice: ["List Office Name"],
+      mlsNumber: ["MLS Number"],
+      propertyType: ["Property Type"],
+      status: ["Status"],
+      soldPrice: ["Sold Price", "Close Price"]
+    }
+  },
+  {
+    id: "ntreis",
+    name: "NTREIS (North Texas)",
+    signature: ["ML#"],
+    defaultState: "TX",
+    addressParts: ["Street Num", "Street Dir", "Street Name", "Street Type", "Street Dir Suffix", "Unit #"],
+    fields: {
+      address: ["Address", "Street Address"],
+      city: ["City"],
+      state: ["State"],
+      zip: ["Zip", "Zip Code"],
+      price: ["List Price", "LP"],
+      originalPrice: ["Original List Price", "OLP"],
+      previousPrice: ["Previous List Price"],
+      priceChangeDate: ["Price Change Date", "Last Price Change Date"],
+      originalListDate: ["List Date", "Listing Contract Date"],
+      expiredDate: ["Expiration Date", "Off Market Date", "Status Change Date"],
+      daysOnMarket: ["DOM"],
+      cumulativeDaysOnMarket: ["CDOM"],
+      bedrooms: ["Beds", "Bedrooms", "Beds Total"],
+      bathrooms: ["Baths", "Baths Total", "Bathrooms Total"],
+      sqft: ["SqFt", "Sqft Living", "Living Area"],
+      yearBuilt: ["Year Built"],
+      listingAgent: ["List Agent Full Name", "List Agent Name", "LA Name"],
+      listingOffice: ["List Office Name", "LO Name"],
+      mlsNumber: ["ML#"],
+      propertyType: ["Property Type", "Prop Type"],
+      status: ["Status", "Listing Status"],
+      soldPrice: ["Sold Price", "SP", "Close Price"]
+    }
+  },
+  {
+    id: "stellar",
+    name: "Stellar MLS (Florida)",
+    signature: ["PostalCode", "StateOrProvince"],
+    defaultState: "FL",
+    addressParts: ["StreetNumber", "StreetDirPrefix", "StreetName", "StreetSuffix", "StreetDirSuffix", "UnitNumber"],
+    fields: {
+      address: ["UnparsedAddress", "Address"],
+      city: ["City"],
+      state: ["StateOrProvince"],
+      zip: ["PostalCode"],
+      price: ["ListPrice", "Current Price"],
+      originalPrice: ["OriginalListPrice", "Original List Price"],
+      previousPrice: ["PreviousListPrice"],
+      priceChangeDate: ["PriceChangeTimestamp"],
+      originalListDate: ["ListingContractDate", "OnMarketDate"],
+      expiredDate: ["ExpirationDate", "OffMarketDate", "StatusChangeTimestamp"],
+      daysOnMarket: ["DaysOnMarket", "ADOM"],
+      cumulativeDaysOnMarket: ["CumulativeDaysOnMarket", "CDOM"],
+      bedrooms: ["BedroomsTotal", "Beds"],
+      bathrooms: ["BathroomsTotalInteger", "BathroomsTotalDecimal", "Full Baths"],
+      sqft: ["LivingArea", "Heated Area"],
+      yearBuilt: ["YearBuilt"],
+      listingAgent: ["ListAgentFullName"],
+      listingOffice: ["ListOfficeName"],
+      mlsNumber: ["ListingId", "MLS #"],
+      propertyType: ["PropertyType"],
+      status: ["StandardStatus", "MlsStatus"],
+      soldPrice: ["ClosePrice", "Sold Price"]
+    }
+  }
+];
+
+export function normalizeHeader(header) {
+  return (header || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+export function detectMappingProfile(headers) {
+  const present = new Set(headers.map(normalizeHeader));
+  
+  for (const profile of MLS_MAPPING_PROFILES) {
+    if (profile.signature.every(h => present.has(normalizeHeader(h)))) {
+      return profile;
+    }
+  }
+  
+  // No signature match: take the profile that recognizes the most columns
+  let best = null;
+  let bestCount = 0;
+  for (const profile of MLS_MAPPING_PROFILES) {
+    const known = [...profile.addressParts, ...Object.values(profile.fields).flat()];
+    const count = new Set(known.map(normalizeHeader).filter(h => present.has(h))).size;
+    if (count > bestCount) {
+      best = profile;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Returns a function that turns one CSV record into a normalized listing
+export function createListingMapper(headers, profile) {
+  const indexByHeader = new Map();
+  headers.forEach((header, index) => {
+    const key = normalizeHeader(header);
+    if (!indexByHeader.has(key)) indexByHeader.set(key, index);
+  });
+  
+  const valueOf = (values, header) => {
+    const index = indexByHeader.get(normalizeHeader(header));
+    return index === undefined ? "" : (values[index] || "").trim();
+  };
+  const firstOf = (values, aliases) => {
+    for (const alias of aliases || []) {
+      const value = valueOf(values, alias);
+      if (value) return value;
+    }
+    return "";
+  };
+  
+  return values => {
+    const listing = {};
+    for (const field of Object.keys(profile.fields)) {
+      listing[field] = firstOf(values, profile.fields[field]);
+    }
+    
+    // Build full address from split fields when the export has them
+    const addressParts = profile.addressParts
+      .map(header => valueOf(values, header))
+      .filter(Boolean)
+      .join(" ");
+    listing.address = addressParts || listing.address;
+    listing.state = listing.state || profile.defaultState;
+    listing.mlsProfile = profile.id;
+    return listing;
+  };
+}
+
+export function parseCSV(csvText) {
+  return mapListingRecords(parseCSVRecords(csvText));
+}
+
+// Same as parseCSV, but reads an R2 object body without buffering the whole file
+export async function parseCSVStream(stream) {
+  const listings = [];
+  let mapRecord = null;
+  
+  for await (const record of readCSVRecords(stream)) {
+    if (!mapRecord) {
+      mapRecord = createRecordMapper(record);
+      if (!mapRecord) return [];
+      continue;
+    }
+    const listing = mapRecord(record);
+    if (listing) listings.push(listing);
+  }
+  return listings;
+}
+
+function mapListingRecords(records) {
+  if (records.length < 2) return [];
+  
+  const mapRecord = createRecordMapper(records[0]);
+  if (!mapRecord) return [];
+  
+  const listings = [];
+  for (let i = 1; i < records.length; i++) {
+    const listing = mapRecord(records[i]);
+    if (listing) listings.push(listing);
+  }
+  return listings;
+}
+
+function createRecordMapper(headers) {
+  const profile = detectMappingProfile(headers);
+  if (!profile) {
+    console.error("Unrecognized CSV header row:", headers.join(", "));
+    return null;
+  }
+  console.log(`Using ${profile.name} column mapping`);
+  
+  const mapListing = createListingMapper(headers, profile);
+  return values => {
+    const listing = mapListing(values);
+    return getListingRejectReasons(listing, values, headers.length).length === 0 ? listing : null;
+  };
+}
+
+// Why a mapped row can't become a lead; empty when it's usable. Extra
+// columns mean a broken quote shifted the row's values.
+export function getListingRejectReasons(listing, values, headerCount) {
+  const reasons = [];
+  if (!listing.address) {
+    reasons.push("missing address");
+  }
+  if (!listing.city && !listing.zip) {
+    reasons.push("missing city and zip");
+  }
+  if (values.length > headerCount) {
+    reasons.push(`${values.length} columns but the header has ${headerCount}`);
+  }
+  if (listing.price && !/\d/.test(listing.price)) {
+    reasons.push(`price "${listing.price}" is not a number`);
+  }
+  return reasons;
+}
+
+// RFC 4180 tokenizer. Handles quoted fields containing commas, newlines and
+// escaped quotes (""), CRLF/LF/CR line endings, and a leading BOM. Input can
+// arrive in arbitrary chunks; write() returns the records completed so far.
+// Each record carries the 1-based file line it starts on as record.line
+// (non-enumerable, so records still compare and serialize as plain arrays).
+function createCSVTokenizer(delimiter = ",") {
+  let field = "";
+  let record = [];
+  let inQuotes = false;
+  let quoteSeen = false;
+  let skipLF = false;
+  let started = false;
+  let line = 1;
+  let recordLine = 1;
+  let afterCR = false;
+  
+  const endRecord = out => {
+    record.push(field);
+    field = "";
+    Object.defineProperty(record, "line", { value: recordLine });
+    // Blank lines produce a single empty field and are skipped
+    if (record.length > 1 || record[0] !== "") out.push(record);
+    record = [];
+    recordLine = line;
+  };
+  
+  return {
+    write(chunk) {
+      const out = [];
+      let text = chunk;
+      if (!started) {
+        started = true;
+        text = text.replace(/^\uFEFF/, "");
+      }
+      
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        // Counted before the record ends so the next one starts on the new line;
+        // quoted line breaks count too
+        if (char === "\r" || (char === "\n" && !afterCR)) line++;
+        afterCR = char === "\r";
+        
+        if (skipLF) {
+          skipLF = false;
+          if (char === "\n") continue;
+        }
+        
+        if (inQuotes) {
+          if (quoteSeen) {
+            quoteSeen = false;
+            if (char === '"') {
+              field += '"';
+              continue;
+            }
+            inQuotes = false; // Closing quote; handle this char as unquoted
+          } else if (char === '"') {
+            quoteSeen = true;
+            continue;
+          } else {
+            field += char;
+            continue;
+          }
+        }
+        
+        if (char === '"' && field === "") {
+          inQuotes = true;
+        } else if (char === delimiter) {
+          record.push(field);
+          field = "";
+        } else if (char === "\n") {
+          endRecord(out);
+        } else if (char === "\r") {
+          endRecord(out);
+          skipLF = true;
+        } else {
+          field += char;
+        }
+      }
+      return out;
+    },
+    
+    end() {
+      const out = [];
+      if (field !== "" || record.length > 0) endRecord(out);
+      inQuotes = false;
+      quoteSeen = false;
+      return out;
+    }
+  };
+}
+
+export function parseCSVRecords(csvText) {
+  const tokenizer = createCSVTokenizer();
+  return [...tokenizer.write(csvText), ...tokenizer.end()];
+}
+
+export async function* readCSVRecords(stream, delimiter = ",") {
+  const tokenizer = createCSVTokenizer(delimiter);
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    yield* tokenizer.write(value);
+  }
+  yield* tokenizer.end();
+}
+
+// Quotes a value for CSV output, doubling any embedded quotes
+function formatCSVField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+export function formatCSVRow(values) {
+  return values.map(formatCSVField).join(",");
+}
@@ -0,0 +1,181 @@
+// ============================================
+// PERFORMANCE DIGESTS
+// ============================================
+
+import { formatCSVRow } from "./csv.js";
+import { ensureSchema } from "./migrations.js";
+import { LEAD_HAS_CONTACT_SQL } from "./storage.js";
+import { sendSlackDigest } from "./slack.js";
+
+// Funnel breakdown bands, matching the cadence template thresholds
+const DIGEST_SCORE_BANDS = [
+  { label: "7-10", min: 7 },
+  { label: "4-6.9", min: 4 },
+  { label: "0-3.9", min: 0 }
+];
+
+// Statuses that count as reaching each funnel stage
+const FUNNEL_STAGES = {
+  contacted: ["contacted", "appointment", "listed"],
+  appointments: ["appointment", "listed"],
+  won: ["listed"]
+};
+
+const DIGEST_CSV_COLUMNS = [
+  "dimension", "key", "leads", "withContact", "withContactPct",
+  "contacted", "contactedPct", "appointments", "won", "winPct"
+];
+
+// Zips shown in Slack; the R2 copies have every zip
+export const DIGEST_SLACK_ZIPS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The last completed Monday-Sunday week and calendar month (UTC)
+function getDigestPeriods(now) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const thisMonday = today - ((now.getUTCDay() + 6) % 7) * DAY_MS;
+  const toDate = ms => new Date(ms).toISOString().slice(0, 10);
+  return [
+    { period: "weekly", start: toDate(thisMonday - 7 * DAY_MS), end: toDate(thisMonday) },
+    {
+      period: "monthly",
+      start: toDate(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)),
+      end: toDate(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    }
+  ];
+}
+
+// Runs on every listings tick; each period's digest is built once, by the
+// first tick after it ends (Monday for weekly, the 1st for monthly)
+export async function processDigests(env) {
+  try {
+    await ensureSchema(env.DB);
+    for (const { period, start, end } of getDigestPeriods(new Date())) {
+      const sent = await env.DB.prepare(`SELECT r2_key FROM digests WHERE period = ? AND period_start = ?`)
+        .bind(period, start).first();
+      if (sent) continue;
+      
+      const digest = await buildDigest(env.DB, period, start, end);
+      const keyBase = `${env.DIGEST_PREFIX || "digests/"}${period}/${start}`;
+      await env.R2_BUCKET.put(`${keyBase}.json`, JSON.stringify(digest, null, 2), {
+        httpMetadata: { contentType: "application/json" }
+      });
+      await env.R2_BUCKET.put(`${keyBase}.csv`, formatDigestCSV(digest), {
+        httpMetadata: { contentType: "text/csv" }
+      });
+      
+      if (env.SLACK_WEBHOOK) {
+        await sendSlackDigest(env.SLACK_WEBHOOK, digest, `${keyBase}.json`);
+      }
+      await env.DB.prepare(
+        `INSERT OR IGNORE INTO digests (period, period_start, period_end, lead_count, r2_key) VALUES (?, ?, ?, ?, ?)`
+      ).bind(period, start, end, digest.funnel.leads, `${keyBase}.json`).run();
+      console.log(`${period} digest for ${start} saved to ${keyBase}.json`);
+    }
+  } catch (error) {
+    console.error("Digest error:", error);
+  }
+}
+
+// Funnel for leads found in [start, end), by how far each lead has got so
+// far - so later digests show older cohorts converting. activity counts
+// status changes made during the period, whenever the lead was found.
+async function buildDigest(db, period, start, end) {
+  const [leadsResult, activityResult, skipTraceResult, claudeResult] = await db.batch([
+    db.prepare(
+      `SELECT l.id, l.urgency_score, l.status, l.zip, ${LEAD_HAS_CONTACT_SQL} as has_contact,
+              GROUP_CONCAT(DISTINCT h.to_status) as reached
+       FROM leads l
+       LEFT JOIN contacts c ON c.lead_id = l.id
+       LEFT JOIN lead_status_history h ON h.intelligence_id = l.id
+       WHERE l.created_at >= datetime(?) AND l.created_at < datetime(?)
+       GROUP BY l.id`
+    ).bind(start, end),
+    db.prepare(
+      `SELECT to_status, COUNT(DISTINCT intelligence_id) as leads FROM lead_status_history
+       WHERE changed_at >= datetime(?) AND changed_at < datetime(?) GROUP BY to_status`
+    ).bind(start, end),
+    db.prepare(
+      `SELECT COALESCE(SUM(lead_count), 0) as traced, COALESCE(SUM(COALESCE(enriched_count, 0)), 0) as enriched
+       FROM skip_trace_jobs
+       WHERE state = 'completed' AND completed_at >= datetime(?) AND completed_at < datetime(?)`
+    ).bind(start, end),
+    db.prepare(
+      `SELECT COALESCE(SUM(requests), 0) as requests, COALESCE(SUM(cache_hits), 0) as cache_hits,
+              COALESCE(SUM(cost_usd), 0) as cost_usd
+       FROM claude_usage WHERE created_at >= datetime(?) AND created_at < datetime(?)`
+    ).bind(start, end)
+  ]);
+  
+  const funnel = newFunnel();
+  const byBand = new Map(DIGEST_SCORE_BANDS.map(band => [band.label, newFunnel()]));
+  const byZip = new Map();
+  for (const row of leadsResult.results) {
+    const reached = new Set([row.status, ...(row.reached || "").split(",")]);
+    const band = DIGEST_SCORE_BANDS.find(b => (row.urgency_score || 0) >= b.min);
+    const zip = (row.zip || "").slice(0, 5) || "unknown";
+    if (!byZip.has(zip)) byZip.set(zip, newFunnel());
+    for (const counts of [funnel, byBand.get(band.label), byZip.get(zip)]) {
+      addToFunnel(counts, reached, row.has_contact);
+    }
+  }
+  
+  const skipTrace = skipTraceResult.results[0];
+  const claude = claudeResult.results[0];
+  return {
+    period,
+    start,
+    end,
+    generatedAt: new Date().toISOString(),
+    funnel: withFunnelRates(funnel),
+    byScoreBand: DIGEST_SCORE_BANDS.map(band => ({ band: band.label, ...withFunnelRates(byBand.get(band.label)) })),
+    byZip: [...byZip.entries()]
+      .map(([zip, counts]) => ({ zip, ...withFunnelRates(counts) }))
+      .sort((a, b) => b.leads - a.leads || a.zip.localeCompare(b.zip)),
+    activity: Object.fromEntries(activityResult.results.map(row => [row.to_status, row.leads])),
+    skipTrace: {
+      leadsTraced: skipTrace.traced,
+      leadsEnriched: skipTrace.enriched,
+      hitRate: skipTrace.traced > 0 ? Math.round(skipTrace.enriched / skipTrace.traced * 1000) / 10 : null
+    },
+    claude: {
+      requests: claude.requests,
+      cacheHits: claude.cache_hits,
+      costUsd: Math.round(claude.cost_usd * 100) / 100
+    }
+  };
+}
+
+function newFunnel() {
+  return { leads: 0, withContact: 0, contacted: 0, appointments: 0, won: 0 };
+}
+
+function addToFunnel(counts, reached, hasContact) {
+  counts.leads++;
+  if (hasContact) counts.withContact++;
+  for (const [stage, statuses] of Object.entries(FUNNEL_STAGES)) {
+    if (statuses.some(status => reached.has(status))) counts[stage]++;
+  }
+}
+
+function withFunnelRates(counts) {
+  const pct = count => (counts.leads > 0 ? Math.round(count / counts.leads * 1000) / 10 : null);
+  return {
+    ...counts,
+    withContactPct: pct(counts.withContact),
+    contactedPct: pct(counts.contacted),
+    winPct: pct(counts.won)
+  };
+}
+
+function formatDigestCSV(digest) {
+  const rows = [
+    { dimension: "total", key: "all", ...digest.funnel },
+    ...digest.byScoreBand.map(({ band, ...counts }) => ({ dimension: "score_band", key: band, ...counts })),
+    ...digest.byZip.map(({ zip, ...counts }) => ({ dimension: "zip", key: zip, ...counts }))
+  ];
+  return [DIGEST_CSV_COLUMNS, ...rows.map(row => DIGEST_CSV_COLUMNS.map(column => row[column]))]
+    .map(formatCSVRow)
+    .join("\n") + "\n";
+}
@@ -0,0 +1,251 @@
+// ============================================
+// DO-NOT-CALL SCRUBBING
+// ============================================
+
+import { readCSVRecords } from "./csv.js";
+import { ensureSchema } from "./migrations.js";
+import { buildLeadWrites, LEAD_SELECT_SQL, readLeadRow } from "./storage.js";
+
+// Lists are CSVs uploaded to R2 under dnc/, named for the list they belong to:
+// dnc/federal-713.csv, dnc/state-tx.csv, dnc/litigator.csv, dnc/internal.csv
+const DNC_PREFIX = "dnc/";
+
+// Opt-outs added through the API are stored under this pseudo source file so
+// reloading dnc/internal*.csv never drops them
+export const DNC_API_SOURCE = "api";
+export const DNC_REPLY_SOURCE = "reply";
+
+// Numbers on these lists are removed outright; other lists only flag them
+const DEFAULT_DNC_SUPPRESS_LISTS = "litigator,internal";
+
+// D1 caps a batch's size; inserts are chunked to stay under it
+const DNC_INSERT_BATCH_SIZE = 500;
+
+// Numbers loaded per cron tick across all files: 20 batches, which a tick
+// finishes well inside the Worker's subrequest and CPU limits. A bigger file
+// (a federal area code) carries on from where it stopped on the next tick.
+const DNC_LOAD_ROWS_PER_TICK = 10000;
+
+// A file's new numbers are loaded under this suffix and swapped in for the
+// previous load once the whole file is in, so the previous numbers stay until
+// then. Scrubs match staged numbers too: while a file loads, a number on
+// either version of it is flagged.
+const DNC_STAGING_SUFFIX = "#loading";
+
+// Returns the 10-digit US number, or "" when the value isn't one
+export function normalizePhone(value) {
+  let digits = String(value || "").replace(/\D/g, "");
+  if (digits.length === 11 && digits.startsWith("1")) {
+    digits = digits.slice(1);
+  }
+  return digits.length === 10 ? digits : "";
+}
+
+function getDncListName(key) {
+  const name = key.slice(DNC_PREFIX.length).replace(/\.csv$/i, "").split(/[-_./]/)[0].toLowerCase();
+  return name.replace(/s$/, "") || "internal";
+}
+
+// Reloads any dnc/*.csv whose etag changed since it was last loaded, and
+// drops the numbers of files no longer in R2
+export async function refreshDncLists(env) {
+  try {
+    await ensureSchema(env.DB);
+    
+    const objects = await env.R2_BUCKET.list({ prefix: DNC_PREFIX });
+    const files = objects.objects.filter(obj => obj.key.toLowerCase().endsWith(".csv"));
+    const loaded = await env.DB.prepare(`SELECT source_file, etag, loading_etag, loaded_rows FROM dnc_lists`).all();
+    const lists = new Map(loaded.results.map(r => [r.source_file, r]));
+    
+    let budget = DNC_LOAD_ROWS_PER_TICK;
+    for (const file of files) {
+      if (budget <= 0) break;
+      const etag = file.etag || file.uploaded?.toISOString() || null;
+      const current = lists.get(file.key);
+      if (etag && current?.etag === etag) continue;
+      
+      const object = await env.R2_BUCKET.get(file.key);
+      if (!object) continue;
+      
+      // Carry on with an unfinished load of this same version
+      const resumeFrom = etag && current?.loading_etag === etag ? current.loaded_rows : 0;
+      const list = getDncListName(file.key);
+      const { rowCount, inserted, complete } = await loadDncFile(env.DB, file.key, list, etag, object.body, resumeFrom, budget);
+      budget -= inserted;
+      if (complete) {
+        console.log(`Loaded ${rowCount} numbers from ${file.key} into DNC list "${list}"`);
+      } else {
+        console.log(`Loaded ${rowCount} numbers from ${file.key} into DNC list "${list}" so far; continuing next tick`);
+      }
+    }
+    
+    // A truncated listing can't say what was deleted
+    if (!objects.truncated) {
+      const keys = new Set(files.map(file => file.key));
+      await purgeDncFiles(env.DB, [...lists.keys()].filter(key => !keys.has(key)));
+    }
+  } catch (error) {
+    console.error("DNC refresh error:", error.message || error);
+  }
+}
+
+// Loads the file's numbers under its staging source file, recording progress
+// with each batch, then swaps them in for the previous load in one batch.
+// Stops early, incomplete, once budget numbers have been inserted.
+async function loadDncFile(db, sourceFile, list, etag, stream, resumeFrom, budget) {
+  const staging = sourceFile + DNC_STAGING_SUFFIX;
+  if (resumeFrom === 0) {
+    await db.batch([
+      db.prepare(`DELETE FROM dnc_numbers WHERE source_file = ?`).bind(staging),
+      db.prepare(
+        `INSERT INTO dnc_lists (source_file, list, loading_etag, loaded_rows) VALUES (?, ?, ?, 0)
+         ON CONFLICT (source_file) DO UPDATE SET loading_etag = excluded.loading_etag, loaded_rows = 0`
+      ).bind(sourceFile, list, etag)
+    ]);
+  }
+  
+  let statements = [];
+  let rowCount = 0;
+  const flush = async () => {
+    await db.batch([
+      ...statements,
+      db.prepare(`UPDATE dnc_lists SET loaded_rows = ? WHERE source_file = ?`).bind(rowCount, sourceFile)
+    ]);
+    statements = [];
+  };
+  
+  for await (const record of readCSVRecords(stream)) {
+    const phone = extractDncPhone(record);
+    if (!phone) continue;
+    
+    rowCount++;
+    if (rowCount <= resumeFrom) continue;
+    statements.push(
+      db.prepare(`INSERT OR IGNORE INTO dnc_numbers (phone, list, source_file) VALUES (?, ?, ?)`)
+        .bind(phone, list, staging)
+    );
+    
+    if (statements.length >= DNC_INSERT_BATCH_SIZE) {
+      await flush();
+      if (rowCount - resumeFrom >= budget) {
+        return { rowCount, inserted: rowCount - resumeFrom, complete: false };
+      }
+    }
+  }
+  if (statements.length > 0) {
+    await flush();
+  }
+  
+  await db.batch([
+    db.prepare(`DELETE FROM dnc_numbers WHERE source_file = ?`).bind(sourceFile),
+    db.prepare(`UPDATE dnc_numbers SET source_file = ? WHERE source_file = ?`).bind(sourceFile, staging),
+    db.prepare(
+      `UPDATE dnc_lists SET list = ?, etag = ?, row_count = ?, loading_etag = NULL, loaded_rows = 0,
+         refreshed_at = datetime('now')
+       WHERE source_file = ?`
+    ).bind(list, etag, rowCount, sourceFile)
+  ]);
+  return { rowCount, inserted: rowCount - resumeFrom, complete: true };
+}
+
+async function purgeDncFiles(db, sourceFiles) {
+  for (const sourceFile of sourceFiles) {
+    await db.batch([
+      db.prepare(`DELETE FROM dnc_numbers WHERE source_file IN (?, ?)`).bind(sourceFile, sourceFile + DNC_STAGING_SUFFIX),
+      db.prepare(`DELETE FROM dnc_lists WHERE source_file = ?`).bind(sourceFile)
+    ]);
+    console.log(`Removed DNC file ${sourceFile}, no longer in R2`);
+  }
+}
+
+// Accepts a full number in any column, or the federal registry's split
+// "area code, number" layout
+function extractDncPhone(record) {
+  for (const value of record) {
+    const phone = normalizePhone(value);
+    if (phone) return phone;
+  }
+  const [areaCode, number] = record.map(v => v.replace(/\D/g, ""));
+  if (areaCode?.length === 3 && number?.length === 7) {
+    return areaCode + number;
+  }
+  return "";
+}
+
+async function findDncMatches(db, phones) {
+  const matches = new Map();
+  const unique = [...new Set(phones.filter(Boolean))];
+  
+  // Keep well under D1's bound-parameter limit
+  for (let i = 0; i < unique.length; i += 50) {
+    const chunk = unique.slice(i, i + 50);
+    const result = await db.prepare(
+      `SELECT DISTINCT phone, list FROM dnc_numbers WHERE phone IN (${chunk.map(() => "?").join(", ")})`
+    ).bind(...chunk).all();
+    for (const row of result.results) {
+      matches.set(row.phone, [...(matches.get(row.phone) || []), row.list]);
+    }
+  }
+  return matches;
+}
+
+// Drops phones on a suppression list, tags the rest with any DNC lists they
+// appear on, and picks the first clean number as the one to call
+export async function scrubContactPhones(db, contact, env) {
+  const phones = contact.ownerPhones?.length
+    ? contact.ownerPhones
+    : contact.ownerPhone ? [{ number: contact.ownerPhone, type: "unknown" }] : [];
+  const review = contact.skipTraceReview;
+  const reviewPhones = review?.ownerPhones || [];
+  if (phones.length === 0 && reviewPhones.length === 0) return contact;
+  
+  const suppressLists = (env.DNC_SUPPRESS_LISTS || DEFAULT_DNC_SUPPRESS_LISTS)
+    .split(",").map(l => l.trim().toLowerCase()).filter(Boolean);
+  
+  let matches;
+  try {
+    matches = await findDncMatches(db, [...phones, ...reviewPhones].map(p => normalizePhone(p.number)));
+  } catch (error) {
+    // Fail closed: without a DNC check no number may be surfaced
+    console.error("DNC lookup error:", error);
+    return { ...contact, ownerPhone: "", ownerPhones: [], dncCheckFailed: true };
+  }
+  
+  const scrub = list => list
+    .map(p => ({ ...p, dnc: matches.get(normalizePhone(p.number)) || [] }))
+    .filter(p => !p.dnc.some(l => suppressLists.includes(l)));
+  const scrubbed = scrub(phones);
+  
+  const result = {
+    ...contact,
+    ownerPhones: scrubbed,
+    ownerPhone: scrubbed.find(p => p.dnc.length === 0)?.number || "",
+    suppressedPhoneCount: (contact.suppressedPhoneCount || 0) + phones.length - scrubbed.length,
+    dncCheckedAt: new Date().toISOString()
+  };
+  if (review) {
+    const reviewScrubbed = scrub(reviewPhones);
+    result.skipTraceReview = {
+      ...review,
+      ownerPhones: reviewScrubbed,
+      ownerPhone: reviewScrubbed.find(p => p.dnc.length === 0)?.number || ""
+    };
+  }
+  return result;
+}
+
+// Re-scrubs every stored lead that carries a newly opted-out number
+export async function applyOptOutToLeads(env, phone) {
+  const rows = await env.DB.prepare(
+    `${LEAD_SELECT_SQL} WHERE c.phones LIKE ? OR c.review LIKE ?`
+  ).bind(`%${phone}%`, `%${phone}%`).all();
+  
+  let updated = 0;
+  for (const row of rows.results) {
+    const { id, summary } = readLeadRow(row);
+    const scrubbed = await scrubContactPhones(env.DB, summary, env);
+    await env.DB.batch(buildLeadWrites(env.DB, id, scrubbed));
+    updated++;
+  }
+  return updated;
+}
@@ -0,0 +1,16 @@
+// ============================================
+// HTTP CLIENT
+// ============================================
+
+// Every outbound call (Claude, Tracerfy, Slack, Twilio, Resend) goes through
+// httpFetch, so tests and the local runner can swap in recorded fixtures
+let fetchImpl = (url, init) => fetch(url, init);
+
+export function httpFetch(url, init) {
+  return fetchImpl(url, init);
+}
+
+// Pass null to go back to the global fetch
+export function setHttpFetch(impl) {
+  fetchImpl = impl || ((url, init) => fetch(url, init));
+}
@@ -0,0 +1,96 @@
+/**
+ * AI Chief of Staff - Expired Listings Worker
+ * Version 2.0 - Fixed Scoring + Tracerfy Skip Tracing
+ * 
+ * Features:
+ * - RFC 4180 CSV parsing with HAR, NTREIS and Stellar column profiles
+ * - 10-point urgency scoring rubric, configurable per market via R2
+ * - Sold/active comparables from R2 with a list-price gap per listing
+ * - Offline geocoding, territory assignment and per-agent door-knock routes
+ * - Previous listing agent / brokerage track records in prompts, Slack and the API
+ * - Weekly/monthly conversion funnel digests to Slack, with CSV/JSON copies in R2
+ * - County appraisal data (absentee, homestead, tenure, value) joined by address
+ * - Pluggable skip tracing (Tracerfy, mock) with async jobs tracked in D1
+ * - Do-Not-Call / litigator scrubbing of every surfaced phone number
+ * - Claude AI analysis for positioning (concurrent, cached, budget-capped)
+ * - D1 lead/contact/analysis tables with versioned migrations and cross-file deduplication
+ * - Slack notifications with top 10 leads, disposition buttons and /expireds
+ * - Multi-touch follow-up cadences with a daily Slack call list
+ * - Direct-mail letters/postcards (HTML + PDF) with a print-vendor manifest
+ * - Drafted first-touch email/SMS with an approval queue and STOP handling
+ * - Per-file pipeline run history with retry and Slack failure alerts
+ * - CSV/zip upload endpoint with header validation and dry-run preview
+ * - JSON REST API for browsing and updating leads
+ * - Signed CRM webhooks with retries and a dead-letter log; Follow Up Boss / kvCORE CSV and vCard exports
+ * - Local test harness (in-memory R2, SQLite D1, HTTP fixtures); see README
+ */
+
+import { processExpiredListings } from "./pipeline.js";
+import { processSkipTraceJobs, SKIP_TRACE_CRON } from "./skip-trace.js";
+import { ensureSchema } from "./migrations.js";
+import { refreshDncLists } from "./dnc.js";
+import { processCadences } from "./cadences.js";
+import { extractEmailReplyText, handleInboundReply, handleOutreachWebhook } from "./outreach.js";
+import { processDigests } from "./digests.js";
+import { handleApiRequest } from "./api.js";
+import { handleSlackRequest } from "./slack-interactivity.js";
+import { processLeadIntegrations } from "./integrations.js";
+
+export default {
+  async scheduled(event, env, ctx) {
+    if (event.cron === SKIP_TRACE_CRON) {
+      console.log("Cron triggered: Refreshing DNC lists, checking skip-trace jobs and retrying webhooks");
+      await refreshDncLists(env);
+      await processSkipTraceJobs(env);
+      await processLeadIntegrations(env);
+      return;
+    }
+    
+    console.log("Cron triggered: Processing expired listings");
+    try {
+      await processExpiredListings(env);
+    } finally {
+      await processCadences(env);
+      await processDigests(env);
+    }
+  },
+
+  // Replies to outreach emails, delivered by Cloudflare Email Routing
+  async email(message, env, ctx) {
+    await ensureSchema(env.DB);
+    const text = await new Response(message.raw).text();
+    await handleInboundReply(env, {
+      channel: "email",
+      from: message.from,
+      body: `${message.headers.get("subject") || ""}\n${extractEmailReplyText(text)}`
+    });
+  },
+
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    // Changes made through the API or Slack go out to webhooks right away.
+    // Uploads change nothing here; their pipeline runs deliver their own.
+    if (url.pathname.startsWith("/api/")) {
+      const response = await handleApiRequest(request, env, url, ctx);
+      if (request.method !== "GET" && !url.pathname.startsWith("/api/uploads")) {
+        ctx.waitUntil(processLeadIntegrations(env));
+      }
+      return response;
+    }
+    if (url.pathname.startsWith("/slack/") && request.method === "POST") {
+      const response = await handleSlackRequest(request, env, ctx, url.pathname.replace(/\/+$/, ""));
+      ctx.waitUntil(processLeadIntegrations(env));
+      return response;
+    }
+    if (url.pathname.startsWith("/webhooks/outreach/") && request.method === "POST") {
+      return handleOutreachWebhook(request, env, url);
+    }
+    
+    if (request.method === "POST") {
+      console.log("Manual trigger: Processing expired listings");
+      ctx.waitUntil(processExpiredListings(env, { trigger: "manual" }));
+      return new Response("Processing started. Check Slack for results.", { status: 200 });
+    }
+    return new Response("AI Chief of Staff - Expired Listings Worker v2.0\nPOST to trigger processing.\nGET /api/leads to browse leads.", { status: 200 });
+  }
+};
@@ -0,0 +1,549 @@
+// ============================================
+// CRM INTEGRATIONS (Webhooks + Exports)
+// ============================================
+
+import { ensureSchema } from "./migrations.js";
+import { LEAD_SELECT_SQL, readLeadRow } from "./storage.js";
+import { formatCSVRow } from "./csv.js";
+import { httpFetch } from "./http.js";
+import { jsonResponse } from "./api.js";
+
+export const LEAD_EVENTS = ["lead.created", "lead.contact_found", "lead.status_changed"];
+
+// Minutes before each retry of a failed delivery; after the last one the
+// delivery is dead-lettered (state "dead") until retried through the API
+const WEBHOOK_RETRY_MINUTES = [15, 60, 240, 720, 1440];
+
+// Work per call, to stay inside the Workers subrequest limit
+const EVENT_BATCH_SIZE = 100;
+const DELIVERY_BATCH_SIZE = 100;
+
+// D1 caps bound parameters per statement
+const LEAD_LOOKUP_BATCH_SIZE = 90;
+
+// Payload key -> lead field (dotted paths reach into analysis, comps etc.).
+// A webhook's fields map is merged over this; map a key to null to drop it.
+const DEFAULT_WEBHOOK_FIELDS = {
+  id: "id",
+  status: "status",
+  urgencyScore: "urgencyScore",
+  mlsNumber: "mlsNumber",
+  address: "address",
+  city: "city",
+  state: "state",
+  zip: "zip",
+  price: "price",
+  beds: "beds",
+  baths: "baths",
+  sqft: "sqft",
+  dom: "dom",
+  cdom: "cdom",
+  expiredDate: "expiredDate",
+  previousAgent: "previousAgent",
+  previousOffice: "previousOffice",
+  ownerName: "ownerName",
+  ownerPhone: "ownerPhone",
+  ownerEmail: "ownerEmail",
+  ownerMailingAddress: "ownerMailingAddress",
+  agentId: "agentId",
+  positioningAngle: "analysis.positioningAngle",
+  firstContactChannel: "analysis.firstContactChannel",
+  sourceFile: "sourceFile",
+  createdAt: "createdAt"
+};
+
+// Import columns, header -> lead field or { value } for a constant.
+// exports.fields.<format> is merged over these the same way.
+const CRM_CSV_FORMATS = {
+  followupboss: {
+    file: "followupboss.csv",
+    columns: {
+      "First Name": "ownerFirstName",
+      "Last Name": "ownerLastName",
+      "Email": "ownerEmail",
+      "Phone": "ownerPhone",
+      "Address": "address",
+      "City": "city",
+      "State": "state",
+      "Zip": "zip",
+      "Stage": { value: "Lead" },
+      "Source": { value: "Expired Listing" },
+      "Tags": "crmTags",
+      "Notes": "crmNotes"
+    }
+  },
+  kvcore: {
+    file: "kvcore.csv",
+    columns: {
+      "First Name": "ownerFirstName",
+      "Last Name": "ownerLastName",
+      "Email": "ownerEmail",
+      "Cell Phone": "ownerPhone",
+      "Address": "address",
+      "City": "city",
+      "State": "state",
+      "Zip": "zip",
+      "Deal Type": { value: "Seller" },
+      "Source": { value: "Expired Listing" },
+      "Hashtags": "crmTags",
+      "Notes": "crmNotes"
+    }
+  }
+};
+
+const EXPORT_FORMATS = [...Object.keys(CRM_CSV_FORMATS), "vcard"];
+
+// No webhooks until configured; exports go out for every lead with an owner
+// to reach. Override by uploading JSON of the same shape to R2 at
+// INTEGRATIONS_CONFIG_KEY:
+//   webhooks: [{ name, url, events?, minScore?, signingSecret?, fields? }]
+//   exports: { formats, minScore, fields: { followupboss?, kvcore? } }
+// signingSecret names the worker secret that signs the webhook's requests
+// (default WEBHOOK_SIGNING_SECRET).
+const DEFAULT_INTEGRATION_CONFIG = {
+  version: "integrations-default-1",
+  webhooks: [],
+  exports: { formats: EXPORT_FORMATS, minScore: 0, fields: {} }
+};
+
+export async function loadIntegrationConfig(env) {
+  const key = env.INTEGRATIONS_CONFIG_KEY || "config/integrations.json";
+  
+  try {
+    const object = await env.R2_BUCKET.get(key);
+    if (!object) {
+      return DEFAULT_INTEGRATION_CONFIG;
+    }
+    
+    const loaded = await object.json();
+    const config = {
+      ...loaded,
+      webhooks: loaded.webhooks || [],
+      exports: { ...DEFAULT_INTEGRATION_CONFIG.exports, ...loaded.exports }
+    };
+    const problem = validateIntegrationConfig(config);
+    if (problem) {
+      console.error(`Invalid integrations config at ${key}: ${problem}. Using ${DEFAULT_INTEGRATION_CONFIG.version}`);
+      return DEFAULT_INTEGRATION_CONFIG;
+    }
+    
+    console.log(`Loaded integrations config ${config.version} from ${key}`);
+    return config;
+  } catch (error) {
+    console.error("Integrations config load error:", error.message || error);
+    return DEFAULT_INTEGRATION_CONFIG;
+  }
+}
+
+// Returns a description of the first problem found, or null if the config is usable
+function validateIntegrationConfig(config) {
+  if (typeof config.version !== "string") return "missing version";
+  if (!Array.isArray(config.webhooks)) return "webhooks must be an array";
+  
+  const names = new Set();
+  for (const webhook of config.webhooks) {
+    if (!webhook.name) return "every webhook needs a name";
+    if (names.has(webhook.name)) return `webhook name ${webhook.name} is used twice`;
+    names.add(webhook.name);
+    if (!/^https:\/\//.test(webhook.url || "")) return `webhook ${webhook.name} needs an https url`;
+    const unknown = (webhook.events || []).find(event => !LEAD_EVENTS.includes(event));
+    if (unknown) return `webhook ${webhook.name} subscribes to unknown event ${unknown}`;
+    const problem = validateFieldMap(webhook.fields);
+    if (problem) return `webhook ${webhook.name} fields: ${problem}`;
+  }
+  
+  const { formats, fields } = config.exports;
+  if (!Array.isArray(formats)) return "exports.formats must be an array";
+  const unknown = formats.find(format => !EXPORT_FORMATS.includes(format));
+  if (unknown) return `unknown export format ${unknown}`;
+  for (const [format, map] of Object.entries(fields || {})) {
+    if (!CRM_CSV_FORMATS[format]) return `exports.fields.${format}: only ${Object.keys(CRM_CSV_FORMATS).join(", ")} take field maps`;
+    const problem = validateFieldMap(map);
+    if (problem) return `exports.fields.${format}: ${problem}`;
+  }
+  return null;
+}
+
+function validateFieldMap(map) {
+  if (map === undefined) return null;
+  if (!map || typeof map !== "object" || Array.isArray(map)) return "must be an object";
+  for (const [name, source] of Object.entries(map)) {
+    const valid = source === null || typeof source === "string" || (source && typeof source === "object" && "value" in source);
+    if (!valid) return `${name} must map to a field name, { value } or null`;
+  }
+  return null;
+}
+
+// ============================================
+// LEAD EVENTS
+// ============================================
+
+// Add to the batch that makes the change, so the event is recorded if and
+// only if the change is. processLeadIntegrations delivers it. With leadId
+// null the event is for the lead inserted earlier in the batch (lead ids only
+// grow, and a batch is a transaction).
+export function buildLeadEventInsert(db, leadId, event, data = null) {
+  const dataJson = data ? JSON.stringify(data) : null;
+  if (leadId === null) {
+    return db.prepare(`INSERT INTO lead_events (lead_id, event, data) VALUES ((SELECT MAX(id) FROM leads), ?, ?)`)
+      .bind(event, dataJson);
+  }
+  return db.prepare(`INSERT INTO lead_events (lead_id, event, data) VALUES (?, ?, ?)`)
+    .bind(leadId, event, dataJson);
+}
+
+// Fans new events out to the webhooks subscribed to them, then attempts
+// every delivery that is due. Runs after each pipeline run, on the frequent
+// cron and after API / Slack changes.
+export async function processLeadIntegrations(env) {
+  try {
+    await ensureSchema(env.DB);
+    const config = await loadIntegrationConfig(env);
+    let dispatched;
+    do {
+      dispatched = await dispatchLeadEvents(env.DB, config);
+    } while (dispatched === EVENT_BATCH_SIZE);
+    await deliverWebhooks(env, config);
+  } catch (error) {
+    console.error("Lead integrations error:", error);
+  }
+}
+
+// Returns how many events it handled. The payload is built now, so retries
+// send what the lead looked like when the event fired.
+async function dispatchLeadEvents(db, config) {
+  const { results: events } = await db.prepare(
+    `SELECT * FROM lead_events WHERE dispatched_at IS NULL ORDER BY id LIMIT ?`
+  ).bind(EVENT_BATCH_SIZE).all();
+  if (events.length === 0) return 0;
+  
+  const leads = config.webhooks.length > 0 ? await getIntegrationLeads(db, events.map(e => e.lead_id)) : new Map();
+  const statements = [];
+  for (const event of events) {
+    const lead = leads.get(event.lead_id);
+    if (!lead) continue;
+    
+    for (const webhook of config.webhooks) {
+      if (webhook.events && !webhook.events.includes(event.event)) continue;
+      if (lead.urgencyScore < (webhook.minScore ?? 0)) continue;
+      statements.push(
+        db.prepare(
+          `INSERT OR IGNORE INTO webhook_deliveries (event_id, lead_id, event, webhook, body) VALUES (?, ?, ?, ?, ?)`
+        ).bind(event.id, event.lead_id, event.event, webhook.name, JSON.stringify(buildWebhookPayload(event, lead, webhook)))
+      );
+    }
+  }
+  statements.push(
+    db.prepare(`UPDATE lead_events SET dispatched_at = datetime('now') WHERE dispatched_at IS NULL AND id <= ?`)
+      .bind(events[events.length - 1].id)
+  );
+  await db.batch(statements);
+  
+  return events.length;
+}
+
+function buildWebhookPayload(event, lead, webhook) {
+  const payload = {
+    id: event.id,
+    event: event.event,
+    occurredAt: `${event.created_at.replace(" ", "T")}Z`,
+    lead: mapLeadFields(lead, { ...DEFAULT_WEBHOOK_FIELDS, ...webhook.fields })
+  };
+  if (event.data) payload.change = JSON.parse(event.data);
+  return payload;
+}
+
+async function deliverWebhooks(env, config) {
+  const { results: deliveries } = await env.DB.prepare(
+    `SELECT * FROM webhook_deliveries WHERE state = 'pending' AND next_attempt_at <= datetime('now') ORDER BY id LIMIT ?`
+  ).bind(DELIVERY_BATCH_SIZE).all();
+  if (deliveries.length === 0) return;
+  
+  const webhooks = new Map(config.webhooks.map(webhook => [webhook.name, webhook]));
+  let delivered = 0;
+  for (const delivery of deliveries) {
+    const webhook = webhooks.get(delivery.webhook);
+    const outcome = webhook
+      ? await sendWebhook(env, webhook, delivery)
+      : { error: `Webhook ${delivery.webhook} is no longer configured` };
+    if (!outcome.error) delivered++;
+    await recordDeliveryAttempt(env.DB, delivery, outcome);
+  }
+  console.log(`Webhooks: ${delivered}/${deliveries.length} deliveries succeeded`);
+}
+
+// POSTs the stored body with X-Lead-Signature: t=<unix seconds>,v1=<hex
+// HMAC-SHA256 of "<t>.<body>">, so receivers can reject forged or replayed calls
+async function sendWebhook(env, webhook, delivery) {
+  const secretName = webhook.signingSecret || "WEBHOOK_SIGNING_SECRET";
+  if (!env[secretName]) {
+    return { error: `Signing secret ${secretName} is not set` };
+  }
+  
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await httpFetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Lead-Event": delivery.event,
+        "X-Lead-Delivery": String(delivery.id),
+        "X-Lead-Signature": `t=${timestamp},v1=${await signWebhookBody(env[secretName], timestamp, delivery.body)}`
+      },
+      body: delivery.body
+    });
+    if (!response.ok) {
+      return { status: response.status, error: `HTTP ${response.status}` };
+    }
+    return { status: response.status };
+  } catch (error) {
+    return { error: error.message || String(error) };
+  }
+}
+
+export async function signWebhookBody(secret, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, encoder.encode(`${timestamp}.${body}`));
+  return [...new Uint8Array(mac)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function recordDeliveryAttempt(db, delivery, { status = null, error = null }) {
+  const attempts = delivery.attempts + 1;
+  const state = !error ? "delivered" : attempts > WEBHOOK_RETRY_MINUTES.length ? "dead" : "pending";
+  if (state === "dead") {
+    console.error(`Webhook delivery ${delivery.id} (${delivery.event} to ${delivery.webhook}) dead-lettered after ${attempts} attempts: ${error}`);
+  }
+  
+  try {
+    await db.prepare(
+      `UPDATE webhook_deliveries
+       SET state = ?, attempts = ?, response_status = ?, error = ?, last_attempt_at = datetime('now'),
+           next_attempt_at = datetime('now', ?),
+           delivered_at = CASE WHEN ? = 'delivered' THEN datetime('now') END
+       WHERE id = ?`
+    ).bind(
+      state, attempts, status, error,
+      state === "pending" ? `+${WEBHOOK_RETRY_MINUTES[attempts - 1]} minutes` : "+0 minutes",
+      state, delivery.id
+    ).run();
+  } catch (dbError) {
+    console.error("Webhook delivery update error:", dbError);
+  }
+}
+
+export function formatWebhookDelivery(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    event: row.event,
+    leadId: row.lead_id,
+    webhook: row.webhook,
+    state: row.state,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    nextAttemptAt: row.state === "pending" ? row.next_attempt_at : null,
+    lastAttemptAt: row.last_attempt_at,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at
+  };
+}
+
+// GET /api/webhooks/deliveries; ?state=dead is the dead-letter log
+export async function listWebhookDeliveries(db, params) {
+  const conditions = ["1 = 1"];
+  const bindings = [];
+  for (const [param, column] of [["state", "state"], ["webhook", "webhook"], ["event", "event"], ["lead", "lead_id"]]) {
+    if (params.get(param)) {
+      conditions.push(`${column} = ?`);
+      bindings.push(param === "lead" ? parseInt(params.get(param)) : params.get(param));
+    }
+  }
+  
+  const limit = Math.min(Math.max(parseInt(params.get("limit")) || 50, 1), 200);
+  const offset = Math.max(parseInt(params.get("offset")) || 0, 0);
+  const where = conditions.join(" AND ");
+  
+  const [countResult, rowsResult] = await db.batch([
+    db.prepare(`SELECT COUNT(*) as total FROM webhook_deliveries WHERE ${where}`).bind(...bindings),
+    db.prepare(`SELECT * FROM webhook_deliveries WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .bind(...bindings, limit, offset)
+  ]);
+  
+  const total = countResult.results[0]?.total || 0;
+  return jsonResponse({
+    total,
+    limit,
+    offset,
+    nextOffset: offset + limit < total ? offset + limit : null,
+    deliveries: rowsResult.results.map(formatWebhookDelivery)
+  });
+}
+
+// Gives a dead-lettered delivery a fresh set of attempts; the first is made
+// as soon as the request finishes (see fetch in index.js)
+export async function retryWebhookDelivery(db, id) {
+  const row = await db.prepare(`SELECT * FROM webhook_deliveries WHERE id = ?`).bind(id).first();
+  if (!row) {
+    return jsonResponse({ error: "Delivery not found" }, 404);
+  }
+  if (row.state !== "dead") {
+    return jsonResponse({ error: `Only dead deliveries can be retried; delivery ${id} is ${row.state}` }, 409);
+  }
+  
+  await db.prepare(
+    `UPDATE webhook_deliveries SET state = 'pending', attempts = 0, next_attempt_at = datetime('now') WHERE id = ?`
+  ).bind(id).run();
+  
+  const queued = await db.prepare(`SELECT * FROM webhook_deliveries WHERE id = ?`).bind(id).first();
+  return jsonResponse(formatWebhookDelivery(queued), 202);
+}
+
+// ============================================
+// CRM EXPORTS
+// ============================================
+
+// Writes the leads that have an owner to reach (and meet exports.minScore)
+// as CRM import files under CRM_EXPORT_PREFIX/<label>/. Returns the keys.
+export async function exportLeadsToCrm(env, leadIds, label) {
+  try {
+    const { exports } = await loadIntegrationConfig(env);
+    if (exports.formats.length === 0 || leadIds.length === 0) return [];
+    
+    const leads = [...(await getIntegrationLeads(env.DB, leadIds)).values()]
+      .filter(lead => lead.urgencyScore >= (exports.minScore ?? 0))
+      .filter(lead => lead.ownerName || lead.ownerPhone || lead.ownerEmail)
+      .sort((a, b) => b.urgencyScore - a.urgencyScore);
+    if (leads.length === 0) return [];
+    
+    const prefix = `${env.CRM_EXPORT_PREFIX || "crm-exports/"}${label}/`;
+    const keys = [];
+    for (const format of exports.formats) {
+      if (format === "vcard") {
+        await env.R2_BUCKET.put(`${prefix}leads.vcf`, leads.map(formatVCard).join(""), {
+          httpMetadata: { contentType: "text/vcard" }
+        });
+        keys.push(`${prefix}leads.vcf`);
+        continue;
+      }
+      const { file, columns } = CRM_CSV_FORMATS[format];
+      await env.R2_BUCKET.put(`${prefix}${file}`, formatCrmCSV(leads, { ...columns, ...exports.fields?.[format] }), {
+        httpMetadata: { contentType: "text/csv" }
+      });
+      keys.push(`${prefix}${file}`);
+    }
+    
+    console.log(`Exported ${leads.length} leads to ${keys.join(", ")}`);
+    return keys;
+  } catch (error) {
+    console.error("CRM export error:", error);
+    return [];
+  }
+}
+
+export function formatCrmCSV(leads, columns) {
+  const used = Object.entries(columns).filter(([, source]) => source !== null);
+  const rows = leads.map(lead => formatCSVRow(used.map(([, source]) => formatExportValue(getLeadField(lead, source)))));
+  return [formatCSVRow(used.map(([header]) => header)), ...rows].join("\n") + "\n";
+}
+
+// Phone types as skip tracing reports them, to vCard TEL types
+const VCARD_PHONE_TYPES = { mobile: "CELL", landline: "HOME" };
+
+// vCard 3.0, one card per lead, for CRMs and phones without a CSV import.
+// Only phones the DNC scrub cleared go in; these files feed dialers.
+export function formatVCard(lead) {
+  const phones = lead.ownerPhones?.length
+    ? lead.ownerPhones.filter(p => p.dnc?.length === 0)
+    : [{ number: lead.ownerPhone, type: "unknown" }];
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `N:${escapeVCard(lead.ownerLastName)};${escapeVCard(lead.ownerFirstName)};;;`,
+    `FN:${escapeVCard(lead.ownerName || `Owner of ${lead.address}`)}`,
+    ...phones
+      .filter(p => p.number)
+      .map(p => `TEL;TYPE=${VCARD_PHONE_TYPES[p.type] || "VOICE"}:${escapeVCard(p.number)}`),
+    ...(lead.ownerEmails?.length ? lead.ownerEmails : [lead.ownerEmail])
+      .filter(Boolean)
+      .map(email => `EMAIL;TYPE=INTERNET:${escapeVCard(email)}`),
+    `ADR;TYPE=HOME:;;${[lead.address, lead.city, lead.state, lead.zip].map(escapeVCard).join(";")};USA`,
+    `NOTE:${escapeVCard(lead.crmNotes)}`,
+    `UID:expired-lead-${lead.id}`,
+    "END:VCARD"
+  ];
+  return lines.join("\r\n") + "\r\n";
+}
+
+function escapeVCard(value) {
+  return String(value ?? "").replace(/([\\;,])/g, "\\$1").replace(/\r?\n/g, "\\n");
+}
+
+// ============================================
+// LEAD FIELDS
+// ============================================
+
+// Leads by id as one flat object: the summary plus id/status/score and the
+// derived owner name parts, tags and notes the exports use
+async function getIntegrationLeads(db, leadIds) {
+  const ids = [...new Set(leadIds)];
+  const leads = new Map();
+  for (let i = 0; i < ids.length; i += LEAD_LOOKUP_BATCH_SIZE) {
+    const chunk = ids.slice(i, i + LEAD_LOOKUP_BATCH_SIZE);
+    const { results } = await db.prepare(
+      `${LEAD_SELECT_SQL} WHERE l.id IN (${chunk.map(() => "?").join(", ")})`
+    ).bind(...chunk).all();
+    for (const row of results) {
+      const lead = readLeadRow(row);
+      leads.set(lead.id, toIntegrationLead(lead));
+    }
+  }
+  return leads;
+}
+
+function toIntegrationLead({ id, status, urgencyScore, createdAt, summary }) {
+  const name = (summary.ownerName || "").trim();
+  const split = name.lastIndexOf(" ");
+  const notes = [
+    `Expired listing${summary.mlsNumber ? ` (MLS #${summary.mlsNumber})` : ""}, ${summary.price || "price n/a"}, ${summary.dom ?? "?"} DOM`,
+    `Urgency ${urgencyScore}/10`,
+    summary.previousOffice ? `Previously listed with ${summary.previousOffice}` : null,
+    summary.analysis?.positioningAngle
+  ].filter(Boolean);
+  
+  return {
+    ...summary,
+    id,
+    status,
+    urgencyScore,
+    createdAt,
+    ownerFirstName: split === -1 ? name : name.slice(0, split),
+    ownerLastName: split === -1 ? "" : name.slice(split + 1),
+    crmTags: ["Expired Listing", `Score ${Math.round(urgencyScore)}`, summary.zip].filter(Boolean),
+    crmNotes: notes.join(". ")
+  };
+}
+
+function getLeadField(lead, source) {
+  if (source && typeof source === "object") return source.value;
+  return source.split(".").reduce((value, key) => value?.[key], lead);
+}
+
+function mapLeadFields(lead, fields) {
+  const mapped = {};
+  for (const [name, source] of Object.entries(fields)) {
+    if (source === null) continue;
+    mapped[name] = getLeadField(lead, source) ?? null;
+  }
+  return mapped;
+}
+
+// Lists become comma-separated, objects JSON
+function formatExportValue(value) {
+  if (Array.isArray(value)) return value.map(v => (v && typeof v === "object" ? v.number ?? JSON.stringify(v) : v)).join(", ");
+  if (value && typeof value === "object") return JSON.stringify(value);
+  return value;
+}
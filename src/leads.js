@@ -0,0 +1,222 @@
+// ============================================
+// LEAD DEDUPLICATION & SIGHTING HISTORY
+// ============================================
+
+import { CADENCE_STOP_STATUSES, stopLeadCadence } from "./cadences.js";
+import { buildLeadWrites, buildSightingInsert, LEAD_SELECT_SQL, normalizeProfileName, readLeadRow } from "./storage.js";
+import { buildLeadEventInsert } from "./integrations.js";
+
+// MLS statuses that mean the owner is back on the market with an agent
+const RELISTED_STATUS_PATTERN = /\b(active|pending|under contract|option contract|contingent)\b/i;
+
+// Leads a relist takes out of the agent's hands; later stages (appointment,
+// listed, dead) are the agent's call and stay put
+const RELISTABLE_STATUSES = ["new", "contacted"];
+
+// A file with any pipeline run - even a failed one - is left to the retry
+// endpoint; source files cover leads from before run tracking
+export async function getProcessedFiles(db) {
+  const result = await db.prepare(
+    `SELECT csv_filename FROM pipeline_runs
+     UNION SELECT filename FROM source_files
+     UNION SELECT csv_filename FROM listing_sightings`
+  ).all();
+  return new Set(result.results.map(r => r.csv_filename).filter(Boolean));
+}
+
+// Lead keys from this file that made it into the database
+export async function getStoredLeadKeys(db, csvFilename) {
+  const result = await db.prepare(
+    `SELECT lead_key FROM listing_sightings WHERE csv_filename = ? AND intelligence_id IS NOT NULL`
+  ).bind(csvFilename).all();
+  return new Set(result.results.map(r => r.lead_key));
+}
+
+// Leads are keyed on MLS number, falling back to a normalized address
+export function getLeadKey(listing) {
+  const mlsNumber = (listing.mlsNumber || "").trim();
+  if (mlsNumber) {
+    return `mls:${mlsNumber}`;
+  }
+  return `addr:${normalizeAddress(listing.address)}|${(listing.zip || "").trim().slice(0, 5)}`;
+}
+
+// The property behind a listing, which outlives its MLS number when it is
+// relisted; null without an address to go on
+export function getPropertyKey(listing) {
+  const address = normalizeAddress(listing.address);
+  return address ? `addr:${address}|${(listing.zip || "").trim().slice(0, 5)}` : null;
+}
+
+function normalizeAddress(address) {
+  return (address || "")
+    .toLowerCase()
+    .replace(/[.,#]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Overlapping rows within a single export keep the last occurrence
+export function dedupeListings(listings) {
+  const byKey = new Map();
+  for (const listing of listings) {
+    byKey.set(getLeadKey(listing), listing);
+  }
+  return [...byKey.values()];
+}
+
+export function isRelistedStatus(status) {
+  return RELISTED_STATUS_PATTERN.test(status || "");
+}
+
+// By MLS number, then by address: a relist with a new agent usually gets a
+// new MLS number
+export async function findExistingLead(db, listing) {
+  try {
+    let row = await db.prepare(
+      `${LEAD_SELECT_SQL} WHERE l.lead_key = ? ORDER BY l.id ASC LIMIT 1`
+    ).bind(listing.leadKey).first();
+    if (!row && listing.propertyKey) {
+      row = await db.prepare(
+        `${LEAD_SELECT_SQL} WHERE l.id IN (SELECT intelligence_id FROM listing_sightings WHERE property_key = ?)
+         ORDER BY l.id ASC LIMIT 1`
+      ).bind(listing.propertyKey).first();
+    }
+    
+    if (!row) return null;
+    const { id, status, summary } = readLeadRow(row);
+    return { id, status, summary };
+  } catch (error) {
+    console.error("Lead lookup error:", error);
+    return null;
+  }
+}
+
+export async function updateExistingLead(db, existing, listing) {
+  const relisted = isRelistedStatus(listing.status);
+  let status = existing.status;
+  if (relisted && RELISTABLE_STATUSES.includes(existing.status)) {
+    status = "relisted";
+  } else if (!relisted && existing.status === "relisted") {
+    status = "new"; // Expired again after relisting with someone else
+  }
+  
+  const summary = {
+    ...existing.summary,
+    leadKey: listing.leadKey,
+    mlsNumber: listing.mlsNumber || existing.summary.mlsNumber,
+    price: listing.price,
+    dom: listing.daysOnMarket,
+    cdom: listing.cumulativeDaysOnMarket,
+    listingStatus: listing.status,
+    rubricVersion: listing.rubricVersion,
+    scoreBreakdown: listing.scoreBreakdown,
+    yearBuilt: existing.summary.yearBuilt ?? listing.yearBuilt,
+    comps: listing.comps ?? existing.summary.comps ?? null,
+    appraisal: listing.appraisal ?? existing.summary.appraisal ?? null,
+    location: listing.location ?? existing.summary.location ?? null,
+    // Whoever already has the lead keeps it when territories change
+    agentId: existing.summary.agentId ?? listing.agentId ?? null,
+    lastSeenFile: listing.csvFilename,
+    lastSeenAt: new Date().toISOString()
+  };
+  
+  // Who the owner relisted with: an active sighting, or a later expiry under
+  // a different agent. Feeds the previous agent's relist rate.
+  const previousAgent = existing.summary.previousAgent;
+  const newAgent = Boolean(previousAgent && listing.listingAgent) &&
+    normalizeProfileName(listing.listingAgent) !== normalizeProfileName(previousAgent);
+  if (relisted || newAgent) {
+    summary.relistedAgent = (newAgent ? listing.listingAgent : previousAgent) || existing.summary.relistedAgent || null;
+    summary.relistedOffice = listing.listingOffice || existing.summary.relistedOffice || null;
+  } else {
+    summary.expiredDom = listing.daysOnMarket;
+    summary.expiredDate = listing.expiredDate || existing.summary.expiredDate;
+    if (!existing.summary.previousOffice && listing.listingOffice) {
+      summary.previousOffice = listing.listingOffice; // Leads stored before offices were kept
+    }
+  }
+  
+  const statements = buildLeadWrites(db, existing.id, summary, { status, urgencyScore: listing.urgencyScore });
+  if (status !== existing.status) {
+    statements.push(
+      db.prepare(
+        `INSERT INTO lead_status_history (intelligence_id, from_status, to_status, source) VALUES (?, ?, ?, ?)`
+      ).bind(existing.id, existing.status, status, "pipeline"),
+      buildLeadEventInsert(db, existing.id, "lead.status_changed", { from: existing.status, to: status, source: "pipeline" })
+    );
+  }
+  try {
+    await db.batch(statements);
+  } catch (error) {
+    console.error("Lead update error:", error);
+  }
+  
+  if (status === "relisted" && existing.status !== "relisted") {
+    console.log(`Lead ${existing.id} relisted (${listing.status}): ${listing.address}`);
+    try {
+      await stopLeadCadence(db, existing.id).run();
+    } catch (error) {
+      console.error("Cadence stop error:", error);
+    }
+  }
+  
+  // Carry the stored owner contact and analysis forward for reporting
+  return {
+    ...listing,
+    leadId: existing.id,
+    leadStatus: status,
+    agentId: summary.agentId,
+    ownerName: existing.summary.ownerName || "",
+    ownerPhone: existing.summary.ownerPhone || "",
+    ownerPhones: existing.summary.ownerPhones || [],
+    ownerEmail: existing.summary.ownerEmail || "",
+    analysis: existing.summary.analysis
+  };
+}
+
+// Applies a status change, a note and/or summary edits to a lead and records
+// the status history. mutate(summary) may return an error string to abort.
+// Returns null when the lead doesn't exist.
+export async function updateLeadRecord(db, id, { status, note, source, author = null, mutate = null }) {
+  const row = await db.prepare(`${LEAD_SELECT_SQL} WHERE l.id = ?`).bind(id).first();
+  if (!row) return null;
+  
+  const { summary } = readLeadRow(row);
+  if (mutate) {
+    const error = await mutate(summary);
+    if (error) return { error };
+  }
+  if (note !== undefined && note !== null) {
+    const entry = { text: note.trim(), createdAt: new Date().toISOString(), source };
+    if (author) entry.author = author;
+    summary.notes = [...(summary.notes || []), entry];
+  }
+  
+  const newStatus = status ?? row.status;
+  const statements = buildLeadWrites(db, id, summary, { status: newStatus });
+  if (newStatus !== row.status) {
+    statements.push(
+      db.prepare(
+        `INSERT INTO lead_status_history (intelligence_id, from_status, to_status, source) VALUES (?, ?, ?, ?)`
+      ).bind(id, row.status, newStatus, source),
+      buildLeadEventInsert(db, id, "lead.status_changed", { from: row.status, to: newStatus, source })
+    );
+    if (CADENCE_STOP_STATUSES.includes(newStatus)) {
+      statements.push(stopLeadCadence(db, id));
+    }
+  }
+  await db.batch(statements);
+  
+  return { id, previousStatus: row.status, status: newStatus, summary };
+}
+
+// leadId null for a listing with no lead (first seen already relisted); the
+// sighting still counts toward the property's timeline
+export async function recordSighting(db, leadId, listing) {
+  try {
+    await buildSightingInsert(db, leadId, listing, { unmatched: leadId === null }).run();
+  } catch (error) {
+    console.error("Sighting insert error:", error);
+  }
+}
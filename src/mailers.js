@@ -0,0 +1,306 @@
+// ============================================
+// DIRECT MAIL
+// ============================================
+
+import { formatCSVRow } from "./csv.js";
+import { SKIP_TRACE_JOB_MAX_AGE_HOURS } from "./skip-trace.js";
+import { renderTemplate } from "./analysis.js";
+import { updateLeadRecord } from "./leads.js";
+import { LEAD_HAS_CONTACT_SQL, LEAD_SELECT_SQL } from "./storage.js";
+import { CADENCE_ACTIVE_STATUSES, completeDueTouches } from "./cadences.js";
+import { leadFromRow } from "./slack-interactivity.js";
+
+// Default mail copy. Override per format by uploading plain text to R2 at
+// MAILER_TEMPLATE_PREFIX + "<format>.txt". Blank lines separate paragraphs;
+// {{placeholders}} come from buildMailerValues.
+const DEFAULT_MAILER_TEMPLATES = {
+  letter: `{{date}}
+
+{{recipientName}}
+{{recipientAddress}}
+
+Dear {{salutation}},
+
+I noticed your home at {{propertyAddress}} came off the market after {{daysOnMarket}} days. After that long most owners are tired of showings and frustrated with the silence, and that is completely understandable.
+
+{{positioningAngle}}
+
+{{talkingPointsList}}
+
+{{priceParagraph}}
+
+If you still want to sell, I would welcome 15 minutes to walk you through what I would do differently. There is no obligation - reach me any time at {{agentContact}}.
+
+Sincerely,
+
+{{agentName}}
+{{agentBio}}`,
+  postcard: `Dear {{salutation}},
+
+Your home at {{propertyAddress}} didn't sell - but it still can.
+
+{{positioningAngle}}
+
+{{agentName}}, {{agentBio}}
+{{agentContact}}`
+};
+
+// Page size, margin and font size in PDF points
+const MAILER_FORMATS = {
+  letter: { width: 612, height: 792, margin: 72, fontSize: 11 },
+  postcard: { width: 432, height: 288, margin: 24, fontSize: 9 }
+};
+
+// No-contact leads below this score aren't worth the postage
+const DEFAULT_MAILER_MIN_SCORE = 4;
+
+// Letters generated per day at most
+const MAILER_BATCH_LIMIT = 50;
+
+const MAILER_MANIFEST_COLUMNS = [
+  "lead_id", "format", "recipient_name", "address_line1", "city", "state", "zip",
+  "address_source", "pdf_key", "html_key", "return_name", "return_address"
+];
+
+// Renders letters for due cadence letter touches and for active leads that
+// have no phone or email and have never been mailed, stores them under
+// mailers/<date>/ with a manifest, and records the mailing on each lead
+export async function generateMailers(env, letterTouches, listDate) {
+  const db = env.DB;
+  const format = MAILER_FORMATS[env.MAILER_FORMAT] ? env.MAILER_FORMAT : "letter";
+  const minScore = parseFloat(env.MAILER_MIN_SCORE ?? DEFAULT_MAILER_MIN_SCORE);
+  
+  // Skip tracing gets its full window before a lead counts as "no contact"
+  const statuses = CADENCE_ACTIVE_STATUSES.map(() => "?").join(", ");
+  const noContact = await db.prepare(
+    `${LEAD_SELECT_SQL}
+     WHERE l.status IN (${statuses}) AND l.urgency_score >= ?
+       AND NOT ${LEAD_HAS_CONTACT_SQL}
+       AND json_array_length(COALESCE(l.mailings, '[]')) = 0
+       AND (c.provider IS NOT NULL OR l.created_at <= datetime('now', ?))
+     ORDER BY l.urgency_score DESC LIMIT ?`
+  ).bind(...CADENCE_ACTIVE_STATUSES, minScore, `-${SKIP_TRACE_JOB_MAX_AGE_HOURS} hours`, MAILER_BATCH_LIMIT).all();
+  
+  const rows = [...letterTouches, ...noContact.results]
+    .filter((row, i, all) => all.findIndex(r => r.id === row.id) === i)
+    .slice(0, MAILER_BATCH_LIMIT);
+  if (rows.length === 0) return;
+  
+  const template = await loadMailerTemplate(env, format);
+  const prefix = `mailers/${listDate}/`;
+  const manifest = [MAILER_MANIFEST_COLUMNS.join(",")];
+  let mailed = 0;
+  
+  for (const row of rows) {
+    const lead = leadFromRow(row);
+    const recipient = getMailingRecipient(lead);
+    if (!recipient.line1 || !recipient.zip) {
+      console.log(`Skipping mailer for lead ${lead.leadId}: no usable mailing address`);
+      continue;
+    }
+    
+    try {
+      const text = renderMailerText(template, buildMailerValues(lead, recipient, env, listDate));
+      const baseKey = `${prefix}${lead.leadId}-${format}`;
+      await env.R2_BUCKET.put(`${baseKey}.html`, renderMailerHtml(text, format), {
+        httpMetadata: { contentType: "text/html; charset=utf-8" }
+      });
+      await env.R2_BUCKET.put(`${baseKey}.pdf`, renderMailerPdf(text, MAILER_FORMATS[format]), {
+        httpMetadata: { contentType: "application/pdf" }
+      });
+      
+      manifest.push(formatCSVRow([
+        lead.leadId, format, recipient.name, recipient.line1, recipient.city, recipient.state, recipient.zip,
+        recipient.source, `${baseKey}.pdf`, `${baseKey}.html`, env.AGENT_NAME || "", env.MAILER_RETURN_ADDRESS || ""
+      ]));
+      await recordMailing(db, lead.leadId, {
+        date: listDate,
+        format,
+        pdfKey: `${baseKey}.pdf`,
+        htmlKey: `${baseKey}.html`,
+        address: [recipient.line1, recipient.city, `${recipient.state} ${recipient.zip}`].join(", "),
+        addressSource: recipient.source
+      });
+      mailed++;
+    } catch (error) {
+      console.error(`Mailer error for lead ${lead.leadId}:`, error);
+    }
+  }
+  
+  if (mailed > 0) {
+    // Re-running the same day replaces the manifest, so append to any earlier one
+    const existing = await env.R2_BUCKET.get(`${prefix}manifest.csv`);
+    const previousRows = existing ? (await existing.text()).trim().split("\n").slice(1) : [];
+    await env.R2_BUCKET.put(`${prefix}manifest.csv`, [manifest[0], ...previousRows, ...manifest.slice(1)].join("\n") + "\n", {
+      httpMetadata: { contentType: "text/csv" }
+    });
+  }
+  console.log(`Generated ${mailed} ${format} mailers under ${prefix}`);
+}
+
+async function loadMailerTemplate(env, format) {
+  const key = `${env.MAILER_TEMPLATE_PREFIX || "config/mailers/"}${format}.txt`;
+  try {
+    const object = await env.R2_BUCKET.get(key);
+    if (object) return await object.text();
+  } catch (error) {
+    console.error("Mailer template load error:", error.message || error);
+  }
+  return DEFAULT_MAILER_TEMPLATES[format];
+}
+
+// Skip-traced mailing address when there is one, else the property itself
+export function getMailingRecipient(lead) {
+  const name = lead.ownerName || lead.appraisal?.ownerName || "Current Owner";
+  const mailing = parseMailingAddress(lead.ownerMailingAddress || "");
+  if (mailing) {
+    return { ...mailing, name, source: "owner_mailing" };
+  }
+  // Absentee owners don't get mail at the property
+  if (lead.appraisal?.mailing) {
+    return { ...lead.appraisal.mailing, name, source: "appraisal" };
+  }
+  return {
+    line1: lead.address,
+    city: lead.city,
+    state: lead.state || "",
+    zip: lead.zip,
+    name,
+    source: "property"
+  };
+}
+
+// "123 Main St, Houston, TX 77001" -> parts; null if it doesn't look like that
+function parseMailingAddress(text) {
+  const match = text.trim().match(/^(.+?),\s*([^,]+),\s*([A-Za-z]{2})\s+(\d{5}(?:-\d{4})?)$/);
+  if (!match) return null;
+  return { line1: match[1], city: match[2], state: match[3].toUpperCase(), zip: match[4] };
+}
+
+export function buildMailerValues(lead, recipient, env, listDate) {
+  const analysis = lead.analysis || {};
+  const range = analysis.suggestedListPriceRange;
+  const ownerFirstName = (lead.ownerName || "").split(/\s+/)[0];
+  
+  return {
+    date: new Date(`${listDate}T12:00:00Z`).toLocaleDateString("en-US", { month: "long", day: "numeric", year: "numeric" }),
+    recipientName: recipient.name,
+    recipientAddress: `${recipient.line1}\n${recipient.city}, ${recipient.state} ${recipient.zip}`,
+    salutation: ownerFirstName ? ownerFirstName : "Homeowner",
+    propertyAddress: lead.address,
+    daysOnMarket: lead.cumulativeDaysOnMarket || lead.daysOnMarket || "many",
+    positioningAngle: analysis.positioningAngle && analysis.positioningAngle !== "Lower priority - not analyzed"
+      ? analysis.positioningAngle
+      : "",
+    talkingPointsList: (analysis.talkingPoints || []).slice(0, 3).map(point => `• ${point}`).join("\n"),
+    priceParagraph: range?.low && range?.high
+      ? `Based on what is selling nearby, I would position your home between $${range.low.toLocaleString("en-US")} and $${range.high.toLocaleString("en-US")}.`
+      : "",
+    agentName: env.AGENT_NAME || "",
+    agentBio: env.AGENT_BIO || "",
+    agentContact: env.AGENT_PHONE || env.AGENT_EMAIL || env.MAILER_RETURN_ADDRESS || ""
+  };
+}
+
+// Empty placeholders leave blank paragraphs behind; collapse them
+export function renderMailerText(template, values) {
+  return renderTemplate(template, values)
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function renderMailerHtml(text, format) {
+  const { width, height, margin, fontSize } = MAILER_FORMATS[format];
+  const escape = value => value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const paragraphs = text.split("\n\n").map(p => `<p>${escape(p).replace(/\n/g, "<br>")}</p>`);
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+  @page { size: ${width / 72}in ${height / 72}in; margin: ${margin / 72}in; }
+  body { font-family: Helvetica, Arial, sans-serif; font-size: ${fontSize}pt; line-height: 1.35; }
+</style>
+</head>
+<body>
+${paragraphs.join("\n")}
+</body>
+</html>
+`;
+}
+
+// Minimal single-font PDF: wraps the text to the page and paginates
+function renderMailerPdf(text, { width, height, margin, fontSize }) {
+  const leading = fontSize * 1.35;
+  // Helvetica averages about half an em per character
+  const maxChars = Math.floor((width - 2 * margin) / (fontSize * 0.5));
+  const linesPerPage = Math.floor((height - 2 * margin) / leading);
+  
+  const lines = [];
+  for (const line of toWinAnsi(text).split("\n")) {
+    let rest = line;
+    while (rest.length > maxChars) {
+      const cut = rest.lastIndexOf(" ", maxChars) > 0 ? rest.lastIndexOf(" ", maxChars) : maxChars;
+      lines.push(rest.slice(0, cut));
+      rest = rest.slice(cut).trimStart();
+    }
+    lines.push(rest);
+  }
+  
+  const pages = [];
+  for (let i = 0; i < lines.length; i += linesPerPage) {
+    pages.push(lines.slice(i, i + linesPerPage));
+  }
+  
+  // Objects 1-3 are the catalog, page tree and font; each page adds two
+  const objects = [];
+  const pageRefs = pages.map((_, i) => `${4 + i * 2} 0 R`);
+  objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+  objects.push(`<< /Type /Pages /Kids [${pageRefs.join(" ")}] /Count ${pages.length} >>`);
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  pages.forEach((pageLines, i) => {
+    const stream = `BT /F1 ${fontSize} Tf ${leading.toFixed(2)} TL ${margin} ${height - margin - fontSize} Td\n` +
+      pageLines.map(line => `(${line.replace(/[\\()]/g, "\\$&")}) Tj T*`).join("\n") +
+      "\nET";
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`
+    );
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+  
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(offset => `${String(offset).padStart(10, "0")} 00000 n \n`).join("") +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  
+  // Every character is a single byte by now, so string offsets are byte offsets
+  return Uint8Array.from(pdf, char => char.charCodeAt(0));
+}
+
+// Helvetica's built-in encoding: swap typographic characters for their
+// WinAnsi bytes and anything else outside Latin-1 for "?"
+function toWinAnsi(text) {
+  const replacements = { "‘": "'", "’": "'", "“": '"', "”": '"', "–": "-", "—": "-", "…": "...", "•": "\x95" };
+  return text.replace(/[^\x00-\xff]/g, char => replacements[char] ?? "?");
+}
+
+async function recordMailing(db, leadId, mailing) {
+  await updateLeadRecord(db, leadId, {
+    source: "mailer",
+    mutate: summary => {
+      summary.mailings = [...(summary.mailings || []), mailing];
+      return null;
+    }
+  });
+  await completeDueTouches(db, leadId, "letter");
+}
@@ -0,0 +1,520 @@
+// ============================================
+// SCHEMA MIGRATIONS
+// ============================================
+
+import { buildLeadInsert, profileKeyColumns } from "./storage.js";
+import { getLeadKey, getPropertyKey } from "./leads.js";
+
+// Rows read or written per batch when backfilling the lead and sighting tables
+const BACKFILL_PAGE_SIZE = 100;
+
+// Applied in order, each at most once, and recorded in schema_migrations.
+// Never edit a migration that has shipped; add the next version instead.
+// A migration is a list of statements (run as one batch) or run(db) for
+// changes that need code (data moves, added columns). Both must be safe to
+// repeat, since two invocations can race to apply the same version.
+const MIGRATIONS = [
+  {
+    // Everything ensureSchema created before versioning; a no-op on databases
+    // that already have these tables
+    version: 1,
+    name: "baseline",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS listing_sightings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        intelligence_id INTEGER,
+        lead_key TEXT NOT NULL,
+        csv_filename TEXT NOT NULL,
+        mls_number TEXT,
+        price TEXT,
+        dom TEXT,
+        cdom TEXT,
+        listing_status TEXT,
+        seen_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_listing_sightings_lead_key ON listing_sightings (lead_key)`,
+      `CREATE INDEX IF NOT EXISTS idx_listing_sightings_csv_filename ON listing_sightings (csv_filename)`,
+      `CREATE TABLE IF NOT EXISTS lead_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        intelligence_id INTEGER NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        source TEXT,
+        changed_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_lead_status_history_lead ON lead_status_history (intelligence_id)`,
+      `CREATE TABLE IF NOT EXISTS skip_trace_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider TEXT NOT NULL,
+        queue_id TEXT,
+        state TEXT NOT NULL,
+        leads TEXT NOT NULL,
+        lead_count INTEGER NOT NULL DEFAULT 0,
+        result_count INTEGER,
+        enriched_count INTEGER,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        submitted_at TEXT NOT NULL DEFAULT (datetime('now')),
+        checked_at TEXT,
+        completed_at TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_skip_trace_jobs_state ON skip_trace_jobs (state)`,
+      `CREATE TABLE IF NOT EXISTS dnc_numbers (
+        phone TEXT NOT NULL,
+        list TEXT NOT NULL,
+        source_file TEXT NOT NULL,
+        reason TEXT,
+        added_at TEXT NOT NULL DEFAULT (datetime('now')),
+        PRIMARY KEY (phone, list, source_file)
+      )`,
+      `CREATE TABLE IF NOT EXISTS analysis_cache (
+        cache_key TEXT PRIMARY KEY,
+        mls_number TEXT,
+        model TEXT,
+        analysis TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `CREATE TABLE IF NOT EXISTS claude_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT NOT NULL,
+        model TEXT,
+        requests INTEGER NOT NULL DEFAULT 0,
+        cache_hits INTEGER NOT NULL DEFAULT 0,
+        skipped_for_budget INTEGER NOT NULL DEFAULT 0,
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        cost_usd REAL NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `CREATE TABLE IF NOT EXISTS dnc_lists (
+        source_file TEXT PRIMARY KEY,
+        list TEXT NOT NULL,
+        etag TEXT,
+        row_count INTEGER NOT NULL DEFAULT 0,
+        refreshed_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `CREATE TABLE IF NOT EXISTS lead_touches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        intelligence_id INTEGER NOT NULL,
+        cadence TEXT NOT NULL,
+        step INTEGER NOT NULL,
+        channel TEXT NOT NULL,
+        due_date TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        completed_at TEXT,
+        UNIQUE (intelligence_id, cadence, step)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_lead_touches_due ON lead_touches (status, due_date)`,
+      `CREATE TABLE IF NOT EXISTS outreach_drafts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        intelligence_id INTEGER NOT NULL,
+        channel TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        subject TEXT,
+        body TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        reviewed_by TEXT,
+        sender TEXT,
+        message_id TEXT,
+        error TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+        sent_at TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_outreach_drafts_status ON outreach_drafts (status)`,
+      `CREATE INDEX IF NOT EXISTS idx_outreach_drafts_lead ON outreach_drafts (intelligence_id)`,
+      `CREATE TABLE IF NOT EXISTS email_opt_outs (
+        email TEXT PRIMARY KEY,
+        reason TEXT,
+        added_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `CREATE TABLE IF NOT EXISTS pipeline_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        csv_filename TEXT NOT NULL,
+        trigger TEXT NOT NULL,
+        attempt INTEGER NOT NULL DEFAULT 1,
+        status TEXT NOT NULL,
+        stage TEXT,
+        listings_parsed INTEGER NOT NULL DEFAULT 0,
+        new_leads INTEGER NOT NULL DEFAULT 0,
+        repeat_leads INTEGER NOT NULL DEFAULT 0,
+        already_processed INTEGER NOT NULL DEFAULT 0,
+        analyzed INTEGER NOT NULL DEFAULT 0,
+        analysis_failed INTEGER NOT NULL DEFAULT 0,
+        stored INTEGER NOT NULL DEFAULT 0,
+        store_errors INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        started_at TEXT,
+        finished_at TEXT,
+        duration_ms INTEGER
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_pipeline_runs_file ON pipeline_runs (csv_filename)`,
+      `CREATE INDEX IF NOT EXISTS idx_pipeline_runs_status ON pipeline_runs (status)`,
+      `CREATE TABLE IF NOT EXISTS call_lists (
+        list_date TEXT PRIMARY KEY,
+        call_count INTEGER NOT NULL DEFAULT 0,
+        posted_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `CREATE TABLE IF NOT EXISTS digests (
+        period TEXT NOT NULL,
+        period_start TEXT NOT NULL,
+        period_end TEXT NOT NULL,
+        lead_count INTEGER NOT NULL DEFAULT 0,
+        r2_key TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        PRIMARY KEY (period, period_start)
+      )`
+    ]
+  },
+  {
+    // Leads move out of the shared intelligence table's JSON summary. The
+    // intelligence_id columns on the tables above now hold leads.id; the
+    // backfill keeps ids, so existing references stay valid.
+    version: 2,
+    name: "lead_tables",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS source_files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filename TEXT NOT NULL UNIQUE,
+        first_seen_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `CREATE TABLE IF NOT EXISTS leads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_key TEXT NOT NULL,
+        source_file_id INTEGER REFERENCES source_files (id),
+        mls_number TEXT,
+        address TEXT,
+        city TEXT,
+        state TEXT,
+        zip TEXT,
+        price TEXT,
+        list_price INTEGER,
+        beds TEXT,
+        baths TEXT,
+        sqft TEXT,
+        year_built INTEGER,
+        property_type TEXT,
+        list_date TEXT,
+        expired_date TEXT,
+        dom INTEGER,
+        expired_dom INTEGER,
+        cdom INTEGER,
+        listing_status TEXT,
+        listing_agent TEXT,
+        listing_office TEXT,
+        relisted_agent TEXT,
+        relisted_office TEXT,
+        urgency_score REAL NOT NULL DEFAULT 0,
+        rubric_version TEXT,
+        score_breakdown TEXT,
+        comps TEXT,
+        appraisal TEXT,
+        lat REAL,
+        lng REAL,
+        location_precision TEXT,
+        agent_id TEXT,
+        status TEXT NOT NULL DEFAULT 'new',
+        claimed_by TEXT,
+        claimed_by_name TEXT,
+        claimed_at TEXT,
+        snoozed_until TEXT,
+        call_attempts INTEGER,
+        email_opt_out INTEGER,
+        notes TEXT,
+        mailings TEXT,
+        outreach TEXT,
+        last_seen_file TEXT,
+        last_seen_at TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_leads_lead_key ON leads (lead_key)`,
+      `CREATE INDEX IF NOT EXISTS idx_leads_mls_number ON leads (mls_number)`,
+      `CREATE INDEX IF NOT EXISTS idx_leads_source_file ON leads (source_file_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_leads_status_score ON leads (status, urgency_score)`,
+      `CREATE INDEX IF NOT EXISTS idx_leads_zip ON leads (zip)`,
+      `CREATE INDEX IF NOT EXISTS idx_leads_agent ON leads (agent_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_leads_created_at ON leads (created_at)`,
+      `CREATE TABLE IF NOT EXISTS contacts (
+        lead_id INTEGER PRIMARY KEY REFERENCES leads (id),
+        owner_name TEXT,
+        phone TEXT,
+        email TEXT,
+        mailing_address TEXT,
+        phones TEXT,
+        emails TEXT,
+        provider TEXT,
+        confidence REAL,
+        suppressed_phone_count INTEGER,
+        dnc_checked_at TEXT,
+        found_at TEXT,
+        review TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_contacts_phone ON contacts (phone)`,
+      `CREATE INDEX IF NOT EXISTS idx_contacts_email ON contacts (email)`,
+      `CREATE TABLE IF NOT EXISTS analyses (
+        lead_id INTEGER PRIMARY KEY REFERENCES leads (id),
+        model TEXT,
+        prompt_version TEXT,
+        failed INTEGER NOT NULL DEFAULT 0,
+        analysis TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_analyses_failed ON analyses (failed)`
+    ]
+  },
+  {
+    version: 3,
+    name: "backfill_intelligence",
+    run: backfillIntelligence
+  },
+  {
+    // Outbox of lead changes for the CRM webhooks (see integrations.js) and
+    // one delivery per event and webhook; state "dead" is the dead-letter log
+    version: 4,
+    name: "webhooks",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS lead_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id INTEGER NOT NULL REFERENCES leads (id),
+        event TEXT NOT NULL,
+        data TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        dispatched_at TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_lead_events_undispatched ON lead_events (dispatched_at, id)`,
+      `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL REFERENCES lead_events (id),
+        lead_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        webhook TEXT NOT NULL,
+        body TEXT NOT NULL,
+        state TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+        last_attempt_at TEXT,
+        delivered_at TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (event_id, webhook)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (state, next_attempt_at)`
+    ]
+  },
+  {
+    // What each export said about the listing beyond price and status, and
+    // the property it was for, for the price / listing history timeline
+    version: 5,
+    name: "sighting_history",
+    run: addSightingHistory
+  },
+  {
+    // A DNC file is loaded under a staging source file, possibly across
+    // several cron ticks, and swapped in once complete
+    version: 6,
+    name: "dnc_staged_loads",
+    run: db => addMissingColumns(db, "dnc_lists", {
+      loading_etag: "TEXT",
+      loaded_rows: "INTEGER NOT NULL DEFAULT 0"
+    })
+  },
+  {
+    // Agent / office names normalized in code (see normalizeProfileName), so
+    // profiles group "Dana  Whitfield" with "Dana Whitfield"
+    version: 7,
+    name: "profile_name_keys",
+    run: addProfileNameKeys
+  }
+];
+
+// Databases already brought up to date by this isolate
+const migratedDatabases = new WeakSet();
+
+export async function ensureSchema(db) {
+  if (migratedDatabases.has(db)) return;
+  await applyMigrations(db);
+  migratedDatabases.add(db);
+}
+
+// Applies pending migrations in order; returns the versions it applied
+export async function applyMigrations(db) {
+  await db.prepare(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name TEXT NOT NULL,
+       applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+     )`
+  ).run();
+  const { results } = await db.prepare(`SELECT version FROM schema_migrations`).all();
+  const applied = new Set(results.map(r => r.version));
+  
+  const pending = MIGRATIONS.filter(migration => !applied.has(migration.version));
+  for (const migration of pending) {
+    console.log(`Applying schema migration ${migration.version} (${migration.name})`);
+    const record = db.prepare(`INSERT OR IGNORE INTO schema_migrations (version, name) VALUES (?, ?)`)
+      .bind(migration.version, migration.name);
+    if (migration.run) {
+      await migration.run(db);
+      await record.run();
+    } else {
+      await db.batch([...migration.statements.map(sql => db.prepare(sql)), record]);
+    }
+  }
+  return pending.map(migration => migration.version);
+}
+
+// Applied and pending versions, for GET /api/schema
+export async function getSchemaStatus(db) {
+  const { results } = await db.prepare(
+    `SELECT version, name, applied_at FROM schema_migrations ORDER BY version`
+  ).all();
+  const applied = new Set(results.map(r => r.version));
+  return {
+    version: results.length > 0 ? results[results.length - 1].version : 0,
+    applied: results.map(r => ({ version: r.version, name: r.name, appliedAt: r.applied_at })),
+    pending: MIGRATIONS.filter(m => !applied.has(m.version)).map(m => ({ version: m.version, name: m.name }))
+  };
+}
+
+// Copies the expired-listing rows (topic_id 1) of the shared intelligence
+// table into leads/contacts/analyses, keeping their ids. intelligence is
+// left as it was; other topics still use it.
+async function backfillIntelligence(db) {
+  const hasIntelligence = await db.prepare(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'intelligence'`
+  ).first();
+  if (!hasIntelligence) return;
+  
+  // Every file a lead or pipeline run came from, legacy rows included
+  await db.batch([
+    db.prepare(
+      `INSERT OR IGNORE INTO source_files (filename)
+       SELECT DISTINCT json_extract(summary, "$.csv_filename") FROM intelligence
+       WHERE topic_id = 1 AND json_extract(summary, "$.csv_filename") IS NOT NULL`
+    ),
+    db.prepare(`INSERT OR IGNORE INTO source_files (filename) SELECT DISTINCT csv_filename FROM listing_sightings`),
+    db.prepare(`INSERT OR IGNORE INTO source_files (filename) SELECT DISTINCT csv_filename FROM pipeline_runs`)
+  ]);
+  
+  let lastId = 0;
+  let copied = 0;
+  while (true) {
+    const { results } = await db.prepare(
+      `SELECT id, title, summary, relevance_score, status, gathered_at FROM intelligence
+       WHERE topic_id = 1 AND id > ? ORDER BY id LIMIT ?`
+    ).bind(lastId, BACKFILL_PAGE_SIZE).all();
+    if (results.length === 0) break;
+    
+    const statements = results.flatMap(row => {
+      const { csv_filename: sourceFile, ...summary } = parseLegacySummary(row);
+      return buildLeadInsert(db, summary, {
+        sourceFile,
+        leadId: row.id,
+        orIgnore: true,
+        columns: {
+          id: row.id,
+          status: row.status || "new",
+          urgency_score: row.relevance_score ?? 0,
+          created_at: row.gathered_at || new Date().toISOString().replace("T", " ").slice(0, 19)
+        }
+      });
+    });
+    await db.batch(statements);
+    
+    copied += results.length;
+    lastId = results[results.length - 1].id;
+  }
+  console.log(`Backfilled ${copied} leads from intelligence`);
+}
+
+async function addSightingHistory(db) {
+  await addMissingColumns(db, "listing_sightings", {
+    property_key: "TEXT",
+    list_date: "TEXT",
+    original_price: "TEXT",
+    previous_price: "TEXT",
+    price_changed_at: "TEXT",
+    status_changed_at: "TEXT",
+    listing_agent: "TEXT",
+    listing_office: "TEXT"
+  });
+  await db.prepare(`CREATE INDEX IF NOT EXISTS idx_listing_sightings_property_key ON listing_sightings (property_key)`).run();
+  
+  // Earlier sightings take the property key of the lead they were stored for
+  const { results } = await db.prepare(
+    `SELECT DISTINCT l.id, l.address, l.zip FROM leads l
+     JOIN listing_sightings s ON s.intelligence_id = l.id
+     WHERE s.property_key IS NULL`
+  ).all();
+  const updates = results
+    .map(lead => [lead.id, getPropertyKey(lead)])
+    .filter(([, propertyKey]) => propertyKey)
+    .map(([id, propertyKey]) => db.prepare(
+      `UPDATE listing_sightings SET property_key = ? WHERE intelligence_id = ? AND property_key IS NULL`
+    ).bind(propertyKey, id));
+  for (let i = 0; i < updates.length; i += BACKFILL_PAGE_SIZE) {
+    await db.batch(updates.slice(i, i + BACKFILL_PAGE_SIZE));
+  }
+}
+
+async function addProfileNameKeys(db) {
+  await addMissingColumns(db, "leads", {
+    listing_agent_key: "TEXT",
+    listing_office_key: "TEXT",
+    relisted_agent_key: "TEXT",
+    relisted_office_key: "TEXT"
+  });
+  await db.batch([
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_leads_listing_agent_key ON leads (listing_agent_key)`),
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_leads_listing_office_key ON leads (listing_office_key)`)
+  ]);
+  
+  let lastId = 0;
+  while (true) {
+    const { results } = await db.prepare(
+      `SELECT id, listing_agent, listing_office, relisted_agent, relisted_office FROM leads
+       WHERE id > ? ORDER BY id LIMIT ?`
+    ).bind(lastId, BACKFILL_PAGE_SIZE).all();
+    if (results.length === 0) break;
+    
+    await db.batch(results.map(row => {
+      const keys = profileKeyColumns({
+        previousAgent: row.listing_agent,
+        previousOffice: row.listing_office,
+        relistedAgent: row.relisted_agent,
+        relistedOffice: row.relisted_office
+      });
+      const names = Object.keys(keys);
+      return db.prepare(`UPDATE leads SET ${names.map(name => `${name} = ?`).join(", ")} WHERE id = ?`)
+        .bind(...names.map(name => keys[name]), row.id);
+    }));
+    lastId = results[results.length - 1].id;
+  }
+}
+
+// ALTER TABLE ADD COLUMN can't be made IF NOT EXISTS, so check first
+async function addMissingColumns(db, table, columns) {
+  const { results } = await db.prepare(`PRAGMA table_info(${table})`).all();
+  const existing = new Set(results.map(column => column.name));
+  const missing = Object.entries(columns).filter(([name]) => !existing.has(name));
+  if (missing.length === 0) return;
+  await db.batch(missing.map(([name, type]) => db.prepare(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`)));
+}
+
+// Rows from before lead keys have only an address (from the title)
+function parseLegacySummary(row) {
+  let summary;
+  try {
+    summary = JSON.parse(row.summary || "{}");
+  } catch {
+    summary = {};
+  }
+  if (!summary.address && row.title) {
+    [summary.address, summary.city] = row.title.split(/,\s*/);
+  }
+  summary.leadKey = summary.leadKey || getLeadKey(summary);
+  return summary;
+}
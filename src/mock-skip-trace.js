@@ -0,0 +1,40 @@
+// ============================================
+// MOCK SKIP-TRACE PROVIDER
+// ============================================
+
+import { matchTracerfyResults } from "./tracerfy.js";
+
+// For local runs and tests: completes immediately and never calls out. Rows
+// come from the JSON array at SKIP_TRACE_MOCK_FIXTURE in R2 (Tracerfy result
+// columns plus row_id), or are generated so that two of every three leads
+// resolve to a fictional 555-01xx owner.
+export const mockSkipTraceProvider = {
+  id: "mock",
+  name: "Mock skip tracer",
+  isConfigured: () => true,
+  submit: async leads => ({ queueId: `mock-${Date.now()}`, error: null }),
+  poll: async queueId => ({ complete: true, resultRef: queueId }),
+  fetchResults: async (resultRef, env, leads) => {
+    if (env.SKIP_TRACE_MOCK_FIXTURE) {
+      const object = await env.R2_BUCKET.get(env.SKIP_TRACE_MOCK_FIXTURE);
+      if (object) return object.json();
+      console.error(`Mock skip-trace fixture ${env.SKIP_TRACE_MOCK_FIXTURE} not found, generating results`);
+    }
+    
+    return leads
+      .filter(lead => Number(lead.leadId) % 3 !== 0)
+      .map(lead => {
+        const suffix = String(Number(lead.leadId) % 100).padStart(2, "0");
+        return {
+          row_id: String(lead.leadId),
+          address: lead.address,
+          first_name: "Test",
+          last_name: `Owner${lead.leadId}`,
+          mobile_1: `713-555-01${suffix}`,
+          email_1: `owner${lead.leadId}@example.com`,
+          mail_address: lead.address
+        };
+      });
+  },
+  normalize: (leads, results) => matchTracerfyResults(leads, results)
+};
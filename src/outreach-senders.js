@@ -0,0 +1,102 @@
+// ============================================
+// OUTREACH SENDERS
+// ============================================
+
+import { httpFetch } from "./http.js";
+import { OUTREACH_CHANNELS } from "./outreach.js";
+import { isAuthorized, timingSafeEqual } from "./api.js";
+
+// Development sender: logs instead of sending. Its webhook takes JSON
+// { channel, from, body } with the API bearer token, to simulate replies.
+const logOutreachSender = {
+  id: "log",
+  name: "Log only",
+  channels: ["email", "sms"],
+  async send(draft) {
+    console.log(`[log sender] ${draft.channel} to ${draft.recipient}: ${draft.subject ? `${draft.subject} | ` : ""}${draft.body}`);
+    return { messageId: `log-${draft.id}-${Date.now()}` };
+  },
+  async parseInbound(request, env) {
+    if (!isAuthorized(request, env.API_TOKEN)) return null;
+    const body = await request.json();
+    return OUTREACH_CHANNELS.includes(body.channel) ? body : null;
+  }
+};
+
+const twilioSmsSender = {
+  id: "twilio",
+  name: "Twilio",
+  channels: ["sms"],
+  async send(draft, env) {
+    const auth = btoa(`${env.TWILIO_ACCOUNT_SID}:${env.TWILIO_AUTH_TOKEN}`);
+    const response = await httpFetch(`https://api.twilio.com/2010-04-01/Accounts/${env.TWILIO_ACCOUNT_SID}/Messages.json`, {
+      method: "POST",
+      headers: {
+        "Authorization": `Basic ${auth}`,
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({ To: `+1${draft.recipient}`, From: env.TWILIO_FROM_NUMBER, Body: draft.body })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return { error: `Twilio ${response.status}: ${result.message || "send failed"}` };
+    }
+    return { messageId: result.sid };
+  },
+  // Inbound SMS webhook, signed with the auth token (X-Twilio-Signature)
+  async parseInbound(request, env) {
+    const params = new URLSearchParams(await request.text());
+    const signed = request.url + [...params.keys()].sort().map(key => `${key}${params.get(key)}`).join("");
+    const key = await crypto.subtle.importKey(
+      "raw", new TextEncoder().encode(env.TWILIO_AUTH_TOKEN || ""), { name: "HMAC", hash: "SHA-1" }, false, ["sign"]
+    );
+    const mac = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(signed));
+    const expected = btoa(String.fromCharCode(...new Uint8Array(mac)));
+    if (!env.TWILIO_AUTH_TOKEN || !timingSafeEqual(request.headers.get("X-Twilio-Signature") || "", expected)) {
+      return null;
+    }
+    return { channel: "sms", from: params.get("From"), body: params.get("Body") };
+  },
+  ackInbound() {
+    return new Response("<Response></Response>", { headers: { "Content-Type": "text/xml" } });
+  }
+};
+
+const resendEmailSender = {
+  id: "resend",
+  name: "Resend",
+  channels: ["email"],
+  async send(draft, env) {
+    const response = await httpFetch("https://api.resend.com/emails", {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${env.RESEND_API_KEY}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        from: env.EMAIL_FROM,
+        to: [draft.recipient],
+        reply_to: env.EMAIL_REPLY_TO || undefined,
+        subject: draft.subject,
+        text: draft.body
+      })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return { error: `Resend ${response.status}: ${result.message || "send failed"}` };
+    }
+    return { messageId: result.id };
+  }
+};
+
+// Outreach sender interface. Each sender is an object with:
+// - id, name, channels (any of "email", "sms")
+// - send(draft, env): { messageId } or { error }
+// - parseInbound(request, env) (optional): { channel, from, body } for a reply
+//   posted to /webhooks/outreach/<id>, or null if the request isn't authentic
+// - ackInbound(result) (optional): the Response the webhook caller expects
+export const OUTREACH_SENDER_REGISTRY = {
+  log: logOutreachSender,
+  twilio: twilioSmsSender,
+  resend: resendEmailSender
+};
@@ -0,0 +1,430 @@
+// ============================================
+// OUTREACH DRAFTS & APPROVAL QUEUE
+// ============================================
+
+import { ensureSchema } from "./migrations.js";
+import { updateLeadRecord } from "./leads.js";
+import { LEAD_HAS_CONTACT_SQL, LEAD_SELECT_SQL } from "./storage.js";
+import { DNC_REPLY_SOURCE, normalizePhone, scrubContactPhones } from "./dnc.js";
+import { completeDueTouches } from "./cadences.js";
+import { buildMailerValues, getMailingRecipient, renderMailerText } from "./mailers.js";
+import { OUTREACH_SENDER_REGISTRY } from "./outreach-senders.js";
+import { sendSlackDrafts } from "./slack.js";
+import { jsonResponse, readJsonObject, recordPhoneOptOut } from "./api.js";
+import { leadFromRow } from "./slack-interactivity.js";
+
+// Default first-touch copy. Override per channel by uploading plain text to
+// R2 at OUTREACH_TEMPLATE_PREFIX + "<channel>.txt"; placeholders are the same
+// as the mailers'. An email template's first line may be "Subject: ...".
+const DEFAULT_OUTREACH_TEMPLATES = {
+  email: `Subject: Your home at {{propertyAddress}}
+
+Hi {{salutation}},
+
+I saw that your listing at {{propertyAddress}} came off the market after {{daysOnMarket}} days. That is a long stretch, and I am sorry it did not get the result you wanted.
+
+{{positioningAngle}}
+
+{{talkingPointsList}}
+
+If you are still thinking about selling, would you be open to a 15 minute call this week? I will share exactly what I would change - no obligation.
+
+{{agentName}}
+{{agentBio}}
+{{agentContact}}
+
+Reply STOP and I will not contact you again.`,
+  sms: `Hi {{salutation}}, this is {{agentName}}, {{agentBio}}. I saw {{propertyAddress}} came off the market and have a specific idea on why it didn't sell. Open to a quick call this week?`
+};
+
+export const OUTREACH_CHANNELS = ["email", "sms"];
+
+// Cadence channel each outreach channel completes
+const OUTREACH_TOUCH_CHANNELS = { email: "email", sms: "text" };
+
+// Carrier-standard opt-out keywords, matched against the first word of a reply
+const OPT_OUT_KEYWORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT", "REVOKE", "OPTOUT"];
+
+const SMS_OPT_OUT_NOTICE = "Reply STOP to opt out.";
+
+// Leads below this score don't get drafted messages
+const DEFAULT_OUTREACH_MIN_SCORE = 4;
+
+// Drafts created per day at most, and shown per Slack message
+const OUTREACH_DRAFT_BATCH_LIMIT = 50;
+export const SLACK_DRAFTS_PER_MESSAGE = 15;
+
+// Drafts an email and/or SMS for new, reachable leads that have none yet
+// and posts them to Slack for approval
+export async function draftOutreach(env) {
+  const db = env.DB;
+  const minScore = parseFloat(env.OUTREACH_MIN_SCORE ?? DEFAULT_OUTREACH_MIN_SCORE);
+  
+  const rows = await db.prepare(
+    `${LEAD_SELECT_SQL}
+     WHERE l.status = 'new' AND l.urgency_score >= ? AND ${LEAD_HAS_CONTACT_SQL}
+       AND NOT EXISTS (SELECT 1 FROM outreach_drafts d WHERE d.intelligence_id = l.id)
+     ORDER BY l.urgency_score DESC LIMIT ?`
+  ).bind(minScore, OUTREACH_DRAFT_BATCH_LIMIT).all();
+  if (rows.results.length === 0) return;
+  
+  const templates = {};
+  for (const channel of OUTREACH_CHANNELS) {
+    templates[channel] = await loadOutreachTemplate(env, channel);
+  }
+  
+  const today = new Date().toISOString().slice(0, 10);
+  const created = [];
+  for (const row of rows.results) {
+    const lead = await scrubContactPhones(db, leadFromRow(row), env);
+    const values = buildMailerValues(lead, getMailingRecipient(lead), env, today);
+    const optedOut = lead.ownerEmail && await isEmailOptedOut(db, lead.ownerEmail);
+    
+    const drafts = [];
+    if (lead.ownerEmail && !optedOut) {
+      drafts.push({ channel: "email", recipient: lead.ownerEmail, ...renderOutreachEmail(templates.email, values) });
+    }
+    // Only text numbers that aren't on any DNC list and could be mobile
+    const phone = lead.ownerPhones.find(p => p.number === lead.ownerPhone);
+    if (lead.ownerPhone && phone?.type !== "landline") {
+      drafts.push({ channel: "sms", recipient: lead.ownerPhone, subject: null, body: renderOutreachSms(templates.sms, values) });
+    }
+    
+    for (const draft of drafts) {
+      const result = await db.prepare(
+        `INSERT INTO outreach_drafts (intelligence_id, channel, recipient, subject, body) VALUES (?, ?, ?, ?, ?)`
+      ).bind(lead.leadId, draft.channel, draft.recipient, draft.subject, draft.body).run();
+      created.push({ ...draft, id: result.meta.last_row_id, lead });
+    }
+  }
+  
+  console.log(`Drafted ${created.length} outreach messages awaiting approval`);
+  if (created.length > 0 && env.SLACK_WEBHOOK) {
+    await sendSlackDrafts(env.SLACK_WEBHOOK, created);
+  }
+}
+
+async function loadOutreachTemplate(env, channel) {
+  const key = `${env.OUTREACH_TEMPLATE_PREFIX || "config/outreach/"}${channel}.txt`;
+  try {
+    const object = await env.R2_BUCKET.get(key);
+    if (object) return await object.text();
+  } catch (error) {
+    console.error("Outreach template load error:", error.message || error);
+  }
+  return DEFAULT_OUTREACH_TEMPLATES[channel];
+}
+
+function renderOutreachEmail(template, values) {
+  const text = renderMailerText(template, values);
+  const subjectMatch = text.match(/^Subject:\s*(.*)\n+/i);
+  return {
+    subject: subjectMatch ? subjectMatch[1].trim() : `Your home at ${values.propertyAddress}`,
+    body: subjectMatch ? text.slice(subjectMatch[0].length) : text
+  };
+}
+
+// Every text carries opt-out instructions, whatever the template says
+function renderOutreachSms(template, values) {
+  const text = renderMailerText(template, values).replace(/\s+/g, " ");
+  return /\bSTOP\b/.test(text) ? text : `${text} ${SMS_OPT_OUT_NOTICE}`;
+}
+
+export async function getDraft(db, id) {
+  return db.prepare(
+    `SELECT d.*, l.status AS lead_status, l.address
+     FROM outreach_drafts d JOIN leads l ON l.id = d.intelligence_id WHERE d.id = ?`
+  ).bind(id).first();
+}
+
+export function formatDraft(row) {
+  return {
+    id: row.id,
+    leadId: row.intelligence_id,
+    address: row.address,
+    channel: row.channel,
+    recipient: row.recipient,
+    subject: row.subject,
+    body: row.body,
+    status: row.status,
+    reviewedBy: row.reviewed_by,
+    sender: row.sender,
+    messageId: row.message_id,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    sentAt: row.sent_at
+  };
+}
+
+export async function listDrafts(db, params) {
+  const conditions = ["1 = 1"];
+  const bindings = [];
+  const status = params.get("status") || "pending";
+  if (status !== "all") {
+    conditions.push("d.status = ?");
+    bindings.push(status);
+  }
+  if (params.get("lead_id")) {
+    conditions.push("d.intelligence_id = ?");
+    bindings.push(parseInt(params.get("lead_id")) || 0);
+  }
+  if (params.get("channel")) {
+    conditions.push("d.channel = ?");
+    bindings.push(params.get("channel"));
+  }
+  
+  const limit = Math.min(Math.max(parseInt(params.get("limit")) || 50, 1), 200);
+  const offset = Math.max(parseInt(params.get("offset")) || 0, 0);
+  const where = conditions.join(" AND ");
+  
+  const [countResult, rowsResult] = await db.batch([
+    db.prepare(`SELECT COUNT(*) as total FROM outreach_drafts d WHERE ${where}`).bind(...bindings),
+    db.prepare(
+      `SELECT d.*, l.address
+       FROM outreach_drafts d JOIN leads l ON l.id = d.intelligence_id
+       WHERE ${where} ORDER BY d.id DESC LIMIT ? OFFSET ?`
+    ).bind(...bindings, limit, offset)
+  ]);
+  
+  const total = countResult.results[0]?.total || 0;
+  return jsonResponse({
+    total,
+    limit,
+    offset,
+    nextOffset: offset + limit < total ? offset + limit : null,
+    drafts: rowsResult.results.map(formatDraft)
+  });
+}
+
+// PATCH body: subject and/or body to edit, and/or action "approve" | "reject"
+export async function updateDraft(env, id, request) {
+  const body = await readJsonObject(request);
+  if (!body) {
+    return jsonResponse({ error: "Body must be a JSON object" }, 400);
+  }
+  
+  if (body.body !== undefined && (typeof body.body !== "string" || !body.body.trim())) {
+    return jsonResponse({ error: "body must be a non-empty string" }, 400);
+  }
+  if (body.subject !== undefined && typeof body.subject !== "string") {
+    return jsonResponse({ error: "subject must be a string" }, 400);
+  }
+  if (body.action !== undefined && !["approve", "reject"].includes(body.action)) {
+    return jsonResponse({ error: "action must be approve or reject" }, 400);
+  }
+  if (body.body === undefined && body.subject === undefined && body.action === undefined) {
+    return jsonResponse({ error: "Nothing to update: send subject, body and/or action" }, 400);
+  }
+  
+  const draft = await getDraft(env.DB, id);
+  if (!draft) {
+    return jsonResponse({ error: "Draft not found" }, 404);
+  }
+  
+  if (body.body !== undefined || body.subject !== undefined) {
+    if (!["pending", "failed"].includes(draft.status)) {
+      return jsonResponse({ error: `Draft is ${draft.status} and can no longer be edited` }, 409);
+    }
+    let text = body.body !== undefined ? body.body.trim() : draft.body;
+    if (draft.channel === "sms" && !/\bSTOP\b/.test(text)) {
+      text = `${text} ${SMS_OPT_OUT_NOTICE}`;
+    }
+    await env.DB.prepare(
+      `UPDATE outreach_drafts SET subject = ?, body = ?, updated_at = datetime('now') WHERE id = ?`
+    ).bind(body.subject !== undefined ? body.subject.trim() : draft.subject, text, id).run();
+  }
+  
+  if (body.action !== undefined) {
+    const result = await reviewDraft(env, id, body.action, "api");
+    if (result.error) {
+      return jsonResponse({ error: result.error }, 409);
+    }
+  }
+  
+  return jsonResponse(formatDraft(await getDraft(env.DB, id)));
+}
+
+// Approving sends right away; a failed send can be approved again to retry.
+// The status check is part of the UPDATE so that of two concurrent reviews of
+// one draft only the first is applied and the draft is sent once.
+export async function reviewDraft(env, id, decision, reviewer) {
+  const db = env.DB;
+  const result = await db.prepare(
+    `UPDATE outreach_drafts SET status = ?, reviewed_by = ?, updated_at = datetime('now')
+     WHERE id = ? AND status IN ('pending', 'failed')`
+  ).bind(decision === "reject" ? "rejected" : "approved", reviewer, id).run();
+  
+  const draft = await getDraft(db, id);
+  if (!draft) return { error: `Draft ${id} no longer exists.` };
+  if (result.meta.changes !== 1) {
+    return { error: `Draft ${id} is already ${draft.status}.` };
+  }
+  
+  if (decision === "approve") {
+    await sendDraft(env, draft);
+  }
+  return { draft: await getDraft(db, id) };
+}
+
+async function sendDraft(env, draft) {
+  const db = env.DB;
+  
+  // Opt-outs may have arrived since the draft was written
+  let suppressedReason = null;
+  if (draft.channel === "sms") {
+    const scrubbed = await scrubContactPhones(db, { ownerPhone: draft.recipient }, env);
+    if (scrubbed.ownerPhone !== draft.recipient) {
+      suppressedReason = scrubbed.dncCheckFailed ? "DNC check failed" : "Number is on a DNC list";
+    }
+  } else if (await isEmailOptedOut(db, draft.recipient)) {
+    suppressedReason = "Recipient opted out";
+  }
+  
+  const sender = getOutreachSender(env, draft.channel);
+  let outcome;
+  if (suppressedReason) {
+    outcome = { status: "suppressed", error: suppressedReason };
+  } else if (!sender) {
+    outcome = { status: "failed", error: `No sender configured for ${draft.channel}` };
+  } else {
+    try {
+      const result = await sender.send(draft, env);
+      outcome = result.error
+        ? { status: "failed", error: result.error }
+        : { status: "sent", messageId: result.messageId || null };
+    } catch (error) {
+      outcome = { status: "failed", error: error.message || String(error) };
+    }
+  }
+  
+  await db.prepare(
+    `UPDATE outreach_drafts SET status = ?, sender = ?, message_id = ?, error = ?,
+       sent_at = CASE WHEN ? = 'sent' THEN datetime('now') ELSE sent_at END, updated_at = datetime('now')
+     WHERE id = ?`
+  ).bind(outcome.status, sender?.id || null, outcome.messageId || null, outcome.error || null, outcome.status, draft.id).run();
+  
+  // Every attempt is logged on the lead; a sent first touch moves it to contacted
+  await updateLeadRecord(db, draft.intelligence_id, {
+    status: outcome.status === "sent" && draft.lead_status === "new" ? "contacted" : undefined,
+    source: "outreach",
+    mutate: summary => {
+      summary.outreach = [...(summary.outreach || []), {
+        draftId: draft.id,
+        direction: "outbound",
+        channel: draft.channel,
+        recipient: draft.recipient,
+        status: outcome.status,
+        error: outcome.error || undefined,
+        sender: sender?.id || null,
+        messageId: outcome.messageId || undefined,
+        approvedBy: draft.reviewed_by,
+        at: new Date().toISOString()
+      }];
+      return null;
+    }
+  });
+  if (outcome.status === "sent") {
+    await completeDueTouches(db, draft.intelligence_id, OUTREACH_TOUCH_CHANNELS[draft.channel]);
+  }
+  console.log(`Draft ${draft.id} (${draft.channel}) ${outcome.status}${outcome.error ? `: ${outcome.error}` : ""}`);
+  return outcome;
+}
+
+// EMAIL_SENDER / SMS_SENDER pick the sender per channel; "log" by default
+function getOutreachSender(env, channel) {
+  const name = (channel === "sms" ? env.SMS_SENDER : env.EMAIL_SENDER) || "log";
+  const sender = OUTREACH_SENDER_REGISTRY[name];
+  if (!sender || !sender.channels.includes(channel)) {
+    console.error(`Unknown ${channel} sender "${name}"`);
+    return null;
+  }
+  return sender;
+}
+
+async function isEmailOptedOut(db, email) {
+  const row = await db.prepare(`SELECT email FROM email_opt_outs WHERE email = ?`)
+    .bind(email.trim().toLowerCase()).first();
+  return Boolean(row);
+}
+
+function isOptOutMessage(text) {
+  return String(text || "").split("\n").map(line => line.trim()).filter(Boolean).slice(0, 2)
+    .some(line => OPT_OUT_KEYWORDS.includes(line.split(/\s+/)[0].replace(/[^A-Za-z]/g, "").toUpperCase()));
+}
+
+// Text of a raw reply email above the quoted original, roughly: good enough
+// to spot a STOP on the first lines
+export function extractEmailReplyText(raw) {
+  const [, ...bodyParts] = raw.split(/\r?\n\r?\n/);
+  return bodyParts.join("\n\n")
+    .split(/\r?\n/)
+    .filter(line => !line.startsWith(">") && !/^Content-|^--/.test(line))
+    .slice(0, 20)
+    .join("\n");
+}
+
+// Logs a reply on the leads it came from and honors opt-outs
+export async function handleInboundReply(env, { channel, from, body }) {
+  const db = env.DB;
+  const recipient = channel === "sms" ? normalizePhone(from) : String(from || "").trim().toLowerCase();
+  if (!recipient) return { optOut: false, leads: 0 };
+  
+  const optOut = isOptOutMessage(body);
+  if (optOut && channel === "sms") {
+    await recordPhoneOptOut(env, recipient, "Replied STOP", DNC_REPLY_SOURCE);
+  } else if (optOut) {
+    await db.prepare(`INSERT OR IGNORE INTO email_opt_outs (email, reason) VALUES (?, ?)`)
+      .bind(recipient, "Replied STOP").run();
+  }
+  if (optOut) {
+    await db.prepare(
+      `UPDATE outreach_drafts SET status = 'suppressed', error = 'Recipient opted out', updated_at = datetime('now')
+       WHERE recipient = ? AND status IN ('pending', 'failed')`
+    ).bind(recipient).run();
+  }
+  
+  const leads = await db.prepare(
+    `SELECT DISTINCT intelligence_id FROM outreach_drafts WHERE recipient = ?`
+  ).bind(recipient).all();
+  for (const { intelligence_id: leadId } of leads.results) {
+    await updateLeadRecord(db, leadId, {
+      source: "outreach",
+      mutate: summary => {
+        summary.outreach = [...(summary.outreach || []), {
+          direction: "inbound",
+          channel,
+          recipient,
+          body: String(body || "").trim().slice(0, 1000),
+          optOut,
+          at: new Date().toISOString()
+        }];
+        if (optOut && channel === "email") summary.emailOptOut = true;
+        return null;
+      }
+    });
+  }
+  
+  console.log(`Inbound ${channel} reply from ${recipient}${optOut ? " (opt-out)" : ""} on ${leads.results.length} leads`);
+  return { optOut, leads: leads.results.length };
+}
+
+export async function handleOutreachWebhook(request, env, url) {
+  const sender = OUTREACH_SENDER_REGISTRY[url.pathname.split("/")[3]];
+  if (!sender?.parseInbound) {
+    return new Response("Not found", { status: 404 });
+  }
+  
+  try {
+    const reply = await sender.parseInbound(request, env);
+    if (!reply) {
+      return new Response("Unauthorized", { status: 401 });
+    }
+    await ensureSchema(env.DB);
+    const result = await handleInboundReply(env, reply);
+    return sender.ackInbound ? sender.ackInbound(result) : jsonResponse(result);
+  } catch (error) {
+    console.error("Outreach webhook error:", error);
+    return jsonResponse({ error: "Internal error" }, 500);
+  }
+}
@@ -0,0 +1,218 @@
+// ============================================
+// PIPELINE RUN HISTORY
+// ============================================
+
+import { processExpiredListings } from "./pipeline.js";
+import { analyzeListings } from "./analysis.js";
+import { updateLeadRecord } from "./leads.js";
+import { LEAD_SELECT_SQL } from "./storage.js";
+import { sendSlackPipelineAlert } from "./slack.js";
+import { jsonResponse } from "./api.js";
+import { leadFromRow } from "./slack-interactivity.js";
+
+// A run still "running" after this long died with its worker invocation
+const PIPELINE_RUN_STUCK_MINUTES = 30;
+
+function newRunCounts() {
+  return {
+    listingsParsed: 0,
+    newLeads: 0,
+    repeatLeads: 0,
+    alreadyProcessed: 0,
+    analyzed: 0,
+    analysisFailed: 0,
+    stored: 0,
+    storeErrors: 0
+  };
+}
+
+// Inserts a queued run; processing marks it running when it starts
+export async function startPipelineRun(db, csvFilename, trigger) {
+  const previous = await db.prepare(
+    `SELECT COUNT(*) as attempts FROM pipeline_runs WHERE csv_filename = ?`
+  ).bind(csvFilename).first();
+  const attempt = (previous?.attempts || 0) + 1;
+  
+  const result = await db.prepare(
+    `INSERT INTO pipeline_runs (csv_filename, trigger, attempt, status) VALUES (?, ?, ?, 'queued')`
+  ).bind(csvFilename, trigger, attempt).run();
+  
+  return { id: result.meta.last_row_id, csvFilename, trigger, attempt, stage: null, counts: newRunCounts() };
+}
+
+export async function markPipelineRunStarted(db, run) {
+  run.startedAt = Date.now();
+  await db.prepare(
+    `UPDATE pipeline_runs SET status = 'running', started_at = datetime('now') WHERE id = ?`
+  ).bind(run.id).run();
+}
+
+// Records the outcome; failed and partial runs raise a Slack alert
+export async function finishPipelineRun(env, run, status, error = null) {
+  const c = run.counts;
+  const message = error ? error.message || String(error)
+    : status === "partial" ? `${c.storeErrors} leads failed to store, ${c.analysisFailed} analyses failed`
+    : null;
+  
+  try {
+    await env.DB.prepare(
+      `UPDATE pipeline_runs SET status = ?, stage = ?, listings_parsed = ?, new_leads = ?, repeat_leads = ?,
+         already_processed = ?, analyzed = ?, analysis_failed = ?, stored = ?, store_errors = ?, error = ?,
+         finished_at = datetime('now'), duration_ms = ?
+       WHERE id = ?`
+    ).bind(
+      status, run.stage, c.listingsParsed, c.newLeads, c.repeatLeads, c.alreadyProcessed,
+      c.analyzed, c.analysisFailed, c.stored, c.storeErrors, message,
+      run.startedAt ? Date.now() - run.startedAt : null, run.id
+    ).run();
+  } catch (dbError) {
+    console.error("Pipeline run update error:", dbError);
+  }
+  
+  console.log(`Pipeline run ${run.id} (${run.csvFilename}) ${status}${message ? `: ${message}` : ""}`);
+  if (status !== "completed") {
+    await sendSlackPipelineAlert(env.SLACK_WEBHOOK, {
+      runId: run.id,
+      csvFilename: run.csvFilename,
+      status,
+      stage: run.stage,
+      error: message
+    });
+  }
+}
+
+// Runs whose worker died (CPU limit, deploy, crash) never reach finishPipelineRun
+export async function recoverStuckRuns(env) {
+  const stuck = await env.DB.prepare(
+    `SELECT id, csv_filename, stage FROM pipeline_runs
+     WHERE status IN ('queued', 'running')
+       AND COALESCE(started_at, created_at) < datetime('now', ?)`
+  ).bind(`-${PIPELINE_RUN_STUCK_MINUTES} minutes`).all();
+  
+  for (const row of stuck.results) {
+    const error = "Run did not finish (worker timed out or crashed)";
+    await env.DB.prepare(
+      `UPDATE pipeline_runs SET status = 'failed', error = ?, finished_at = datetime('now') WHERE id = ?`
+    ).bind(error, row.id).run();
+    await sendSlackPipelineAlert(env.SLACK_WEBHOOK, {
+      runId: row.id,
+      csvFilename: row.csv_filename,
+      status: "failed",
+      stage: row.stage,
+      error
+    });
+  }
+}
+
+// Leads earlier attempts stored from this file, for the stages after store
+// that a failed attempt may not have reached
+export async function loadStoredFileLeads(db, csvFilename) {
+  const rows = await db.prepare(`${LEAD_SELECT_SQL} WHERE f.filename = ?`).bind(csvFilename).all();
+  return rows.results.map(leadFromRow);
+}
+
+// Re-runs Claude for leads from this file whose analysis failed last time.
+// Returns the leads with their new analysis (which may have failed again).
+export async function reanalyzeFailedLeads(env, csvFilename, claudeUsage) {
+  const rows = await env.DB.prepare(
+    `${LEAD_SELECT_SQL} WHERE f.filename = ? AND a.failed = 1`
+  ).bind(csvFilename).all();
+  if (rows.results.length === 0) return [];
+  
+  console.log(`Re-analyzing ${rows.results.length} leads whose analysis failed`);
+  const leads = rows.results.map(leadFromRow);
+  await analyzeListings(env, leads, claudeUsage);
+  
+  for (const lead of leads.filter(l => !l.analysis.failed)) {
+    await updateLeadRecord(env.DB, lead.leadId, {
+      source: "pipeline",
+      mutate: summary => {
+        summary.analysis = lead.analysis;
+        return null;
+      }
+    });
+  }
+  return leads;
+}
+
+export function formatPipelineRun(row) {
+  return {
+    id: row.id,
+    csvFilename: row.csv_filename,
+    trigger: row.trigger,
+    attempt: row.attempt,
+    status: row.status,
+    stage: row.stage,
+    listingsParsed: row.listings_parsed,
+    newLeads: row.new_leads,
+    repeatLeads: row.repeat_leads,
+    alreadyProcessed: row.already_processed,
+    analyzed: row.analyzed,
+    analysisFailed: row.analysis_failed,
+    stored: row.stored,
+    storeErrors: row.store_errors,
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms
+  };
+}
+
+export async function listPipelineRuns(db, params) {
+  const conditions = ["1 = 1"];
+  const bindings = [];
+  if (params.get("status")) {
+    conditions.push("status = ?");
+    bindings.push(params.get("status"));
+  }
+  if (params.get("file")) {
+    conditions.push("csv_filename = ?");
+    bindings.push(params.get("file"));
+  }
+  
+  const limit = Math.min(Math.max(parseInt(params.get("limit")) || 50, 1), 200);
+  const offset = Math.max(parseInt(params.get("offset")) || 0, 0);
+  const where = conditions.join(" AND ");
+  
+  const [countResult, rowsResult] = await db.batch([
+    db.prepare(`SELECT COUNT(*) as total FROM pipeline_runs WHERE ${where}`).bind(...bindings),
+    db.prepare(`SELECT * FROM pipeline_runs WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .bind(...bindings, limit, offset)
+  ]);
+  
+  const total = countResult.results[0]?.total || 0;
+  return jsonResponse({
+    total,
+    limit,
+    offset,
+    nextOffset: offset + limit < total ? offset + limit : null,
+    runs: rowsResult.results.map(formatPipelineRun)
+  });
+}
+
+// Queues a fresh attempt at a failed or partial run's file. Listings the
+// earlier attempt stored aren't stored again but go through the stages after
+// store once more; failed analyses are retried.
+export async function retryPipelineRun(env, ctx, id) {
+  const row = await env.DB.prepare(`SELECT * FROM pipeline_runs WHERE id = ?`).bind(id).first();
+  if (!row) {
+    return jsonResponse({ error: "Run not found" }, 404);
+  }
+  if (!["failed", "partial"].includes(row.status)) {
+    return jsonResponse({ error: `Only failed or partial runs can be retried; run ${id} is ${row.status}` }, 409);
+  }
+  
+  const newer = await env.DB.prepare(
+    `SELECT id FROM pipeline_runs WHERE csv_filename = ? AND id > ? LIMIT 1`
+  ).bind(row.csv_filename, id).first();
+  if (newer) {
+    return jsonResponse({ error: `Run ${newer.id} has already retried ${row.csv_filename}` }, 409);
+  }
+  
+  const run = await startPipelineRun(env.DB, row.csv_filename, "retry");
+  ctx.waitUntil(processExpiredListings(env, { trigger: "retry", queuedRuns: [run] }));
+  
+  const queued = await env.DB.prepare(`SELECT * FROM pipeline_runs WHERE id = ?`).bind(run.id).first();
+  return jsonResponse(formatPipelineRun(queued), 202);
+}
@@ -0,0 +1,284 @@
+// ============================================
+// MAIN PROCESSING FUNCTION
+// ============================================
+
+import { parseCSVStream } from "./csv.js";
+import { calculateUrgencyScore, loadScoringRubric } from "./scoring.js";
+import { findComparables, loadComparables } from "./comps.js";
+import { assignTerritory, createGeocoder, loadTerritoryConfig, sendAgentSummaries } from "./territories.js";
+import { attachListingProfiles, loadListingProfiles } from "./profiles.js";
+import { attachAppraisalRecords } from "./appraisal.js";
+import { buildListingTimeline, formatTimelineSummary, loadSightingHistory } from "./timeline.js";
+import { getSkipTraceProviders, getSubmittedSkipTraceLeadIds, startSkipTraceJob } from "./skip-trace.js";
+import { analyzeListings } from "./analysis.js";
+import { createClaudeUsageTracker, recordClaudeUsage } from "./analysis-cache.js";
+import {
+  finishPipelineRun,
+  loadStoredFileLeads,
+  markPipelineRunStarted,
+  reanalyzeFailedLeads,
+  recoverStuckRuns,
+  startPipelineRun
+} from "./pipeline-runs.js";
+import { storeLeads } from "./storage.js";
+import { ensureSchema } from "./migrations.js";
+import {
+  dedupeListings,
+  findExistingLead,
+  getLeadKey,
+  getPropertyKey,
+  getProcessedFiles,
+  getStoredLeadKeys,
+  isRelistedStatus,
+  recordSighting,
+  updateExistingLead
+} from "./leads.js";
+import { scrubContactPhones } from "./dnc.js";
+import { enrollLeadsInCadence, loadCadenceConfig } from "./cadences.js";
+import { sendSlackPipelineAlert, sendSlackSummary } from "./slack.js";
+import { exportLeadsToCrm, processLeadIntegrations } from "./integrations.js";
+
+// queuedRuns (from the retry endpoint) limits the run to those files;
+// otherwise every file in R2 without a pipeline run yet is processed
+export async function processExpiredListings(env, { trigger = "cron", queuedRuns = null } = {}) {
+  let stage = "list";
+  try {
+    console.log("Starting expired listings processing...");
+    
+    // 1. Get list of CSV files in R2 bucket
+    const objects = await env.R2_BUCKET.list({ prefix: "expired-listings/" });
+    const csvFiles = objects.objects.filter(obj => obj.key.endsWith(".csv"));
+    console.log(`Found ${csvFiles.length} CSV files in R2 bucket`);
+    
+    if (csvFiles.length === 0 && !queuedRuns) {
+      console.log("No CSV files found");
+      return;
+    }
+    
+    // 2. Make sure the lead history tables exist, and fail runs that died mid-file
+    stage = "setup";
+    await ensureSchema(env.DB);
+    await recoverStuckRuns(env);
+    
+    // 3. Get already processed files from database (pipeline runs, sighting history + legacy rows)
+    const processedFiles = await getProcessedFiles(env.DB);
+    console.log(`Already processed: ${processedFiles.size} files`);
+    
+    // 4. Load the scoring rubric for this run
+    const rubric = await loadScoringRubric(env);
+    
+    // 5. Find new files to process
+    const newFiles = queuedRuns
+      ? queuedRuns.map(run => ({ key: run.csvFilename }))
+      : csvFiles.filter(f => !processedFiles.has(f.key));
+    console.log(`New files to process: ${newFiles.length}`);
+    
+    if (newFiles.length === 0) {
+      console.log("All files already processed");
+      return;
+    }
+    
+    let totalListings = 0;
+    let allProcessedListings = [];
+    const shared = {
+      rubric,
+      compsByZip: await loadComparables(env),
+      claudeUsage: await createClaudeUsageTracker(env),
+      cadenceConfig: await loadCadenceConfig(env),
+      geocoder: await createGeocoder(env),
+      territories: await loadTerritoryConfig(env)
+    };
+    
+    try {
+      // 6. Process each new file, recording a pipeline run for it
+      for (const [i, file] of newFiles.entries()) {
+        const run = queuedRuns?.[i] || await startPipelineRun(env.DB, file.key, trigger);
+        try {
+          await markPipelineRunStarted(env.DB, run);
+          const { listingCount, reportable } = await processListingFile(env, file.key, shared, run);
+          totalListings += listingCount;
+          allProcessedListings = [...allProcessedListings, ...reportable];
+          await finishPipelineRun(env, run, run.counts.storeErrors > 0 || run.counts.analysisFailed > 0 ? "partial" : "completed");
+        } catch (error) {
+          console.error(`Processing ${file.key} failed at ${run.stage}:`, error);
+          await finishPipelineRun(env, run, "failed", error);
+        }
+      }
+    } finally {
+      // 11. Record this run's Claude token usage and cost, even when a file
+      // failed partway through analysis
+      await recordClaudeUsage(env.DB, shared.claudeUsage);
+    }
+    
+    stage = "report";
+    
+    // 12. Send Slack summary with top 10, re-checking phones against the latest
+    // DNC lists, then each agent's own top 10 to their webhook
+    console.log(`Sending Slack summary for ${totalListings} listings...`);
+    try {
+      const topTen = allProcessedListings.sort((a, b) => b.urgencyScore - a.urgencyScore).slice(0, 10);
+      await sendSlackSummary(
+        env.SLACK_WEBHOOK,
+        await Promise.all(topTen.map(listing => scrubContactPhones(env.DB, listing, env))),
+        totalListings,
+        rubric,
+        shared.claudeUsage
+      );
+      await sendAgentSummaries(env, shared.territories, allProcessedListings, rubric);
+      console.log(`Processing complete. ${totalListings} listings analyzed.`);
+    } catch (slackError) {
+      console.error("Slack send failed:", slackError.message || slackError);
+    }
+    
+    // 13. Deliver lead.created (and any other pending) webhooks
+    await processLeadIntegrations(env);
+  } catch (error) {
+    console.error("Error in processExpiredListings:", error);
+    await sendSlackPipelineAlert(env.SLACK_WEBHOOK, { stage, error: error.message || String(error) });
+    throw error;
+  }
+}
+
+// Steps 6-10 for one file. Progress is tracked on run (stage + counts) so a
+// failure can say where it broke.
+async function processListingFile(env, fileKey, { rubric, compsByZip, claudeUsage, cadenceConfig, geocoder, territories }, run) {
+  console.log(`Processing file: ${fileKey}`);
+  
+  run.stage = "download";
+  const object = await env.R2_BUCKET.get(fileKey);
+  if (!object) {
+    throw new Error(`${fileKey} is no longer in R2`);
+  }
+  
+  run.stage = "parse";
+  const listings = dedupeListings(await parseCSVStream(object.body));
+  run.counts.listingsParsed = listings.length;
+  console.log(`Parsed ${listings.length} listings from ${fileKey}`);
+  
+  // Who owns it, per the county appraisal district
+  run.stage = "appraisal";
+  await attachAppraisalRecords(env, listings);
+  
+  // Locate each listing and hand it to the agent whose territory it's in
+  run.stage = "geocode";
+  for (const listing of listings) {
+    listing.location = await geocoder.locate(listing);
+    listing.agentId = assignTerritory(territories, listing);
+  }
+  
+  // 7. Calculate urgency scores using rubric, with the price gap to comps as a
+  // factor. The previous agent's track record rides along for Claude and Slack.
+  // Price cuts and relists come from every earlier export of the property.
+  run.stage = "score";
+  const profiles = await loadListingProfiles(env.DB);
+  for (const listing of listings) {
+    listing.csvFilename = fileKey;
+    listing.leadKey = getLeadKey(listing);
+    listing.propertyKey = getPropertyKey(listing);
+  }
+  const history = await loadSightingHistory(env.DB, listings.map(l => l.propertyKey), fileKey);
+  const scoredListings = listings.map(listing => {
+    attachListingProfiles(listing, profiles);
+    listing.comps = findComparables(listing, compsByZip);
+    listing.priceGapPct = listing.comps?.priceGapPct ?? null;
+    listing.timeline = buildListingTimeline(listing, history);
+    listing.timelineSummary = formatTimelineSummary(listing.timeline);
+    const { score, breakdown } = calculateUrgencyScore(listing, rubric);
+    return {
+      ...listing,
+      urgencyScore: score,
+      scoreBreakdown: breakdown,
+      rubricVersion: rubric.version
+    };
+  });
+  
+  // 8. Repeat sightings (same MLS number or address) update the existing lead
+  // instead of creating a new one. Listings an earlier attempt at this file
+  // already stored are skipped, and so are owners first seen already relisted.
+  // The leads that attempt created rejoin at the cadence stage below.
+  run.stage = "dedupe";
+  const storedKeys = await getStoredLeadKeys(env.DB, fileKey);
+  const resumedLeads = storedKeys.size > 0 ? await loadStoredFileLeads(env.DB, fileKey) : [];
+  const newListings = [];
+  const repeatListings = [];
+  let alreadyListed = 0;
+  for (const listing of scoredListings) {
+    if (storedKeys.has(listing.leadKey)) {
+      run.counts.alreadyProcessed++;
+      continue;
+    }
+    
+    const existing = await findExistingLead(env.DB, listing);
+    if (!existing && isRelistedStatus(listing.status)) {
+      await recordSighting(env.DB, null, listing);
+      alreadyListed++;
+      continue;
+    }
+    if (!existing) {
+      newListings.push(listing);
+      continue;
+    }
+    
+    const updated = await updateExistingLead(env.DB, existing, listing);
+    await recordSighting(env.DB, existing.id, listing);
+    repeatListings.push(updated);
+  }
+  run.counts.newLeads = newListings.length;
+  run.counts.repeatLeads = repeatListings.length;
+  console.log(`${newListings.length} new leads, ${repeatListings.length} repeat sightings (${repeatListings.filter(l => l.leadStatus === "relisted").length} relisted), ${alreadyListed} already listed`);
+  
+  // 9. Get Claude analysis for top 20 new leads (to save API costs)
+  run.stage = "analyze";
+  const sortedByScore = [...newListings].sort((a, b) => b.urgencyScore - a.urgencyScore);
+  const topListings = sortedByScore.slice(0, 20);
+  
+  console.log(`Analyzing top ${topListings.length} listings with Claude...`);
+  await analyzeListings(env, topListings, claudeUsage);
+  const reanalyzed = run.attempt > 1 ? await reanalyzeFailedLeads(env, fileKey, claudeUsage) : [];
+  const analyzedLeads = [...topListings, ...reanalyzed];
+  run.counts.analyzed = analyzedLeads.filter(l => !l.analysis?.failed).length;
+  run.counts.analysisFailed = analyzedLeads.filter(l => l.analysis?.failed).length;
+  
+  // Store in database; remaining listings go in without Claude analysis
+  run.stage = "store";
+  for (const listing of sortedByScore.slice(20)) {
+    listing.analysis = { positioningAngle: "Lower priority - not analyzed", talkingPoints: [] };
+  }
+  await storeLeads(env.DB, sortedByScore);
+  const storedListings = sortedByScore.filter(l => l.leadId);
+  run.counts.stored = storedListings.length;
+  run.counts.storeErrors = sortedByScore.length - run.counts.stored;
+  
+  // 10. Queue a skip trace for the new leads with the first configured
+  // provider; later cron ticks collect the results (see processSkipTraceJobs).
+  // Enrolling is idempotent, and leads an earlier attempt already submitted
+  // aren't traced again.
+  run.stage = "cadence";
+  const fileLeads = [...storedListings, ...resumedLeads];
+  await enrollLeadsInCadence(env.DB, fileLeads, cadenceConfig);
+  
+  run.stage = "skip_trace";
+  const [skipTraceProvider] = getSkipTraceProviders(env);
+  const submitted = await getSubmittedSkipTraceLeadIds(env.DB, resumedLeads.map(l => l.leadId));
+  const traceLeads = fileLeads.filter(l => !submitted.has(l.leadId));
+  if (skipTraceProvider && traceLeads.length > 0) {
+    const jobId = await startSkipTraceJob(env, traceLeads, skipTraceProvider);
+    if (jobId) {
+      traceLeads.forEach(l => { l.skipTracePending = true; });
+    }
+  }
+  
+  // Leads that came with an owner go straight to the CRM import files;
+  // skip-traced ones follow when their job completes
+  run.stage = "export";
+  await exportLeadsToCrm(env, fileLeads.map(l => l.leadId), fileKey.split("/").pop().replace(/\.csv$/i, ""));
+  
+  // A partial run is reported against the stage that lost data
+  run.stage = run.counts.storeErrors > 0 ? "store" : run.counts.analysisFailed > 0 ? "analyze" : "done";
+  
+  // Owners back on the market (with someone else, or with us) are left out
+  // of the report
+  const reportable = [...storedListings, ...repeatListings]
+    .filter(l => l.leadStatus !== "relisted" && !isRelistedStatus(l.status));
+  return { listingCount: listings.length, reportable };
+}
@@ -0,0 +1,97 @@
+// ============================================
+// LISTING AGENT & BROKERAGE PROFILES
+// ============================================
+
+import { buildLeadFilters, jsonResponse } from "./api.js";
+import { LEAD_FROM_SQL, normalizeProfileName } from "./storage.js";
+
+// Profiles are rolled up from the stored leads, so they cover every file
+// processed and can't drift from the lead history. Names are grouped on the
+// normalizeProfileName keys written with each lead.
+const LISTING_PROFILE_KINDS = {
+  agents: { nameColumn: "l.listing_agent", keyColumn: "l.listing_agent_key", relistedKeyColumn: "l.relisted_agent_key" },
+  brokerages: { nameColumn: "l.listing_office", keyColumn: "l.listing_office_key", relistedKeyColumn: "l.relisted_office_key" }
+};
+
+// DOM as of the previous agent's expiry; later active sightings overwrite dom
+const LEAD_EXPIRED_DOM_SQL = `COALESCE(l.expired_dom, l.dom)`;
+
+// Ranking endpoint: default and maximum profiles returned
+const DEFAULT_PROFILE_LIMIT = 25;
+const MAX_PROFILE_LIMIT = 200;
+
+// conditions are lead filters (see buildLeadFilters)
+function buildProfileQuery(kind, conditions, having = "") {
+  const { nameColumn: name, keyColumn: key, relistedKeyColumn: relisted } = LISTING_PROFILE_KINDS[kind];
+  return `SELECT ${key} as name_key, MAX(${name}) as name,
+            COUNT(*) as expired_count,
+            AVG(${LEAD_EXPIRED_DOM_SQL}) as avg_dom,
+            SUM(CASE WHEN ${relisted} IS NOT NULL THEN 1 ELSE 0 END) as relisted_count,
+            SUM(CASE WHEN ${relisted} IS NOT NULL AND ${relisted} != ${key} THEN 1 ELSE 0 END) as relisted_elsewhere_count
+          FROM ${LEAD_FROM_SQL}
+          WHERE ${[...conditions, `${key} IS NOT NULL`].join(" AND ")}
+          GROUP BY name_key ${having}`;
+}
+
+function formatProfile(row) {
+  return {
+    name: row.name,
+    expiredCount: row.expired_count,
+    avgDom: row.avg_dom === null ? null : Math.round(row.avg_dom),
+    relistedCount: row.relisted_count,
+    relistedElsewhereCount: row.relisted_elsewhere_count,
+    relistedElsewherePct: Math.round(row.relisted_elsewhere_count / row.expired_count * 100)
+  };
+}
+
+// Every agent's and brokerage's profile, keyed by normalized name
+export async function loadListingProfiles(db) {
+  const profiles = { agents: new Map(), brokerages: new Map() };
+  try {
+    const results = await db.batch(
+      Object.keys(LISTING_PROFILE_KINDS).map(kind => db.prepare(buildProfileQuery(kind, [])))
+    );
+    Object.keys(LISTING_PROFILE_KINDS).forEach((kind, i) => {
+      for (const row of results[i].results) {
+        profiles[kind].set(row.name_key, formatProfile(row));
+      }
+    });
+  } catch (error) {
+    console.error("Listing profile load error:", error.message || error);
+  }
+  return profiles;
+}
+
+export function attachListingProfiles(listing, profiles) {
+  listing.agentProfile = profiles.agents.get(normalizeProfileName(listing.listingAgent)) || null;
+  listing.officeProfile = profiles.brokerages.get(normalizeProfileName(listing.listingOffice)) || null;
+}
+
+// "12 expireds on record, avg 143 DOM, 42% relisted with another agent"
+export function formatListingProfile(profile, kind = "agent") {
+  if (!profile) return "";
+  return `${profile.expiredCount} expired${profile.expiredCount === 1 ? "" : "s"} on record` +
+    (profile.avgDom !== null ? `, avg ${profile.avgDom} DOM` : "") +
+    `, ${profile.relistedElsewherePct}% relisted with another ${kind}`;
+}
+
+// GET /api/profiles/agents|brokerages - who expires most often. Takes the
+// /api/leads filters (zip, city, agent, gathered_after...) to scope it to a territory.
+export async function listListingProfiles(db, kind, params) {
+  const filters = buildLeadFilters(params);
+  if (filters.error) {
+    return jsonResponse({ error: filters.error }, 400);
+  }
+  
+  const minExpired = Math.max(parseInt(params.get("min_expired")) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(params.get("limit")) || DEFAULT_PROFILE_LIMIT, 1), MAX_PROFILE_LIMIT);
+  const { results } = await db.prepare(
+    `${buildProfileQuery(kind, filters.conditions, "HAVING expired_count >= ?")}
+     ORDER BY expired_count DESC, relisted_elsewhere_count DESC, name_key ASC LIMIT ?`
+  ).bind(...filters.bindings, minExpired, limit).all();
+  
+  return jsonResponse({
+    kind,
+    [kind]: results.map((row, i) => ({ rank: i + 1, ...formatProfile(row) }))
+  });
+}
@@ -0,0 +1,238 @@
+// ============================================
+// URGENCY SCORING RUBRIC (10-Point System)
+// ============================================
+
+// Default rubric, tuned for Houston. Override per market by uploading a JSON
+// object with the same shape to R2 (see loadScoringRubric). Each factor reads
+// one input from getScoringInputs(); the first band whose bounds all match
+// (gt/gte/lt/lte) awards its points, and no match awards 0. The factors' top
+// bands add up to maxScore.
+export const DEFAULT_SCORING_RUBRIC = {
+  version: "houston-default-5",
+  maxScore: 10,
+  factors: [
+    {
+      // Longer on market = more motivated seller
+      id: "motivation",
+      label: "Motivation",
+      input: "dom",
+      bands: [
+        { gte: 180, points: 1.5 }, // 6+ months = very motivated
+        { gte: 90, points: 1 },    // 3-6 months = motivated
+        { gte: 45, points: 0.5 }   // 45-90 days = somewhat motivated; under 45 = 0 (may try again quickly)
+      ]
+    },
+    {
+      // Recently expired = fresh wound, better timing
+      id: "freshness",
+      label: "Freshness",
+      input: "daysSinceExpired",
+      bands: [
+        { lte: 3, points: 2 },     // Just expired = hot lead
+        { lte: 7, points: 1.5 },   // Within a week = still fresh
+        { lte: 14, points: 1 },    // 1-2 weeks = cooling
+        { lte: 30, points: 0.5 }   // 2-4 weeks = cold; 30+ days = 0 points
+      ]
+    },
+    {
+      // Multiple listing attempts (CDOM vs DOM) = exhausted seller
+      id: "repeatFailure",
+      label: "Repeat failure",
+      input: "cdomRatio",
+      bands: [
+        { gt: 2, points: 1 },      // Multiple failed attempts
+        { gt: 1.5, points: 0.5 }   // Relisted at least once; less history = 0
+      ]
+    },
+    {
+      // Under $200K = investor-friendly, easier sale
+      id: "pricePoint",
+      label: "Price point",
+      input: "price",
+      bands: [
+        { gt: 0, lt: 150000, points: 1.5 },       // Investor sweet spot
+        { gte: 150000, lt: 250000, points: 1 },   // First-time buyer range
+        { gte: 250000, lt: 400000, points: 0.5 }  // Move-up buyer range; 400K+ = 0 (higher end is harder)
+      ]
+    },
+    {
+      // Newer = easier to sell
+      id: "propertyAge",
+      label: "Property age",
+      input: "propertyAge",
+      bands: [
+        { lte: 15, points: 0.5 }   // Older properties = 0 points
+      ]
+    },
+    {
+      // Sweet spot for families; anything else = 0 points
+      id: "bedrooms",
+      label: "Bedrooms",
+      input: "bedrooms",
+      bands: [
+        { gte: 3, lte: 4, points: 0.5 }
+      ]
+    },
+    {
+      // Priced over comparables = a fixable reason it failed; no comps = 0 points
+      id: "overpricing",
+      label: "Overpricing",
+      input: "priceGapPct",
+      bands: [
+        { gte: 15, points: 1 },
+        { gte: 5, points: 0.5 }
+      ]
+    },
+    {
+      // Absentee owners (landlords, inherited homes) carry the holding costs;
+      // no appraisal match = 0 points
+      id: "absentee",
+      label: "Absentee owner",
+      input: "absenteeOwner",
+      bands: [
+        { gte: 1, points: 0.5 }
+      ]
+    },
+    {
+      // Long tenure = likely high equity and room to price to sell
+      id: "ownerTenure",
+      label: "Owner tenure",
+      input: "ownershipYears",
+      bands: [
+        { gte: 10, points: 0.5 }
+      ]
+    },
+    {
+      // Price already cut across the exports we've seen (or per the export's
+      // original list price) = owner has started conceding on price
+      id: "priceReductions",
+      label: "Price reductions",
+      input: "priceReductionPct",
+      bands: [
+        { gte: 5, points: 0.5 }
+      ]
+    },
+    {
+      // Listings we've watched it go through (new MLS number, list date or
+      // brokerage); CDOM covers the ones before our first export
+      id: "relists",
+      label: "Relists",
+      input: "relistCount",
+      bands: [
+        { gte: 1, points: 0.5 }
+      ]
+    }
+  ]
+};
+
+// Loads the active rubric from R2, falling back to the built-in default
+export async function loadScoringRubric(env) {
+  const key = env.SCORING_RUBRIC_KEY || "config/scoring-rubric.json";
+  
+  try {
+    const object = await env.R2_BUCKET.get(key);
+    if (!object) {
+      console.log(`No scoring rubric at ${key}, using ${DEFAULT_SCORING_RUBRIC.version}`);
+      return DEFAULT_SCORING_RUBRIC;
+    }
+    
+    const rubric = await object.json();
+    const problem = validateScoringRubric(rubric);
+    if (problem) {
+      console.error(`Invalid scoring rubric at ${key}: ${problem}. Using ${DEFAULT_SCORING_RUBRIC.version}`);
+      return DEFAULT_SCORING_RUBRIC;
+    }
+    
+    console.log(`Loaded scoring rubric ${rubric.version} from ${key}`);
+    return rubric;
+  } catch (error) {
+    console.error("Scoring rubric load error:", error.message || error);
+    return DEFAULT_SCORING_RUBRIC;
+  }
+}
+
+function validateScoringRubric(rubric) {
+  if (!rubric || typeof rubric !== "object") return "not an object";
+  if (!rubric.version) return "missing version";
+  if (!Array.isArray(rubric.factors) || rubric.factors.length === 0) return "factors must be a non-empty array";
+  
+  for (const factor of rubric.factors) {
+    if (!factor.id || !factor.input) return "every factor needs an id and an input";
+    if (!Array.isArray(factor.bands)) return `factor ${factor.id} has no bands`;
+    if (factor.bands.some(band => typeof band.points !== "number")) {
+      return `factor ${factor.id} has a band without numeric points`;
+    }
+  }
+  return null;
+}
+
+// Raw values the rubric factors can score against, as of now
+export function getScoringInputs(listing, now = new Date()) {
+  const dom = parseInt(listing.daysOnMarket) || 0;
+  const cdom = parseInt(listing.cumulativeDaysOnMarket) || 0;
+  const expiredDate = listing.expiredDate ? new Date(listing.expiredDate) : null;
+  const yearBuilt = parseInt(listing.yearBuilt) || 2000;
+  
+  let cdomRatio = 1;
+  if (dom > 0) {
+    cdomRatio = cdom / dom;
+  } else if (cdom > 0) {
+    cdomRatio = Infinity;
+  }
+  
+  return {
+    dom,
+    cdom,
+    cdomRatio,
+    daysSinceExpired: expiredDate ? Math.floor((now.getTime() - expiredDate.getTime()) / (1000 * 60 * 60 * 24)) : 999,
+    price: parseInt(listing.price?.replace(/[,$]/g, "")) || 0,
+    propertyAge: now.getFullYear() - yearBuilt,
+    bedrooms: parseInt(listing.bedrooms) || 0,
+    priceGapPct: listing.comps?.priceGapPct ?? null,
+    absenteeOwner: typeof listing.appraisal?.absentee === "boolean" ? Number(listing.appraisal.absentee) : null,
+    ownershipYears: listing.appraisal?.purchaseYear ? now.getFullYear() - listing.appraisal.purchaseYear : null,
+    priceReductionPct: listing.timeline?.totalReductionPct ?? null,
+    relistCount: listing.timeline?.relistCount ?? null
+  };
+}
+
+function bandMatches(band, value) {
+  if (band.gt !== undefined && !(value > band.gt)) return false;
+  if (band.gte !== undefined && !(value >= band.gte)) return false;
+  if (band.lt !== undefined && !(value < band.lt)) return false;
+  if (band.lte !== undefined && !(value <= band.lte)) return false;
+  return true;
+}
+
+export function calculateUrgencyScore(listing, rubric = DEFAULT_SCORING_RUBRIC, now = new Date()) {
+  const inputs = getScoringInputs(listing, now);
+  const breakdown = {};
+  let score = 0;
+  
+  for (const factor of rubric.factors) {
+    const value = inputs[factor.input];
+    let points = 0;
+    if (value !== undefined && value !== null) {
+      const band = factor.bands.find(b => bandMatches(b, value));
+      points = band ? band.points : 0;
+    }
+    breakdown[factor.id] = points;
+    score += points;
+  }
+  
+  // Round to 1 decimal place, cap at the rubric maximum
+  return {
+    score: Math.min(rubric.maxScore ?? 10, Math.round(score * 10) / 10),
+    breakdown
+  };
+}
+
+export function formatScoreBreakdown(breakdown, rubric = DEFAULT_SCORING_RUBRIC) {
+  if (!breakdown) return "";
+  return Object.entries(breakdown)
+    .map(([id, points]) => {
+      const factor = rubric.factors.find(f => f.id === id);
+      return `${factor?.label || id} ${points}`;
+    })
+    .join(" · ");
+}
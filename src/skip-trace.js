@@ -0,0 +1,310 @@
+// ============================================
+// SKIP TRACING (Provider-Agnostic Jobs)
+// ============================================
+
+import { tracerfyProvider } from "./tracerfy.js";
+import { mockSkipTraceProvider } from "./mock-skip-trace.js";
+import { ensureSchema } from "./migrations.js";
+import { buildLeadWrites, LEAD_SELECT_SQL, readLeadRow } from "./storage.js";
+import { scrubContactPhones } from "./dnc.js";
+import { sendSlackContactUpdate } from "./slack.js";
+import { buildLeadEventInsert, exportLeadsToCrm } from "./integrations.js";
+
+// Must match the frequent cron in wrangler.toml
+export const SKIP_TRACE_CRON = "*/15 * * * *";
+
+// Jobs a provider hasn't finished after this long are given up on
+export const SKIP_TRACE_JOB_MAX_AGE_HOURS = 48;
+
+// Skip-trace provider interface. Each provider is an object with:
+// - id / name: stored on jobs and leads, shown in logs
+// - isConfigured(env): whether its credentials are present
+// - submit(leads, env): { queueId, error } for a batch of { leadId, address, city, state, zip }
+// - poll(queueId, env): { complete, resultRef } - called once per cron tick
+// - fetchResults(resultRef, env, leads): raw result rows, or null to retry later
+// - normalize(leads, results): leads with ownerName/ownerPhone(s)/ownerEmail(s)/
+//   ownerMailingAddress, matchConfidence and matchStatus (matched/review/unmatched)
+// Add a vendor by implementing these and registering it here. Looked up at
+// call time so the provider modules can import from this one.
+function getSkipTraceProvider(name) {
+  const registry = {
+    tracerfy: tracerfyProvider,
+    mock: mockSkipTraceProvider
+  };
+  return registry[name];
+}
+
+// Providers listed in SKIP_TRACE_PROVIDERS (comma-separated, in order) that
+// have their credentials set. The first runs every new batch; each one after
+// it gets the leads the previous provider could not resolve.
+export function getSkipTraceProviders(env) {
+  const names = (env.SKIP_TRACE_PROVIDERS || "tracerfy").split(",").map(n => n.trim().toLowerCase()).filter(Boolean);
+  
+  return names
+    .map(name => {
+      const provider = getSkipTraceProvider(name);
+      if (!provider) console.error(`Unknown skip-trace provider "${name}"`);
+      return provider;
+    })
+    .filter(provider => provider && provider.isConfigured(env));
+}
+
+function getFallbackProvider(env, providerId) {
+  const providers = getSkipTraceProviders(env);
+  const index = providers.findIndex(p => p.id === providerId);
+  return index === -1 ? null : providers[index + 1] || null;
+}
+
+// Submits a batch and records it in D1 so later cron ticks can finish it
+export async function startSkipTraceJob(env, listings, provider) {
+  const leads = listings.map(l => ({
+    leadId: l.leadId,
+    address: l.address,
+    city: l.city,
+    state: l.state,
+    zip: l.zip
+  }));
+  
+  console.log(`Submitting ${leads.length} leads to ${provider.name}...`);
+  const { queueId, error } = await provider.submit(leads, env);
+  
+  try {
+    const result = await env.DB.prepare(
+      `INSERT INTO skip_trace_jobs (provider, queue_id, state, leads, lead_count, error)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).bind(
+      provider.id,
+      queueId || null,
+      queueId ? "pending" : "failed",
+      JSON.stringify(leads),
+      leads.length,
+      error || null
+    ).run();
+    return queueId ? result.meta?.last_row_id ?? null : null;
+  } catch (dbError) {
+    console.error("Skip-trace job insert error:", dbError);
+    return null;
+  }
+}
+
+// Leads already in a job that was accepted, so a retried run doesn't pay to
+// trace them twice
+export async function getSubmittedSkipTraceLeadIds(db, leadIds) {
+  if (leadIds.length === 0) return new Set();
+  const result = await db.prepare(
+    `SELECT DISTINCT json_extract(l.value, '$.leadId') AS lead_id
+     FROM skip_trace_jobs j, json_each(j.leads) l
+     WHERE j.state != 'failed' AND json_extract(l.value, '$.leadId') IN (SELECT value FROM json_each(?))`
+  ).bind(JSON.stringify(leadIds)).all();
+  return new Set(result.results.map(r => r.lead_id));
+}
+
+// Checks every pending job once; run from the frequent cron
+export async function processSkipTraceJobs(env) {
+  await ensureSchema(env.DB);
+  
+  const pending = await env.DB.prepare(
+    `SELECT id, provider, queue_id, leads, submitted_at FROM skip_trace_jobs
+     WHERE state = 'pending' ORDER BY id ASC`
+  ).all();
+  console.log(`Checking ${pending.results.length} pending skip-trace jobs`);
+  
+  const newlyReachable = [];
+  for (const job of pending.results) {
+    const provider = getSkipTraceProvider(job.provider);
+    if (!provider || !provider.isConfigured(env)) {
+      console.error(`Skip-trace job ${job.id}: provider "${job.provider}" is not configured`);
+      await updateSkipTraceJob(env.DB, job.id, { state: "failed", error: "Provider not configured" });
+      continue;
+    }
+    
+    const ageHours = (Date.now() - new Date(`${job.submitted_at}Z`).getTime()) / (1000 * 60 * 60);
+    if (ageHours > SKIP_TRACE_JOB_MAX_AGE_HOURS) {
+      console.error(`Skip-trace job ${job.id} (queue ${job.queue_id}) expired after ${Math.round(ageHours)}h`);
+      await updateSkipTraceJob(env.DB, job.id, { state: "expired", error: `Timed out waiting for ${provider.name}` });
+      continue;
+    }
+    
+    const status = await provider.poll(job.queue_id, env);
+    if (!status.complete) {
+      await updateSkipTraceJob(env.DB, job.id, { state: "pending" });
+      continue;
+    }
+    
+    const leads = JSON.parse(job.leads);
+    const results = await provider.fetchResults(status.resultRef, env, leads);
+    if (!results) {
+      await updateSkipTraceJob(env.DB, job.id, { state: "pending", error: "Result download failed" });
+      continue;
+    }
+    
+    const enriched = provider.normalize(leads, results);
+    const reachable = [];
+    const unresolved = [];
+    let enrichedCount = 0;
+    let reviewCount = 0;
+    for (const match of enriched) {
+      // Nothing reaches D1 or Slack until its phones are checked against DNC lists
+      const listing = await scrubContactPhones(env.DB, { ...match, skipTraceProvider: provider.id }, env);
+      if (listing.matchStatus === "unmatched") {
+        unresolved.push(match);
+        continue;
+      }
+      if (listing.matchStatus === "review") {
+        reviewCount++;
+        await flagContactForReview(env.DB, listing);
+        continue;
+      }
+      if (listing.matchStatus !== "matched") continue;
+      enrichedCount++;
+      const lead = await applyContactInfo(env.DB, listing);
+      if (lead) reachable.push(lead);
+    }
+    newlyReachable.push(...reachable);
+    
+    console.log(`Skip-trace job ${job.id} complete: ${enrichedCount}/${enriched.length} leads enriched, ${reviewCount} flagged for review`);
+    await updateSkipTraceJob(env.DB, job.id, {
+      state: "completed",
+      resultCount: results.length,
+      enrichedCount
+    });
+    await exportLeadsToCrm(env, reachable.map(lead => lead.leadId), `skip-trace-job-${job.id}`);
+    
+    const fallback = getFallbackProvider(env, provider.id);
+    if (fallback && unresolved.length > 0) {
+      console.log(`Falling back to ${fallback.name} for ${unresolved.length} unresolved leads`);
+      await startSkipTraceJob(env, unresolved, fallback);
+    }
+  }
+  
+  if (newlyReachable.length > 0) {
+    try {
+      await sendSlackContactUpdate(
+        env.SLACK_WEBHOOK,
+        newlyReachable.sort((a, b) => b.urgencyScore - a.urgencyScore).slice(0, 10),
+        newlyReachable.length
+      );
+    } catch (slackError) {
+      console.error("Slack send failed:", slackError.message || slackError);
+    }
+  }
+}
+
+async function updateSkipTraceJob(db, id, { state, error = null, resultCount = null, enrichedCount = null }) {
+  try {
+    await db.prepare(
+      `UPDATE skip_trace_jobs
+       SET state = ?, error = COALESCE(?, error), result_count = COALESCE(?, result_count),
+           enriched_count = COALESCE(?, enriched_count), attempts = attempts + 1,
+           checked_at = datetime('now'),
+           completed_at = CASE WHEN ? = 'pending' THEN NULL ELSE datetime('now') END
+       WHERE id = ?`
+    ).bind(state, error, resultCount, enrichedCount, state, id).run();
+  } catch (dbError) {
+    console.error("Skip-trace job update error:", dbError);
+  }
+}
+
+// Merges skip-trace contact info into the stored lead. Returns the lead for
+// the follow-up Slack message when it had no phone or email before.
+async function applyContactInfo(db, listing) {
+  try {
+    const row = await db.prepare(`${LEAD_SELECT_SQL} WHERE l.id = ?`).bind(listing.leadId).first();
+    if (!row) return null;
+    
+    const { id, status, urgencyScore, summary } = readLeadRow(row);
+    const wasReachable = Boolean(summary.ownerPhone || summary.ownerEmail);
+    
+    mergeContactInfo(summary, listing);
+    
+    const isReachable = Boolean(summary.ownerPhone || summary.ownerEmail);
+    const statements = buildLeadWrites(db, id, summary);
+    if (!wasReachable && isReachable) {
+      statements.push(buildLeadEventInsert(db, id, "lead.contact_found", { provider: listing.skipTraceProvider }));
+    }
+    await db.batch(statements);
+    
+    if (wasReachable || !isReachable || status === "relisted") return null;
+    
+    return {
+      leadId: id,
+      address: summary.address,
+      city: summary.city,
+      price: summary.price,
+      urgencyScore,
+      ownerName: summary.ownerName,
+      ownerPhone: summary.ownerPhone,
+      ownerPhones: summary.ownerPhones,
+      ownerEmail: summary.ownerEmail
+    };
+  } catch (error) {
+    console.error("Contact info update error:", error);
+    return null;
+  }
+}
+
+export function mergeContactInfo(summary, contact) {
+  summary.ownerName = summary.ownerName || contact.ownerName || null;
+  summary.ownerMailingAddress = summary.ownerMailingAddress || contact.ownerMailingAddress || null;
+  
+  // Keep every number and address returned, de-duplicated, existing ones first
+  const phones = [...(summary.ownerPhones || []), ...(contact.ownerPhones || [])];
+  summary.ownerPhones = phones.filter((p, i) => phones.findIndex(q => q.number === p.number) === i);
+  const emails = [...(summary.ownerEmails || []), ...(contact.ownerEmails || [])];
+  summary.ownerEmails = [...new Set(emails)];
+  
+  summary.ownerPhone = summary.ownerPhone || contact.ownerPhone || null;
+  summary.ownerEmail = summary.ownerEmail || contact.ownerEmail || null;
+  summary.skipTraceConfidence = contact.matchConfidence ?? summary.skipTraceConfidence ?? null;
+  summary.skipTraceProvider = contact.skipTraceProvider || summary.skipTraceProvider || null;
+  summary.suppressedPhoneCount = (summary.suppressedPhoneCount || 0) + (contact.suppressedPhoneCount || 0);
+  summary.dncCheckedAt = contact.dncCheckedAt || summary.dncCheckedAt || null;
+  summary.contactFoundAt = summary.contactFoundAt || new Date().toISOString();
+  delete summary.skipTraceReview;
+  return summary;
+}
+
+// Low-confidence matches are parked on the lead until someone approves them
+// through the API (PATCH /api/leads/:id with skipTraceReview)
+async function flagContactForReview(db, listing) {
+  try {
+    const row = await db.prepare(`${LEAD_SELECT_SQL} WHERE l.id = ?`).bind(listing.leadId).first();
+    if (!row) return;
+    
+    const { id, summary } = readLeadRow(row);
+    summary.skipTraceReview = {
+      confidence: listing.matchConfidence,
+      resultAddress: listing.matchedAddress,
+      ownerName: listing.ownerName,
+      ownerPhone: listing.ownerPhone,
+      ownerEmail: listing.ownerEmail,
+      ownerPhones: listing.ownerPhones,
+      ownerEmails: listing.ownerEmails,
+      ownerMailingAddress: listing.ownerMailingAddress,
+      skipTraceProvider: listing.skipTraceProvider,
+      flaggedAt: new Date().toISOString()
+    };
+    
+    await db.batch(buildLeadWrites(db, id, summary));
+  } catch (error) {
+    console.error("Skip-trace review flag error:", error);
+  }
+}
+
+// Per-provider hit rates across completed jobs, for comparing vendors
+export async function getSkipTraceStats(db) {
+  const result = await db.prepare(
+    `SELECT provider,
+            COUNT(*) as jobs,
+            SUM(CASE WHEN state = 'completed' THEN 1 ELSE 0 END) as completed_jobs,
+            SUM(CASE WHEN state IN ('failed', 'expired') THEN 1 ELSE 0 END) as failed_jobs,
+            SUM(CASE WHEN state = 'completed' THEN lead_count ELSE 0 END) as leads_traced,
+            SUM(CASE WHEN state = 'completed' THEN COALESCE(enriched_count, 0) ELSE 0 END) as leads_enriched
+     FROM skip_trace_jobs GROUP BY provider ORDER BY provider`
+  ).all();
+  
+  return result.results.map(row => ({
+    ...row,
+    hitRate: row.leads_traced > 0 ? Math.round(row.leads_enriched / row.leads_traced * 1000) / 10 : null
+  }));
+}
@@ -0,0 +1,279 @@
+// ============================================
+// SLACK INTERACTIVITY
+// ============================================
+
+import { httpFetch } from "./http.js";
+import { ensureSchema } from "./migrations.js";
+import { updateLeadRecord } from "./leads.js";
+import { LEAD_SELECT_SQL, readLeadRow } from "./storage.js";
+import { completeDueTouches } from "./cadences.js";
+import { scrubContactPhones } from "./dnc.js";
+import { reviewDraft } from "./outreach.js";
+import { buildLeadBlocks } from "./slack.js";
+import { jsonResponse, timingSafeEqual } from "./api.js";
+
+// Disposition buttons on every lead block. status moves the lead; the
+// others only edit its summary.
+const SLACK_LEAD_ACTIONS = [
+  { id: "lead_claim", label: "Claim" },
+  { id: "lead_no_answer", label: "Called – no answer", status: "contacted", completes: "call" },
+  { id: "lead_door_knock", label: "Door knocked", status: "contacted", completes: "door_knock" },
+  { id: "lead_appointment", label: "Appointment set", status: "appointment", style: "primary", completes: "call" },
+  { id: "lead_not_interested", label: "Not interested", status: "dead", style: "danger", completes: "call" },
+  { id: "lead_snooze", label: "Snooze 3 days", snoozeDays: 3 }
+];
+
+// Marks the status line inside a lead's section so it can be replaced in place
+export const SLACK_STATUS_PREFIX = "📌 ";
+
+// Slack rejects requests whose timestamp is older than this
+const SLACK_SIGNATURE_MAX_AGE_SECONDS = 300;
+
+export function buildLeadActions(leadId) {
+  return {
+    type: "actions",
+    block_id: `lead_actions_${leadId}`,
+    elements: SLACK_LEAD_ACTIONS.map(action => {
+      const button = {
+        type: "button",
+        text: { type: "plain_text", text: action.label, emoji: true },
+        action_id: action.id,
+        value: String(leadId)
+      };
+      if (action.style) button.style = action.style;
+      return button;
+    })
+  };
+}
+
+export function formatLeadStatusLine(summary, status) {
+  const parts = [`Status: *${status}*`];
+  if (summary.claimedBy) {
+    parts.push(`👤 <@${summary.claimedBy}>`);
+  }
+  if (summary.snoozedUntil && new Date(summary.snoozedUntil) > new Date()) {
+    parts.push(`😴 until ${summary.snoozedUntil.slice(0, 10)}`);
+  }
+  const lastNote = (summary.notes || []).filter(n => n.source === "slack").pop();
+  if (lastNote) {
+    parts.push(`Last: ${lastNote.text}`);
+  }
+  return parts.join(" | ");
+}
+
+export async function handleSlackRequest(request, env, ctx, path) {
+  const rawBody = await request.text();
+  if (!(await verifySlackSignature(request, rawBody, env.SLACK_SIGNING_SECRET))) {
+    return new Response("Invalid signature", { status: 401 });
+  }
+  
+  try {
+    await ensureSchema(env.DB);
+    const params = new URLSearchParams(rawBody);
+    
+    if (path === "/slack/interactions") {
+      return await handleSlackInteraction(JSON.parse(params.get("payload") || "{}"), env, ctx);
+    }
+    if (path === "/slack/commands") {
+      return await handleSlackCommand(params, env);
+    }
+    return new Response("Not found", { status: 404 });
+  } catch (error) {
+    console.error("Slack request error:", error);
+    return jsonResponse({ response_type: "ephemeral", text: "Something went wrong updating that lead." });
+  }
+}
+
+async function verifySlackSignature(request, rawBody, signingSecret) {
+  if (!signingSecret) return false;
+  
+  const timestamp = request.headers.get("X-Slack-Request-Timestamp") || "";
+  const signature = request.headers.get("X-Slack-Signature") || "";
+  if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > SLACK_SIGNATURE_MAX_AGE_SECONDS) {
+    return false;
+  }
+  
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw", encoder.encode(signingSecret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, encoder.encode(`v0:${timestamp}:${rawBody}`));
+  const expected = `v0=${[...new Uint8Array(mac)].map(b => b.toString(16).padStart(2, "0")).join("")}`;
+  return timingSafeEqual(signature, expected);
+}
+
+async function handleSlackInteraction(payload, env, ctx) {
+  const action = payload.type === "block_actions" ? payload.actions?.[0] : null;
+  if (action?.action_id?.startsWith("draft_")) {
+    return handleSlackDraftAction(payload, action, env, ctx);
+  }
+  
+  const definition = SLACK_LEAD_ACTIONS.find(a => a.id === action?.action_id);
+  if (!definition) {
+    // URL buttons like "View Full Report" also post here; nothing to do
+    return new Response("", { status: 200 });
+  }
+  
+  const leadId = parseInt(action.value);
+  const userId = payload.user?.id || "";
+  const userName = payload.user?.username || payload.user?.name || userId;
+  
+  const result = await applySlackLeadAction(env.DB, leadId, definition, userId, userName);
+  if (!result) {
+    return jsonResponse({ response_type: "ephemeral", replace_original: false, text: `Lead ${leadId} no longer exists.` });
+  }
+  if (definition.completes) {
+    await completeDueTouches(env.DB, leadId, definition.completes);
+  }
+  console.log(`Slack: ${userName} -> ${definition.label} on lead ${leadId} (${result.previousStatus} -> ${result.status})`);
+  
+  if (payload.response_url && payload.message?.blocks) {
+    const statusLine = formatLeadStatusLine(result.summary, result.status);
+    ctx.waitUntil(updateSlackBlockStatus(payload.response_url, payload.message, `lead_${leadId}`, statusLine));
+  }
+  return new Response("", { status: 200 });
+}
+
+async function handleSlackDraftAction(payload, action, env, ctx) {
+  const draftId = parseInt(action.value);
+  const userName = payload.user?.username || payload.user?.name || payload.user?.id || "slack";
+  const decision = action.action_id === "draft_approve" ? "approve" : "reject";
+  
+  const result = await reviewDraft(env, draftId, decision, `slack:${userName}`);
+  if (result.error) {
+    return jsonResponse({ response_type: "ephemeral", replace_original: false, text: result.error });
+  }
+  console.log(`Slack: ${userName} -> ${decision} draft ${draftId} (${result.draft.status})`);
+  
+  if (payload.response_url && payload.message?.blocks) {
+    const statusLine = `${result.draft.status}${result.draft.error ? ` - ${result.draft.error}` : ""} (${userName})`;
+    ctx.waitUntil(updateSlackBlockStatus(payload.response_url, payload.message, `draft_${draftId}`, statusLine, `draft_actions_${draftId}`));
+  }
+  return new Response("", { status: 200 });
+}
+
+async function applySlackLeadAction(db, leadId, definition, userId, userName) {
+  const now = new Date();
+  
+  return updateLeadRecord(db, leadId, {
+    status: definition.status,
+    note: `${definition.label} (${userName})`,
+    source: "slack",
+    author: userId,
+    mutate: summary => {
+      if (definition.id === "lead_claim") {
+        summary.claimedBy = userId;
+        summary.claimedByName = userName;
+        summary.claimedAt = now.toISOString();
+      }
+      if (definition.id === "lead_no_answer") {
+        summary.callAttempts = (summary.callAttempts || 0) + 1;
+      }
+      if (definition.snoozeDays) {
+        summary.snoozedUntil = new Date(now.getTime() + definition.snoozeDays * 24 * 60 * 60 * 1000).toISOString();
+      } else if (definition.status) {
+        delete summary.snoozedUntil;
+      }
+      return null;
+    }
+  });
+}
+
+// Rewrites the status line of one section in the original message,
+// optionally dropping a block (e.g. buttons that no longer apply)
+async function updateSlackBlockStatus(responseUrl, message, blockId, statusLine, removeBlockId = null) {
+  const blocks = message.blocks.filter(block => !removeBlockId || block.block_id !== removeBlockId).map(block => {
+    if (block.block_id !== blockId || !block.text) return block;
+    const lines = block.text.text.split("\n").filter(line => !line.startsWith(SLACK_STATUS_PREFIX));
+    return { ...block, text: { ...block.text, text: [...lines, `${SLACK_STATUS_PREFIX}${statusLine}`].join("\n") } };
+  });
+  
+  try {
+    const response = await httpFetch(responseUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ replace_original: true, text: message.text || "Expired Listings Report", blocks })
+    });
+    if (!response.ok) {
+      console.error("Slack message update failed:", await response.text());
+    }
+  } catch (error) {
+    console.error("Slack message update error:", error);
+  }
+}
+
+// /expireds [zip] - top uncontacted, unsnoozed leads
+async function handleSlackCommand(params, env) {
+  const zip = (params.get("text") || "").match(/\b\d{5}\b/)?.[0] || null;
+  
+  const conditions = [
+    "l.status = 'new'",
+    `COALESCE(l.snoozed_until, '') < strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`
+  ];
+  const bindings = [];
+  if (zip) {
+    conditions.push(`l.zip = ?`);
+    bindings.push(zip);
+  }
+  
+  const rows = await env.DB.prepare(
+    `${LEAD_SELECT_SQL}
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY l.urgency_score DESC, l.id DESC LIMIT 10`
+  ).bind(...bindings).all();
+  
+  const title = `Top ${rows.results.length} uncontacted expired listings${zip ? ` in ${zip}` : ""}`;
+  const blocks = [
+    { type: "section", text: { type: "mrkdwn", text: `*${title}*` } },
+    { type: "divider" }
+  ];
+  // Phones are re-checked against the latest DNC lists and opt-outs
+  const leads = await Promise.all(rows.results.map(row => scrubContactPhones(env.DB, leadFromRow(row), env)));
+  leads.forEach((lead, i) => {
+    blocks.push(...buildLeadBlocks(lead, i + 1));
+    blocks.push({ type: "divider" });
+  });
+  if (rows.results.length === 0) {
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: "Nothing waiting - every lead has been worked. 🎉" } });
+  }
+  
+  return jsonResponse({ response_type: "ephemeral", text: title, blocks });
+}
+
+// Turns a LEAD_SELECT_SQL row back into the listing shape the Slack
+// builders use
+export function leadFromRow(row) {
+  const { id, status, urgencyScore, summary } = readLeadRow(row);
+  return {
+    leadId: id,
+    leadStatus: status,
+    leadSummary: summary,
+    urgencyScore,
+    address: summary.address,
+    city: summary.city,
+    state: summary.state,
+    zip: summary.zip,
+    price: summary.price,
+    bedrooms: summary.beds,
+    bathrooms: summary.baths,
+    sqft: summary.sqft,
+    yearBuilt: summary.yearBuilt,
+    expiredDate: summary.expiredDate,
+    daysOnMarket: summary.dom,
+    cumulativeDaysOnMarket: summary.cdom,
+    mlsNumber: summary.mlsNumber,
+    listingAgent: summary.previousAgent,
+    listingOffice: summary.previousOffice,
+    ownerName: summary.ownerName || "",
+    ownerPhone: summary.ownerPhone || "",
+    ownerPhones: summary.ownerPhones || [],
+    ownerEmail: summary.ownerEmail || "",
+    ownerMailingAddress: summary.ownerMailingAddress || "",
+    scoreBreakdown: summary.scoreBreakdown,
+    comps: summary.comps,
+    appraisal: summary.appraisal || null,
+    location: summary.location || null,
+    agentId: summary.agentId || null,
+    analysis: summary.analysis
+  };
+}
@@ -0,0 +1,429 @@
+// ============================================
+// SLACK NOTIFICATION
+// ============================================
+
+import { httpFetch } from "./http.js";
+import { DEFAULT_SCORING_RUBRIC, formatScoreBreakdown } from "./scoring.js";
+import { formatPriceGap } from "./comps.js";
+import { formatListingProfile } from "./profiles.js";
+import { formatClaudeUsage } from "./analysis-cache.js";
+import { SLACK_DRAFTS_PER_MESSAGE } from "./outreach.js";
+import { DIGEST_SLACK_ZIPS } from "./digests.js";
+import { buildLeadActions, formatLeadStatusLine, SLACK_STATUS_PREFIX } from "./slack-interactivity.js";
+
+// Section for one lead, its positioning context, and the disposition buttons
+export function buildLeadBlocks(listing, rank, rubric = DEFAULT_SCORING_RUBRIC) {
+  const hasContact = listing.ownerPhone || listing.ownerEmail;
+  
+  let contactInfo = "";
+  if (listing.ownerPhone) {
+    contactInfo += formatSlackPhone(listing);
+  }
+  if (listing.ownerEmail) {
+    contactInfo += contactInfo ? " | " : "";
+    contactInfo += `✉️ ${listing.ownerEmail}`;
+  }
+  if (!listing.ownerPhone && (listing.ownerPhones || []).some(p => p.dnc?.length)) {
+    contactInfo += contactInfo ? " | " : "";
+    contactInfo += "🚫 Phones on DNC - do not call";
+  }
+  if (!hasContact && !contactInfo) {
+    contactInfo = listing.skipTracePending ? "⏳ Skip trace pending" : "⚠️ No contact info";
+  }
+  
+  const statusLine = listing.leadSummary ? formatLeadStatusLine(listing.leadSummary, listing.leadStatus) : "";
+  const blocks = [{
+    type: "section",
+    block_id: listing.leadId ? `lead_${listing.leadId}` : undefined,
+    text: {
+      type: "mrkdwn",
+      text: `*#${rank} - ${listing.address}, ${listing.city}*\n` +
+            `Score: *${listing.urgencyScore}/10* | $${listing.price} | ${listing.bedrooms}bd/${listing.bathrooms}ba\n` +
+            `DOM: ${listing.daysOnMarket} (CDOM: ${listing.cumulativeDaysOnMarket})` +
+            (formatPriceGap(listing.comps) ? ` | 📊 ${formatPriceGap(listing.comps)}` : "") + "\n" +
+            (listing.scoreBreakdown ? `_${formatScoreBreakdown(listing.scoreBreakdown, rubric)}_\n` : "") +
+            (listing.agentProfile ? `👤 ${listing.listingAgent}: ${formatListingProfile(listing.agentProfile)}\n` : "") +
+            (listing.officeProfile ? `🏢 ${listing.listingOffice}: ${formatListingProfile(listing.officeProfile, "brokerage")}\n` : "") +
+            contactInfo +
+            (statusLine ? `\n${SLACK_STATUS_PREFIX}${statusLine}` : "")
+    }
+  }];
+  
+  if (listing.analysis?.positioningAngle && listing.analysis.positioningAngle !== "Lower priority - not analyzed") {
+    blocks.push({
+      type: "context",
+      elements: [{
+        type: "mrkdwn",
+        text: `💡 ${listing.analysis.positioningAngle.substring(0, 200)}${listing.analysis.positioningAngle.length > 200 ? "..." : ""}`
+      }]
+    });
+  }
+  
+  if (listing.leadId) {
+    blocks.push(buildLeadActions(listing.leadId));
+  }
+  return blocks;
+}
+
+export async function sendSlackSummary(webhookUrl, topListings, totalCount, rubric = DEFAULT_SCORING_RUBRIC, claudeUsage = null, agentName = null) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: agentName ? `🏠 Expired Listings Report: ${agentName}` : "🏠 Expired Listings Report",
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${totalCount} listings processed* | Top 10 by urgency score (rubric ${rubric.version}):`
+      }
+    },
+    { type: "divider" }
+  ];
+  
+  if (claudeUsage) {
+    blocks.splice(2, 0, {
+      type: "context",
+      elements: [{ type: "mrkdwn", text: formatClaudeUsage(claudeUsage) }]
+    });
+  }
+  
+  // Add each listing
+  for (let i = 0; i < topListings.length; i++) {
+    blocks.push(...buildLeadBlocks(topListings[i], i + 1, rubric));
+    blocks.push({ type: "divider" });
+  }
+  
+  // Add action buttons
+  blocks.push({
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "View Full Report",
+          emoji: true
+        },
+        url: "https://claude.ai/new?q=Show%20me%20today%27s%20expired%20listings",
+        action_id: "view_report"
+      }
+    ]
+  });
+  
+  try {
+    const response = await httpFetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ blocks })
+    });
+    
+    if (!response.ok) {
+      console.error("Slack notification failed:", await response.text());
+    } else {
+      console.log("Slack notification sent successfully");
+    }
+  } catch (error) {
+    console.error("Slack error:", error);
+  }
+}
+
+function formatSlackPhone(listing) {
+  const type = (listing.ownerPhones || []).find(p => p.number === listing.ownerPhone)?.type;
+  const label = type && type !== "unknown" ? ` (${type})` : "";
+  return `📞 \`${listing.ownerPhone}\`${label}`;
+}
+
+export async function sendSlackCallList(webhookUrl, leads, totalCalls, otherDue, listDate) {
+  const others = Object.entries(otherDue).map(([channel, count]) => `${count} ${channel.replace("_", " ")}`);
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `📞 Today's Call List - ${listDate}`,
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${totalCalls} calls due*` +
+              (totalCalls > leads.length ? ` | Top ${leads.length} by urgency score` : "") +
+              (others.length ? `\nAlso due: ${others.join(", ")}` : "")
+      }
+    },
+    { type: "divider" }
+  ];
+  
+  leads.forEach((lead, i) => {
+    blocks.push(...buildLeadBlocks(lead, i + 1));
+    
+    const overdueDays = Math.round((Date.parse(listDate) - Date.parse(lead.touch.due_date)) / (24 * 60 * 60 * 1000));
+    const talkingPoints = (lead.analysis?.talkingPoints || []).slice(0, 3).map(point => `• ${point}`);
+    blocks.push({
+      type: "context",
+      elements: [{
+        type: "mrkdwn",
+        text: `Touch ${lead.touch.step + 1} of the ${lead.touch.cadence.split("/").pop()} cadence` +
+              (overdueDays > 0 ? ` (${overdueDays}d overdue)` : "") +
+              (talkingPoints.length ? `\n${talkingPoints.join("\n")}` : "")
+      }]
+    });
+    blocks.push({ type: "divider" });
+  });
+  
+  try {
+    const response = await httpFetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text: `Today's call list: ${totalCalls} calls due`, blocks })
+    });
+    
+    if (!response.ok) {
+      console.error("Slack call list failed:", await response.text());
+    } else {
+      console.log("Slack call list sent successfully");
+    }
+  } catch (error) {
+    console.error("Slack error:", error);
+  }
+}
+
+// stage says where it broke; runId/csvFilename are absent when the run
+// failed before reaching any file
+export async function sendSlackPipelineAlert(webhookUrl, { runId, csvFilename, status = "failed", stage, error }) {
+  if (!webhookUrl) return;
+  
+  const where = csvFilename ? `\`${csvFilename}\`` : "the listings run";
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${status === "partial" ? "⚠️" : "🚨"} *Pipeline ${status}* for ${where} at stage *${stage || "unknown"}*\n` +
+              (error ? `\`\`\`${String(error).substring(0, 1500)}\`\`\`` : "")
+      }
+    }
+  ];
+  if (runId) {
+    blocks.push({
+      type: "context",
+      elements: [{
+        type: "mrkdwn",
+        text: `Run ${runId} | Retry with \`POST /api/pipeline/runs/${runId}/retry\``
+      }]
+    });
+  }
+  
+  try {
+    const response = await httpFetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text: `Pipeline ${status} at ${stage || "unknown"}`, blocks })
+    });
+    if (!response.ok) {
+      console.error("Slack pipeline alert failed:", await response.text());
+    }
+  } catch (slackError) {
+    console.error("Slack error:", slackError);
+  }
+}
+
+export async function sendSlackDrafts(webhookUrl, drafts) {
+  const shown = drafts.slice(0, SLACK_DRAFTS_PER_MESSAGE);
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "✍️ Drafts Awaiting Approval",
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${drafts.length} first-touch messages drafted*` +
+              (drafts.length > shown.length ? ` | ${drafts.length - shown.length} more in GET /api/drafts` : "") +
+              "\nEdit any draft with PATCH /api/drafts/:id before approving."
+      }
+    },
+    { type: "divider" }
+  ];
+  
+  for (const draft of shown) {
+    const icon = draft.channel === "sms" ? "💬" : "✉️";
+    const preview = `${draft.subject ? `*${draft.subject}*\n` : ""}${draft.body}`;
+    blocks.push({
+      type: "section",
+      block_id: `draft_${draft.id}`,
+      text: {
+        type: "mrkdwn",
+        text: `${icon} *Draft ${draft.id} - ${draft.lead.address}, ${draft.lead.city}* → \`${draft.recipient}\`\n` +
+              `>${preview.substring(0, 2500).replace(/\n/g, "\n>")}`
+      }
+    });
+    blocks.push({
+      type: "actions",
+      block_id: `draft_actions_${draft.id}`,
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: "Approve & send", emoji: true },
+          action_id: "draft_approve",
+          value: String(draft.id),
+          style: "primary"
+        },
+        {
+          type: "button",
+          text: { type: "plain_text", text: "Reject", emoji: true },
+          action_id: "draft_reject",
+          value: String(draft.id),
+          style: "danger"
+        }
+      ]
+    });
+  }
+  
+  try {
+    const response = await httpFetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text: `${drafts.length} outreach drafts awaiting approval`, blocks })
+    });
+    
+    if (!response.ok) {
+      console.error("Slack drafts message failed:", await response.text());
+    } else {
+      console.log("Slack drafts message sent successfully");
+    }
+  } catch (error) {
+    console.error("Slack error:", error);
+  }
+}
+
+export async function sendSlackContactUpdate(webhookUrl, leads, totalCount) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "📇 Skip Trace Results",
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${totalCount} leads now have contact info* | Top ${leads.length} by urgency score:`
+      }
+    },
+    { type: "divider" }
+  ];
+  
+  for (const lead of leads) {
+    const contact = [
+      lead.ownerName ? `👤 ${lead.ownerName}` : "",
+      lead.ownerPhone ? formatSlackPhone(lead) : "",
+      lead.ownerEmail ? `✉️ ${lead.ownerEmail}` : ""
+    ].filter(Boolean).join(" | ");
+    
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${lead.address}, ${lead.city}*\n` +
+              `Score: *${lead.urgencyScore}/10* | $${lead.price}\n` +
+              contact
+      }
+    });
+  }
+  
+  try {
+    const response = await httpFetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ blocks })
+    });
+    
+    if (!response.ok) {
+      console.error("Slack contact update failed:", await response.text());
+    } else {
+      console.log("Slack contact update sent successfully");
+    }
+  } catch (error) {
+    console.error("Slack error:", error);
+  }
+}
+
+export async function sendSlackDigest(webhookUrl, digest, r2Key) {
+  const title = digest.period === "weekly" ? "Weekly" : "Monthly";
+  const { funnel, skipTrace, claude } = digest;
+  const row = (label, c) => `${label.padEnd(12)}${String(c.leads).padStart(6)}${`${c.withContactPct ?? 0}%`.padStart(9)}` +
+    `${String(c.contacted).padStart(10)}${String(c.appointments).padStart(7)}${String(c.won).padStart(5)}${`${c.winPct ?? 0}%`.padStart(7)}`;
+  const table = [
+    `${"".padEnd(12)}${"Leads".padStart(6)}${"Contact".padStart(9)}${"Contacted".padStart(10)}${"Appts".padStart(7)}${"Won".padStart(5)}${"Win".padStart(7)}`,
+    row("All", funnel),
+    ...digest.byScoreBand.map(band => row(`Score ${band.band}`, band)),
+    ...digest.byZip.slice(0, DIGEST_SLACK_ZIPS).map(zip => row(zip.zip, zip))
+  ].join("\n");
+  const activity = Object.entries(digest.activity).map(([status, count]) => `${count} ${status}`).join(", ");
+  
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `📈 ${title} Digest - ${digest.start} to ${digest.end}`,
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${funnel.leads} leads found* | ${funnel.withContactPct ?? 0}% with contact info | ` +
+              `${funnel.contacted} contacted | ${funnel.appointments} appointments | ${funnel.won} listings won` +
+              (activity ? `\nStatus changes this ${digest.period === "weekly" ? "week" : "month"}: ${activity}` : "")
+      }
+    },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: "```" + table + "```" }
+    },
+    {
+      type: "context",
+      elements: [{
+        type: "mrkdwn",
+        text: `🔎 Skip trace: ${skipTrace.leadsEnriched}/${skipTrace.leadsTraced} found` +
+              (skipTrace.hitRate !== null ? ` (${skipTrace.hitRate}%)` : "") +
+              ` | 🤖 Claude: $${claude.costUsd.toFixed(2)} across ${claude.requests} calls (${claude.cacheHits} cache hits)` +
+              ` | Full breakdown: \`${r2Key}\``
+      }]
+    }
+  ];
+  
+  try {
+    const response = await httpFetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text: `${title} digest: ${funnel.leads} leads, ${funnel.won} listings won`, blocks })
+    });
+    
+    if (!response.ok) {
+      console.error("Slack digest failed:", await response.text());
+    } else {
+      console.log("Slack digest sent successfully");
+    }
+  } catch (error) {
+    console.error("Slack error:", error);
+  }
+}
@@ -0,0 +1,370 @@
+// ============================================
+// DATABASE STORAGE
+// ============================================
+
+import { buildLeadEventInsert } from "./integrations.js";
+
+// A lead is a leads row plus at most one contacts row (the owner, from skip
+// tracing) and one analyses row (Claude's positioning). The rest of the
+// worker reads and edits a lead as one summary object; the field lists below
+// map it to columns in both directions. Kinds: text (default), integer, real,
+// date (stored YYYY-MM-DD), boolean and json.
+
+// Leads written per D1 batch by storeLeads
+const LEAD_BATCH_SIZE = 50;
+
+const LEAD_FIELDS = [
+  ["leadKey", "lead_key"],
+  ["mlsNumber", "mls_number"],
+  ["address", "address"],
+  ["city", "city"],
+  ["state", "state"],
+  ["zip", "zip"],
+  ["price", "price"],
+  ["beds", "beds"],
+  ["baths", "baths"],
+  ["sqft", "sqft"],
+  ["yearBuilt", "year_built", "integer"],
+  ["propertyType", "property_type"],
+  ["listDate", "list_date", "date"],
+  ["expiredDate", "expired_date", "date"],
+  ["dom", "dom", "integer"],
+  ["expiredDom", "expired_dom", "integer"],
+  ["cdom", "cdom", "integer"],
+  ["listingStatus", "listing_status"],
+  ["previousAgent", "listing_agent"],
+  ["previousOffice", "listing_office"],
+  ["relistedAgent", "relisted_agent"],
+  ["relistedOffice", "relisted_office"],
+  ["rubricVersion", "rubric_version"],
+  ["scoreBreakdown", "score_breakdown", "json"],
+  ["comps", "comps", "json"],
+  ["appraisal", "appraisal", "json"],
+  ["agentId", "agent_id"],
+  ["claimedBy", "claimed_by"],
+  ["claimedByName", "claimed_by_name"],
+  ["claimedAt", "claimed_at"],
+  ["snoozedUntil", "snoozed_until"],
+  ["callAttempts", "call_attempts", "integer"],
+  ["emailOptOut", "email_opt_out", "boolean"],
+  ["notes", "notes", "json"],
+  ["mailings", "mailings", "json"],
+  ["outreach", "outreach", "json"],
+  ["lastSeenFile", "last_seen_file"],
+  ["lastSeenAt", "last_seen_at"]
+];
+
+const CONTACT_FIELDS = [
+  ["ownerName", "owner_name"],
+  ["ownerPhone", "phone"],
+  ["ownerEmail", "email"],
+  ["ownerMailingAddress", "mailing_address"],
+  ["ownerPhones", "phones", "json"],
+  ["ownerEmails", "emails", "json"],
+  ["skipTraceProvider", "provider"],
+  ["skipTraceConfidence", "confidence", "real"],
+  ["suppressedPhoneCount", "suppressed_phone_count", "integer"],
+  ["dncCheckedAt", "dnc_checked_at"],
+  ["contactFoundAt", "found_at"],
+  ["skipTraceReview", "review", "json"]
+];
+
+export const LEAD_FROM_SQL = `leads l
+  LEFT JOIN contacts c ON c.lead_id = l.id
+  LEFT JOIN analyses a ON a.lead_id = l.id
+  LEFT JOIN source_files f ON f.id = l.source_file_id`;
+
+// Everything readLeadRow needs from LEAD_FROM_SQL
+export const LEAD_COLUMNS_SQL = `l.*, f.filename AS source_file, a.analysis AS analysis_json,
+  ${CONTACT_FIELDS.map(([, column]) => `c.${column} AS contact_${column}`).join(", ")}`;
+
+// Add WHERE / ORDER BY after it
+export const LEAD_SELECT_SQL = `SELECT ${LEAD_COLUMNS_SQL} FROM ${LEAD_FROM_SQL}`;
+
+// Leads with a phone or email to reach the owner on
+export const LEAD_HAS_CONTACT_SQL = `(COALESCE(c.phone, '') != '' OR COALESCE(c.email, '') != '')`;
+
+function toColumnValue(value, kind) {
+  if (value === undefined || value === null || value === "") return null;
+  switch (kind) {
+    case "integer":
+      return parseNumber(value, parseInt);
+    case "real":
+      return parseNumber(value, parseFloat);
+    case "date":
+      return toIsoDate(value);
+    case "boolean":
+      return value ? 1 : 0;
+    case "json":
+      return JSON.stringify(value);
+    default:
+      return String(value);
+  }
+}
+
+function fromColumnValue(value, kind) {
+  if (value === null || value === undefined) return null;
+  if (kind === "boolean") return Boolean(value);
+  if (kind === "json") {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  return value;
+}
+
+// "$249,900" -> 249900, "1,642" -> 1642
+function parseNumber(value, parse) {
+  const number = typeof value === "number" ? value : parse(String(value).replace(/[,$\s]/g, ""));
+  return Number.isFinite(number) ? number : null;
+}
+
+// MLS exports use MM/DD/YYYY or ISO; unparseable dates are kept as given
+function toIsoDate(value) {
+  const text = String(value).trim();
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (us) return `${us[3]}-${us[1].padStart(2, "0")}-${us[2].padStart(2, "0")}`;
+  const iso = text.match(/^\d{4}-\d{2}-\d{2}/);
+  return iso ? iso[0] : text;
+}
+
+function readFields(row, fields, prefix = "") {
+  const values = {};
+  for (const [key, column, kind] of fields) {
+    const value = fromColumnValue(row[prefix + column], kind);
+    if (value !== null) values[key] = value;
+  }
+  return values;
+}
+
+function writeFields(summary, fields) {
+  const values = {};
+  for (const [key, column, kind] of fields) {
+    values[column] = toColumnValue(summary[key], kind);
+  }
+  return values;
+}
+
+// A joined row from LEAD_SELECT_SQL as { id, title, status, urgencyScore,
+// createdAt, summary }. Unset fields are left out of the summary.
+export function readLeadRow(row) {
+  const summary = { ...readFields(row, LEAD_FIELDS), ...readFields(row, CONTACT_FIELDS, "contact_") };
+  if (row.source_file) summary.sourceFile = row.source_file;
+  if (row.lat !== null && row.lng !== null) {
+    summary.location = { lat: row.lat, lng: row.lng, precision: row.location_precision };
+  }
+  const analysis = fromColumnValue(row.analysis_json, "json");
+  if (analysis) summary.analysis = analysis;
+  
+  return {
+    id: row.id,
+    title: `${row.address}, ${row.city}`,
+    status: row.status,
+    urgencyScore: row.urgency_score,
+    createdAt: row.created_at,
+    summary
+  };
+}
+
+// Agent / office names as profiles group and match them; MLS exports vary in
+// case and spacing
+export function normalizeProfileName(name) {
+  return (name || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function leadColumns(summary) {
+  return {
+    ...writeFields(summary, LEAD_FIELDS),
+    list_price: toColumnValue(summary.price, "integer"),
+    lat: summary.location?.lat ?? null,
+    lng: summary.location?.lng ?? null,
+    location_precision: summary.location?.precision ?? null
+  };
+}
+
+// Kept out of leadColumns: migration 3 inserts leads before migration 7 adds
+// these columns, and migration 7 fills them in
+export function profileKeyColumns(summary) {
+  const key = name => normalizeProfileName(name) || null;
+  return {
+    listing_agent_key: key(summary.previousAgent),
+    listing_office_key: key(summary.previousOffice),
+    relisted_agent_key: key(summary.relistedAgent),
+    relisted_office_key: key(summary.relistedOffice)
+  };
+}
+
+function analysisColumns(analysis) {
+  return {
+    model: analysis.model || null,
+    prompt_version: analysis.promptVersion || null,
+    failed: analysis.failed ? 1 : 0,
+    analysis: JSON.stringify(analysis)
+  };
+}
+
+// leadId null means the lead inserted just before, in the same batch.
+// contacts and analyses are keyed on lead_id (their rowid), so inserting
+// them leaves last_insert_rowid() on the lead.
+function upsertLeadChild(db, table, values, leadId) {
+  const columns = Object.keys(values);
+  return db.prepare(
+    `INSERT INTO ${table} (lead_id, ${columns.join(", ")})
+     VALUES (${leadId === null ? "last_insert_rowid()" : "?"}, ${columns.map(() => "?").join(", ")})
+     ON CONFLICT (lead_id) DO UPDATE SET ${columns.map(c => `${c} = excluded.${c}`).join(", ")}`
+  ).bind(...(leadId === null ? [] : [leadId]), ...columns.map(c => values[c]));
+}
+
+function buildChildWrites(db, summary, leadId, { isNew }) {
+  const statements = [];
+  const contact = writeFields(summary, CONTACT_FIELDS);
+  if (Object.values(contact).some(value => value !== null)) {
+    statements.push(upsertLeadChild(db, "contacts", contact, leadId));
+  } else if (!isNew) {
+    statements.push(db.prepare(`DELETE FROM contacts WHERE lead_id = ?`).bind(leadId));
+  }
+  if (summary.analysis) {
+    statements.push(upsertLeadChild(db, "analyses", analysisColumns(summary.analysis), leadId));
+  }
+  return statements;
+}
+
+// Statements that insert a lead and its contact/analysis. columns sets extra
+// leads columns (status, urgency_score, and id/created_at when backfilling).
+// With leadId, children go to that id; otherwise to the lead just inserted.
+export function buildLeadInsert(db, summary, { sourceFile, columns = {}, leadId = null, orIgnore = false }) {
+  const lead = { ...leadColumns(summary), ...columns };
+  const names = Object.keys(lead);
+  return [
+    db.prepare(
+      `INSERT ${orIgnore ? "OR IGNORE " : ""}INTO leads (source_file_id, ${names.join(", ")})
+       VALUES ((SELECT id FROM source_files WHERE filename = ?), ${names.map(() => "?").join(", ")})`
+    ).bind(sourceFile ?? null, ...names.map(name => lead[name])),
+    ...buildChildWrites(db, summary, leadId, { isNew: true })
+  ];
+}
+
+// Statements that write an edited summary (and optionally status / score)
+// back to an existing lead
+export function buildLeadWrites(db, id, summary, { status, urgencyScore } = {}) {
+  const lead = { ...leadColumns(summary), ...profileKeyColumns(summary) };
+  if (status !== undefined) lead.status = status;
+  if (urgencyScore !== undefined) lead.urgency_score = urgencyScore;
+  const names = Object.keys(lead);
+  return [
+    db.prepare(
+      `UPDATE leads SET ${names.map(name => `${name} = ?`).join(", ")}, updated_at = datetime('now') WHERE id = ?`
+    ).bind(...names.map(name => lead[name]), id),
+    ...buildChildWrites(db, summary, id, { isNew: false })
+  ];
+}
+
+// listing_sightings columns for a listing as one export shows it; the
+// timeline (see timeline.js) is assembled from these
+export function getSightingColumns(listing) {
+  return {
+    lead_key: listing.leadKey,
+    property_key: listing.propertyKey ?? null,
+    csv_filename: listing.csvFilename,
+    mls_number: listing.mlsNumber || null,
+    price: listing.price ?? null,
+    dom: listing.daysOnMarket ?? null,
+    cdom: listing.cumulativeDaysOnMarket ?? null,
+    listing_status: listing.status ?? null,
+    list_date: toColumnValue(listing.originalListDate, "date"),
+    original_price: toColumnValue(listing.originalPrice),
+    previous_price: toColumnValue(listing.previousPrice),
+    price_changed_at: toColumnValue(listing.priceChangeDate, "date"),
+    status_changed_at: toColumnValue(listing.expiredDate, "date"),
+    listing_agent: toColumnValue(listing.listingAgent),
+    listing_office: toColumnValue(listing.listingOffice)
+  };
+}
+
+// With leadId null the sighting goes to the lead just inserted, unless
+// unmatched (no lead at all)
+export function buildSightingInsert(db, leadId, listing, { unmatched = false } = {}) {
+  const sighting = getSightingColumns(listing);
+  const names = Object.keys(sighting);
+  const fromInsert = leadId === null && !unmatched;
+  return db.prepare(
+    `INSERT INTO listing_sightings (intelligence_id, ${names.join(", ")})
+     VALUES (${fromInsert ? "last_insert_rowid()" : "?"}, ${names.map(() => "?").join(", ")})`
+  ).bind(...(fromInsert ? [] : [leadId]), ...names.map(name => sighting[name]));
+}
+
+// A scored listing in summary form
+function listingToSummary(listing) {
+  return {
+    leadKey: listing.leadKey,
+    mlsNumber: listing.mlsNumber,
+    address: listing.address,
+    city: listing.city,
+    state: listing.state,
+    zip: listing.zip,
+    price: listing.price,
+    beds: listing.bedrooms,
+    baths: listing.bathrooms,
+    sqft: listing.sqft,
+    yearBuilt: listing.yearBuilt,
+    propertyType: listing.propertyType,
+    listDate: listing.originalListDate,
+    expiredDate: listing.expiredDate,
+    dom: listing.daysOnMarket,
+    expiredDom: listing.daysOnMarket,
+    cdom: listing.cumulativeDaysOnMarket,
+    listingStatus: listing.status,
+    rubricVersion: listing.rubricVersion,
+    scoreBreakdown: listing.scoreBreakdown,
+    previousAgent: listing.listingAgent,
+    previousOffice: listing.listingOffice,
+    ownerName: listing.ownerName,
+    ownerPhone: listing.ownerPhone,
+    ownerEmail: listing.ownerEmail,
+    ownerMailingAddress: listing.ownerMailingAddress,
+    comps: listing.comps,
+    appraisal: listing.appraisal,
+    location: listing.location,
+    agentId: listing.agentId,
+    analysis: listing.analysis
+  };
+}
+
+// Inserts new leads with their first sighting and lead.created event,
+// LEAD_BATCH_SIZE per batch so a lead is never stored without them. Sets listing.leadId on each
+// stored listing; a failed batch leaves its listings without one.
+export async function storeLeads(db, listings) {
+  const files = [...new Set(listings.map(listing => listing.csvFilename))];
+  if (files.length > 0) {
+    await db.batch(files.map(file => db.prepare(`INSERT OR IGNORE INTO source_files (filename) VALUES (?)`).bind(file)));
+  }
+  
+  for (let i = 0; i < listings.length; i += LEAD_BATCH_SIZE) {
+    const chunk = listings.slice(i, i + LEAD_BATCH_SIZE);
+    const statements = [];
+    const leadStatements = [];
+    for (const listing of chunk) {
+      const summary = listingToSummary(listing);
+      leadStatements.push(statements.length);
+      statements.push(
+        ...buildLeadInsert(db, summary, {
+          sourceFile: listing.csvFilename,
+          columns: { status: "new", urgency_score: listing.urgencyScore, ...profileKeyColumns(summary) }
+        }),
+        buildSightingInsert(db, null, listing),
+        buildLeadEventInsert(db, null, "lead.created")
+      );
+    }
+    
+    try {
+      const results = await db.batch(statements);
+      chunk.forEach((listing, j) => {
+        listing.leadId = results[leadStatements[j]].meta.last_row_id;
+      });
+    } catch (error) {
+      console.error(`Database insert error (${chunk.length} leads):`, error);
+    }
+  }
+}
@@ -0,0 +1,325 @@
+// ============================================
+// GEOCODING & TERRITORIES
+// ============================================
+
+import { normalizeHeader, readCSVRecords } from "./csv.js";
+import { getStreetAddressKey } from "./address.js";
+import { scrubContactPhones } from "./dnc.js";
+import { sendSlackSummary } from "./slack.js";
+import { jsonResponse } from "./api.js";
+import { LEAD_SELECT_SQL } from "./storage.js";
+import { leadFromRow } from "./slack-interactivity.js";
+
+// Offline centroid dataset under GEOCODE_PREFIX (default "geocode/"):
+//   zips.csv               zip,lat,lng
+//   addresses/<zip>.csv    address,lat,lng (optional; only read for zips in the batch)
+// Leads without an address point fall back to their zip centroid.
+
+// Used when no territory config is in R2: nobody is assigned
+const DEFAULT_TERRITORY_CONFIG = {
+  version: "unassigned",
+  defaultAgent: null,
+  agents: []
+};
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Door-knock routes: default and maximum stops
+const DEFAULT_ROUTE_STOPS = 25;
+const MAX_ROUTE_STOPS = 100;
+
+export async function createGeocoder(env) {
+  const prefix = env.GEOCODE_PREFIX || "geocode/";
+  const zipCentroids = await loadCentroidFile(env, `${prefix}zips.csv`, "zip", zip => zip.slice(0, 5));
+  const addressPointsByZip = new Map();
+  console.log(`Loaded ${zipCentroids.size} zip centroids from ${prefix}`);
+  
+  return {
+    async locate(listing) {
+      const zip = (listing.zip || "").trim().slice(0, 5);
+      if (!zip) return null;
+      
+      if (!addressPointsByZip.has(zip)) {
+        addressPointsByZip.set(zip, await loadCentroidFile(env, `${prefix}addresses/${zip}.csv`, "address", getStreetAddressKey));
+      }
+      const point = addressPointsByZip.get(zip).get(getStreetAddressKey(listing.address));
+      if (point) return { ...point, precision: "address" };
+      
+      const centroid = zipCentroids.get(zip);
+      return centroid ? { ...centroid, precision: "zip" } : null;
+    }
+  };
+}
+
+// Reads a key,lat,lng CSV into a Map; a missing file is an empty map
+async function loadCentroidFile(env, key, keyColumn, normalizeKey) {
+  const points = new Map();
+  try {
+    const object = await env.R2_BUCKET.get(key);
+    if (!object) return points;
+    
+    let columns = null;
+    for await (const record of readCSVRecords(object.body)) {
+      if (!columns) {
+        const headers = record.map(normalizeHeader);
+        columns = {
+          key: headers.indexOf(keyColumn),
+          lat: headers.findIndex(h => h === "lat" || h === "latitude"),
+          lng: headers.findIndex(h => h === "lng" || h === "lon" || h === "longitude")
+        };
+        if (Object.values(columns).includes(-1)) {
+          console.error(`${key} needs ${keyColumn}, lat and lng columns`);
+          return points;
+        }
+        continue;
+      }
+      
+      const lat = parseFloat(record[columns.lat]);
+      const lng = parseFloat(record[columns.lng]);
+      const pointKey = normalizeKey((record[columns.key] || "").trim());
+      if (pointKey && Number.isFinite(lat) && Number.isFinite(lng)) {
+        points.set(pointKey, { lat, lng });
+      }
+    }
+  } catch (error) {
+    console.error(`Geocode data load error (${key}):`, error.message || error);
+  }
+  return points;
+}
+
+export async function loadTerritoryConfig(env) {
+  const key = env.TERRITORIES_KEY || "config/territories.json";
+  
+  try {
+    const object = await env.R2_BUCKET.get(key);
+    if (!object) {
+      return DEFAULT_TERRITORY_CONFIG;
+    }
+    
+    const config = await object.json();
+    const problem = validateTerritoryConfig(config);
+    if (problem) {
+      console.error(`Invalid territory config at ${key}: ${problem}. Leads will be unassigned`);
+      return DEFAULT_TERRITORY_CONFIG;
+    }
+    
+    console.log(`Loaded territory config ${config.version} from ${key} (${config.agents.length} agents)`);
+    return config;
+  } catch (error) {
+    console.error("Territory config load error:", error.message || error);
+    return DEFAULT_TERRITORY_CONFIG;
+  }
+}
+
+// Returns a description of the first problem found, or null if the config is usable.
+// Polygons are GeoJSON-style rings of [lng, lat] pairs.
+function validateTerritoryConfig(config) {
+  if (!config || typeof config.version !== "string") return "missing version";
+  if (!Array.isArray(config.agents)) return "agents must be an array";
+  
+  const ids = new Set();
+  for (const agent of config.agents) {
+    if (!agent.id || typeof agent.id !== "string") return "every agent needs a string id";
+    if (ids.has(agent.id)) return `duplicate agent id ${agent.id}`;
+    ids.add(agent.id);
+    
+    if (agent.zips !== undefined && !Array.isArray(agent.zips)) return `agent ${agent.id} zips must be an array`;
+    if (agent.polygons !== undefined) {
+      if (!Array.isArray(agent.polygons)) return `agent ${agent.id} polygons must be an array`;
+      for (const ring of agent.polygons) {
+        if (!Array.isArray(ring) || ring.length < 3 || !ring.every(isLngLatPair)) {
+          return `agent ${agent.id} has a polygon that isn't a ring of [lng, lat] pairs`;
+        }
+      }
+    }
+    if (agent.start !== undefined && !isLngLatPair(agent.start)) return `agent ${agent.id} start must be [lng, lat]`;
+  }
+  
+  if (config.defaultAgent && !ids.has(config.defaultAgent)) return `defaultAgent ${config.defaultAgent} isn't an agent`;
+  return null;
+}
+
+function isLngLatPair(value) {
+  return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+}
+
+// Polygons win over zip lists; within each rule type the first agent listed
+// wins. Leads nobody claims go to defaultAgent, if there is one.
+export function assignTerritory(config, listing) {
+  const location = listing.location;
+  if (location) {
+    const byPolygon = config.agents.find(agent =>
+      (agent.polygons || []).some(ring => pointInPolygon([location.lng, location.lat], ring))
+    );
+    if (byPolygon) return byPolygon.id;
+  }
+  
+  const zip = (listing.zip || "").trim().slice(0, 5);
+  const byZip = config.agents.find(agent => (agent.zips || []).map(String).includes(zip));
+  return byZip?.id || config.defaultAgent || null;
+}
+
+// Ray casting; points exactly on an edge may land either way
+function pointInPolygon([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function distanceMiles(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+// Greedy nearest-neighbor tour from start. Straight-line distance stands in
+// for driving distance, which is close enough inside one territory.
+function orderByNearestNeighbor(stops, start) {
+  const remaining = [...stops];
+  const ordered = [];
+  let current = start || remaining[0]?.location;
+  
+  while (remaining.length > 0) {
+    let nearest = 0;
+    let nearestMiles = Infinity;
+    remaining.forEach((stop, index) => {
+      const miles = distanceMiles(current, stop.location);
+      if (miles < nearestMiles) {
+        nearest = index;
+        nearestMiles = miles;
+      }
+    });
+    const [stop] = remaining.splice(nearest, 1);
+    ordered.push({ ...stop, legMiles: Math.round(nearestMiles * 10) / 10 });
+    current = stop.location;
+  }
+  return ordered;
+}
+
+function getAgentWebhook(env, agent) {
+  // Prefer a worker secret so webhook URLs stay out of the R2 config
+  if (agent.slackWebhookSecret) return env[agent.slackWebhookSecret] || null;
+  return agent.slackWebhook || null;
+}
+
+// Each agent with a webhook gets the top 10 of their own leads
+export async function sendAgentSummaries(env, config, listings, rubric) {
+  for (const agent of config.agents) {
+    const webhookUrl = getAgentWebhook(env, agent);
+    const agentListings = listings.filter(l => l.agentId === agent.id);
+    if (!webhookUrl || agentListings.length === 0) continue;
+    
+    try {
+      const topTen = [...agentListings].sort((a, b) => b.urgencyScore - a.urgencyScore).slice(0, 10);
+      await sendSlackSummary(
+        webhookUrl,
+        await Promise.all(topTen.map(listing => scrubContactPhones(env.DB, listing, env))),
+        agentListings.length,
+        rubric,
+        null,
+        agent.name || agent.id
+      );
+    } catch (error) {
+      console.error(`Slack summary for agent ${agent.id} failed:`, error.message || error);
+    }
+  }
+}
+
+export async function listAgents(env) {
+  const config = await loadTerritoryConfig(env);
+  const { results } = await env.DB.prepare(
+    `SELECT agent_id, COUNT(*) as total,
+            SUM(CASE WHEN status = 'new' THEN 1 ELSE 0 END) as uncontacted
+     FROM leads GROUP BY agent_id`
+  ).all();
+  const counts = new Map(results.map(row => [row.agent_id, row]));
+  
+  return jsonResponse({
+    version: config.version,
+    defaultAgent: config.defaultAgent || null,
+    agents: config.agents.map(agent => ({
+      id: agent.id,
+      name: agent.name || agent.id,
+      zips: agent.zips || [],
+      polygonCount: (agent.polygons || []).length,
+      hasSlackWebhook: Boolean(getAgentWebhook(env, agent)),
+      leads: counts.get(agent.id)?.total || 0,
+      uncontacted: counts.get(agent.id)?.uncontacted || 0
+    })),
+    unassignedLeads: counts.get(null)?.total || 0
+  });
+}
+
+// GET /api/agents/:id/route?start=lng,lat&limit=25 - the agent's top
+// uncontacted, unsnoozed leads as a GeoJSON door-knock route
+export async function getAgentRoute(env, agentId, params) {
+  const config = await loadTerritoryConfig(env);
+  const agent = config.agents.find(a => a.id === agentId);
+  if (!agent) {
+    return jsonResponse({ error: "Agent not found" }, 404);
+  }
+  
+  let start = agent.start ? { lng: agent.start[0], lat: agent.start[1] } : null;
+  if (params.has("start")) {
+    const [lng, lat] = params.get("start").split(",").map(parseFloat);
+    if (!Number.isFinite(lng) || !Number.isFinite(lat)) {
+      return jsonResponse({ error: "start must be lng,lat" }, 400);
+    }
+    start = { lng, lat };
+  }
+  const limit = Math.min(Math.max(parseInt(params.get("limit")) || DEFAULT_ROUTE_STOPS, 1), MAX_ROUTE_STOPS);
+  
+  // The highest-scoring leads make the cut; the route then orders them
+  const { results } = await env.DB.prepare(
+    `${LEAD_SELECT_SQL}
+     WHERE l.status = 'new' AND l.agent_id = ? AND l.lat IS NOT NULL
+       AND COALESCE(l.snoozed_until, '') < strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+     ORDER BY l.urgency_score DESC LIMIT ?`
+  ).bind(agentId, limit).all();
+  
+  const stops = orderByNearestNeighbor(results.map(leadFromRow), start);
+  const features = stops.map((stop, index) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [stop.location.lng, stop.location.lat] },
+    properties: {
+      stop: index + 1,
+      leadId: stop.leadId,
+      address: stop.address,
+      city: stop.city,
+      zip: stop.zip,
+      urgencyScore: stop.urgencyScore,
+      ownerName: stop.ownerName || null,
+      positioningAngle: stop.analysis?.positioningAngle || "",
+      precision: stop.location.precision,
+      legMiles: stop.legMiles
+    }
+  }));
+  
+  if (stops.length > 0) {
+    const path = [...(start ? [start] : []), ...stops.map(s => s.location)];
+    features.push({
+      type: "Feature",
+      geometry: { type: "LineString", coordinates: path.map(p => [p.lng, p.lat]) },
+      properties: { route: true }
+    });
+  }
+  
+  return new Response(JSON.stringify({
+    type: "FeatureCollection",
+    agentId,
+    stops: stops.length,
+    totalMiles: Math.round(stops.reduce((sum, s) => sum + s.legMiles, 0) * 10) / 10,
+    features
+  }), {
+    headers: { "Content-Type": "application/geo+json" }
+  });
+}
@@ -0,0 +1,176 @@
+// ============================================
+// PRICE & LISTING HISTORY TIMELINE
+// ============================================
+
+import { getSightingColumns, normalizeProfileName } from "./storage.js";
+import { getPropertyKey } from "./leads.js";
+
+// D1 caps bound parameters per statement
+const HISTORY_LOOKUP_BATCH_SIZE = 90;
+
+// Every stored sighting of these properties, oldest first, by property key.
+// Sightings from skipFile (the export being processed) are left out so a
+// retried file isn't counted twice.
+export async function loadSightingHistory(db, propertyKeys, skipFile = null) {
+  const keys = [...new Set(propertyKeys.filter(Boolean))];
+  const history = new Map();
+  for (let i = 0; i < keys.length; i += HISTORY_LOOKUP_BATCH_SIZE) {
+    const chunk = keys.slice(i, i + HISTORY_LOOKUP_BATCH_SIZE);
+    try {
+      const { results } = await db.prepare(
+        `SELECT * FROM listing_sightings WHERE property_key IN (${chunk.map(() => "?").join(", ")}) ORDER BY id`
+      ).bind(...chunk).all();
+      for (const row of results) {
+        if (row.csv_filename === skipFile) continue;
+        if (!history.has(row.property_key)) history.set(row.property_key, []);
+        history.get(row.property_key).push(row);
+      }
+    } catch (error) {
+      console.error("Sighting history lookup error:", error);
+    }
+  }
+  return history;
+}
+
+// Sightings recorded against the lead, plus any of the same property under
+// other MLS numbers
+export async function loadLeadSightings(db, lead) {
+  const { results } = await db.prepare(
+    `SELECT * FROM listing_sightings WHERE intelligence_id = ? OR lead_key = ? OR property_key = ? ORDER BY id`
+  ).bind(lead.id, lead.lead_key, getPropertyKey(lead)).all();
+  return results;
+}
+
+// Timeline for a scored listing: its stored history plus this export
+export function buildListingTimeline(listing, history) {
+  const current = { ...getSightingColumns(listing), seen_at: new Date().toISOString().replace("T", " ").slice(0, 19) };
+  return buildPropertyTimeline([...(history.get(listing.propertyKey) || []), current]);
+}
+
+// Exports are snapshots, so the timeline is what changed between them:
+// listing periods (a new MLS number, list date or brokerage), price changes
+// and status changes. A change is dated by the export's own columns when it
+// has them, else by the day it was first seen.
+export function buildPropertyTimeline(sightings) {
+  const events = [];
+  const listings = [];
+  let price = null;
+  let status = null;
+  
+  for (const row of sightings) {
+    const sighting = toSighting(row);
+    const seenOn = sighting.statusChangedAt || sighting.seenAt?.slice(0, 10) || null;
+    
+    let listing = listings[listings.length - 1];
+    if (!listing || isNewListing(listing, sighting)) {
+      listing = {
+        mlsNumber: sighting.mlsNumber,
+        listDate: sighting.listDate,
+        agent: sighting.agent,
+        office: sighting.office,
+        listPrice: sighting.originalPrice ?? sighting.previousPrice ?? sighting.price
+      };
+      listings.push(listing);
+      events.push({ type: "listed", date: listing.listDate, price: listing.listPrice, ...pick(listing, ["mlsNumber", "agent", "office"]) });
+      if (price !== null && listing.listPrice !== null && listing.listPrice !== price) {
+        events.push(priceChange(listing.listDate, price, listing.listPrice));
+      }
+      price = listing.listPrice ?? price;
+    }
+    
+    // A cut the export reports but that happened between our sightings
+    if (sighting.previousPrice !== null && price !== null && sighting.previousPrice !== price && sighting.previousPrice !== sighting.price) {
+      events.push(priceChange(null, price, sighting.previousPrice));
+      price = sighting.previousPrice;
+    }
+    if (sighting.price !== null && price !== null && sighting.price !== price) {
+      events.push(priceChange(sighting.priceChangedAt || seenOn, price, sighting.price));
+    }
+    price = sighting.price ?? price;
+    
+    if (sighting.status && sighting.status !== status) {
+      events.push({ type: "status", date: seenOn, from: status, to: sighting.status, file: sighting.file });
+      status = sighting.status;
+    }
+  }
+  
+  const originalPrice = listings[0]?.listPrice ?? null;
+  const cuts = events.filter(e => e.type === "price" && e.to < e.from);
+  const brokerages = [...new Map(
+    listings.filter(l => l.office).map(l => [normalizeProfileName(l.office), l.office])
+  ).values()];
+  
+  return {
+    originalPrice,
+    currentPrice: price,
+    priceCutCount: cuts.length,
+    totalReductionPct: originalPrice && price && price < originalPrice
+      ? Math.round((originalPrice - price) / originalPrice * 1000) / 10
+      : 0,
+    relistCount: Math.max(listings.length - 1, 0),
+    brokerageCount: brokerages.length,
+    brokerages,
+    exportCount: sightings.length,
+    status,
+    events
+  };
+}
+
+// "cut price 3 times, 11% total, listed with 2 brokerages, still didn't
+// sell"; empty when the history shows nothing beyond this listing
+export function formatTimelineSummary(timeline) {
+  if (!timeline) return "";
+  const parts = [];
+  if (timeline.priceCutCount > 0) {
+    parts.push(`cut price ${formatTimes(timeline.priceCutCount)}, ${timeline.totalReductionPct}% total`);
+  }
+  if (timeline.relistCount > 0) {
+    parts.push(`relisted ${formatTimes(timeline.relistCount)}`);
+  }
+  if (timeline.brokerageCount > 1) {
+    parts.push(`listed with ${timeline.brokerageCount} brokerages`);
+  }
+  return parts.length > 0 ? `${parts.join(", ")}, still didn't sell` : "";
+}
+
+function formatTimes(count) {
+  return count === 1 ? "once" : count === 2 ? "twice" : `${count} times`;
+}
+
+function toSighting(row) {
+  return {
+    file: row.csv_filename,
+    seenAt: row.seen_at,
+    mlsNumber: row.mls_number || null,
+    price: parsePrice(row.price),
+    originalPrice: parsePrice(row.original_price),
+    previousPrice: parsePrice(row.previous_price),
+    priceChangedAt: row.price_changed_at || null,
+    listDate: row.list_date || null,
+    status: row.listing_status || null,
+    statusChangedAt: row.status_changed_at || null,
+    agent: row.listing_agent || null,
+    office: row.listing_office || null
+  };
+}
+
+// Only compares what both sightings have; older rows lack most columns
+function isNewListing(listing, sighting) {
+  const differs = (a, b) => Boolean(a && b) && a !== b;
+  return differs(listing.mlsNumber, sighting.mlsNumber) ||
+    differs(listing.listDate, sighting.listDate) ||
+    differs(normalizeProfileName(listing.office), normalizeProfileName(sighting.office));
+}
+
+function priceChange(date, from, to) {
+  return { type: "price", date, from, to, changePct: Math.round((to - from) / from * 1000) / 10 };
+}
+
+function parsePrice(value) {
+  const price = parseInt(String(value ?? "").replace(/[,$\s]/g, ""));
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key]).map(key => [key, object[key]]));
+}
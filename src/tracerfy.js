@@ -0,0 +1,220 @@
+// ============================================
+// TRACERFY PROVIDER
+// ============================================
+
+import { httpFetch } from "./http.js";
+import { formatCSVRow, parseCSVRecords } from "./csv.js";
+import { compareStreetAddresses } from "./address.js";
+import { normalizePhone } from "./dnc.js";
+
+async function submitTracerfyBatch(listings, apiKey) {
+  try {
+    // Build CSV for Tracerfy batch upload - include all required columns
+    // row_id is passed through by Tracerfy so results can be matched back exactly
+    const csvHeader = "row_id,address,city,state,zip,first_name,last_name,mail_address,mail_city,mail_state\n";
+    const csvRows = listings.map(l => 
+      formatCSVRow([l.leadId, l.address, l.city, l.state, l.zip, "", "", "", "", ""])
+    ).join("\n");
+    const csvContent = csvHeader + csvRows;
+    
+    // Create form data with CSV file and ALL required column mappings
+    const formData = new FormData();
+    formData.append("csv_file", new Blob([csvContent], { type: "text/csv" }), "listings.csv");
+    formData.append("address_column", "address");
+    formData.append("city_column", "city");
+    formData.append("state_column", "state");
+    formData.append("zip_column", "zip");
+    formData.append("first_name_column", "first_name");
+    formData.append("last_name_column", "last_name");
+    formData.append("mail_address_column", "mail_address");
+    formData.append("mail_city_column", "mail_city");
+    formData.append("mail_state_column", "mail_state");
+    
+    // Submit batch to Tracerfy - CORRECT URL
+    const submitResponse = await httpFetch("https://tracerfy.com/v1/api/trace/", {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${apiKey}`
+      },
+      body: formData
+    });
+    
+    if (!submitResponse.ok) {
+      const errorText = await submitResponse.text();
+      console.error("Tracerfy submit failed:", submitResponse.status, errorText);
+      return { queueId: null, error: `Submit failed: ${submitResponse.status}` };
+    }
+    
+    const submitResult = await submitResponse.json();
+    const queueId = submitResult.queue_id || submitResult.id;
+    console.log(`Tracerfy batch submitted, queue ID: ${queueId}`);
+    return { queueId: queueId ? String(queueId) : null, error: queueId ? null : "No queue ID returned" };
+  } catch (error) {
+    console.error("Tracerfy error:", error.message || error);
+    return { queueId: null, error: error.message || String(error) };
+  }
+}
+
+async function checkTracerfyQueue(queueId, apiKey) {
+  try {
+    const statusResponse = await httpFetch(`https://tracerfy.com/v1/api/queue/${queueId}/`, {
+      headers: {
+        "Authorization": `Bearer ${apiKey}`
+      }
+    });
+    
+    if (!statusResponse.ok) {
+      console.error("Tracerfy status check failed:", statusResponse.status);
+      return { complete: false };
+    }
+    
+    const statusResult = await statusResponse.json();
+    console.log(`Tracerfy status response:`, JSON.stringify(statusResult));
+    
+    // Handle various possible status field formats from Tracerfy API
+    const status = statusResult.status || statusResult.state;
+    const isComplete = status === "completed" || status === "complete" || status === "done" || statusResult.pending === false;
+    const resultUrl = statusResult.download_url || statusResult.result_url || statusResult.file_url || statusResult.url;
+    
+    return { complete: Boolean(isComplete && resultUrl), downloadUrl: resultUrl };
+  } catch (error) {
+    console.error("Tracerfy status error:", error.message || error);
+    return { complete: false };
+  }
+}
+
+async function downloadTracerfyResults(downloadUrl) {
+  try {
+    console.log(`Downloading results from: ${downloadUrl}`);
+    const resultsResponse = await httpFetch(downloadUrl);
+    if (!resultsResponse.ok) {
+      console.error("Failed to download Tracerfy results");
+      return null;
+    }
+    
+    const results = parseTracerfyResults(await resultsResponse.text());
+    console.log(`Parsed ${results.length} Tracerfy results`);
+    return results;
+  } catch (error) {
+    console.error("Tracerfy download error:", error.message || error);
+    return null;
+  }
+}
+
+// Matches at or above this confidence are applied; between the review floor
+// and this they are flagged for review; below the floor they are dropped
+const SKIP_TRACE_MATCH_THRESHOLD = 0.8;
+const SKIP_TRACE_REVIEW_FLOOR = 0.5;
+
+// Match results back to listings by the row_id we sent, falling back to the
+// best normalized full-address comparison
+export function matchTracerfyResults(listings, results) {
+  const resultsByRowId = new Map(
+    results.filter(r => r.row_id).map(r => [String(r.row_id).trim(), r])
+  );
+  
+  return listings.map(listing => {
+    let match = resultsByRowId.get(String(listing.leadId));
+    let confidence = 0;
+    
+    if (match) {
+      // The row id is authoritative; the address only tempers confidence
+      confidence = 0.5 + compareStreetAddresses(listing.address, match.address) / 2;
+    } else {
+      for (const result of results) {
+        const similarity = compareStreetAddresses(listing.address, result.address);
+        if (similarity > confidence) {
+          match = result;
+          confidence = similarity;
+        }
+      }
+    }
+    
+    confidence = Math.round(confidence * 100) / 100;
+    if (!match || confidence < SKIP_TRACE_REVIEW_FLOOR) {
+      return { ...listing, matchStatus: "unmatched", matchConfidence: confidence };
+    }
+    
+    const contact = extractTracerfyContact(match);
+    const hasContact = contact.ownerName || contact.ownerPhones.length > 0 || contact.ownerEmails.length > 0;
+    return {
+      ...listing,
+      ...contact,
+      matchedAddress: match.address || "",
+      matchConfidence: confidence,
+      matchStatus: !hasContact ? "unmatched" : confidence >= SKIP_TRACE_MATCH_THRESHOLD ? "matched" : "review"
+    };
+  });
+}
+
+// Collects every phone and email column Tracerfy returned (mobile_1..n,
+// landline_1..n, phone_1..n, email_1..n), mobiles first
+function extractTracerfyContact(result) {
+  const phones = [];
+  const emails = [];
+  
+  const columns = Object.keys(result).sort((a, b) => {
+    const numberOf = key => parseInt(key.split("_").pop()) || 0;
+    return numberOf(a) - numberOf(b);
+  });
+  for (const type of ["mobile", "landline", "phone"]) {
+    for (const column of columns) {
+      if (!new RegExp(`^${type}_\\d+$`).test(column)) continue;
+      const number = normalizePhone(result[column]);
+      if (number && !phones.some(p => p.number === number)) {
+        phones.push({ number, type: type === "phone" ? "unknown" : type });
+      }
+    }
+  }
+  for (const column of columns) {
+    if (!/^email(_\d+)?$/.test(column)) continue;
+    const email = result[column].trim().toLowerCase();
+    if (email && !emails.includes(email)) emails.push(email);
+  }
+  
+  const ownerName = result.owner_name || `${result.first_name || ""} ${result.last_name || ""}`.trim();
+  return {
+    ownerName,
+    ownerPhone: phones[0]?.number || "",
+    ownerEmail: emails[0] || "",
+    ownerPhones: phones,
+    ownerEmails: emails,
+    ownerMailingAddress: [
+      result.mail_address,
+      result.mail_city,
+      [result.mail_state, result.mail_zip].filter(Boolean).join(" ")
+    ].filter(Boolean).join(", ")
+  };
+}
+
+// Parse Tracerfy CSV results
+export function parseTracerfyResults(csvText) {
+  const records = parseCSVRecords(csvText);
+  if (records.length < 2) return [];
+  
+  const headers = records[0].map(h => h.trim().toLowerCase().replace(/\s+/g, "_"));
+  const results = [];
+  
+  for (let i = 1; i < records.length; i++) {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = (records[i][index] || "").trim();
+    });
+    results.push(row);
+  }
+  
+  return results;
+}
+
+export const tracerfyProvider = {
+  id: "tracerfy",
+  name: "Tracerfy",
+  isConfigured: env => Boolean(env.TRACERFY_API_KEY),
+  submit: (leads, env) => submitTracerfyBatch(leads, env.TRACERFY_API_KEY),
+  poll: async (queueId, env) => {
+    const status = await checkTracerfyQueue(queueId, env.TRACERFY_API_KEY);
+    return { complete: status.complete, resultRef: status.downloadUrl };
+  },
+  fetchResults: resultRef => downloadTracerfyResults(resultRef),
+  normalize: (leads, results) => matchTracerfyResults(leads, results)
+};
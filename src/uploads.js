@@ -0,0 +1,266 @@
+// ============================================
+// CSV UPLOADS
+// ============================================
+
+import { processExpiredListings } from "./pipeline.js";
+import {
+  createListingMapper,
+  detectMappingProfile,
+  getListingRejectReasons,
+  normalizeHeader,
+  parseCSVRecords
+} from "./csv.js";
+import { calculateUrgencyScore, loadScoringRubric } from "./scoring.js";
+import { findComparables, loadComparables } from "./comps.js";
+import { startPipelineRun } from "./pipeline-runs.js";
+import { ensureSchema } from "./migrations.js";
+import { dedupeListings } from "./leads.js";
+import { jsonResponse } from "./api.js";
+
+// Largest upload accepted, and largest CSV a zip entry may inflate to
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+// Rejected rows listed individually per file; the rest are only counted
+const MAX_REPORTED_REJECTIONS = 100;
+
+// Listing fields an export must be able to fill for leads to be usable
+const REQUIRED_LISTING_FIELDS = ["address", "city", "zip", "price", "daysOnMarket"];
+
+// Accepts a CSV body, a zip of CSVs, or multipart form data with either.
+// Valid files are stored under expired-listings/ and queued as pipeline
+// runs; ?dry_run=true only validates and returns each file's scored top 20,
+// without writing to D1 or R2.
+export async function handleUpload(request, env, ctx, params) {
+  const dryRun = ["1", "true", "yes"].includes((params.get("dry_run") || "").toLowerCase());
+  
+  const declaredSize = parseInt(request.headers.get("Content-Length")) || 0;
+  if (declaredSize > MAX_UPLOAD_BYTES) {
+    return jsonResponse({ error: `Upload exceeds ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` }, 413);
+  }
+  
+  let files;
+  try {
+    files = await readUploadedFiles(request, params);
+  } catch (error) {
+    return jsonResponse({ error: error.message || String(error) }, 400);
+  }
+  if (files.length === 0) {
+    return jsonResponse({ error: "No CSV files found in the upload" }, 400);
+  }
+  
+  if (!dryRun) {
+    await ensureSchema(env.DB);
+  }
+  const rubric = await loadScoringRubric(env);
+  const compsByZip = dryRun ? await loadComparables(env) : null;
+  const reports = [];
+  const runs = [];
+  for (const file of files) {
+    const { report, listings } = validateListingCSV(file.name, file.text);
+    
+    if (dryRun) {
+      report.topListings = listings
+        .map(listing => {
+          const comps = findComparables(listing, compsByZip);
+          return { ...listing, comps, ...calculateUrgencyScore({ ...listing, comps }, rubric) };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 20)
+        .map(l => ({
+          mlsNumber: l.mlsNumber,
+          address: l.address,
+          city: l.city,
+          state: l.state,
+          zip: l.zip,
+          price: l.price,
+          dom: l.daysOnMarket,
+          cdom: l.cumulativeDaysOnMarket,
+          listingStatus: l.status,
+          comps: l.comps,
+          urgencyScore: l.score,
+          scoreBreakdown: l.breakdown
+        }));
+    } else if (report.status === "accepted") {
+      // The run row goes in first so a cron tick can't pick the file up as new
+      const key = await getUploadKey(env, file.name);
+      const run = await startPipelineRun(env.DB, key, "upload");
+      await env.R2_BUCKET.put(key, file.text, { httpMetadata: { contentType: "text/csv" } });
+      report.storedAs = key;
+      report.runId = run.id;
+      runs.push(run);
+    }
+    reports.push(report);
+  }
+  
+  if (runs.length > 0) {
+    ctx.waitUntil(processExpiredListings(env, { trigger: "upload", queuedRuns: runs }));
+  }
+  console.log(`Upload${dryRun ? " (dry run)" : ""}: ${reports.map(r => `${r.filename} ${r.status}`).join(", ")}`);
+  
+  const anyAccepted = reports.some(r => r.status === "accepted");
+  return jsonResponse(
+    { dryRun, rubricVersion: rubric.version, files: reports },
+    dryRun ? 200 : anyAccepted ? 201 : 422
+  );
+}
+
+async function readUploadedFiles(request, params) {
+  const contentType = (request.headers.get("Content-Type") || "").toLowerCase();
+  const parts = [];
+  
+  if (contentType.startsWith("multipart/form-data")) {
+    const form = await request.formData();
+    for (const value of form.values()) {
+      if (typeof value === "string") continue;
+      parts.push({ name: value.name || "upload.csv", bytes: new Uint8Array(await value.arrayBuffer()) });
+    }
+  } else {
+    parts.push({
+      name: params.get("filename") || (contentType.includes("zip") ? "upload.zip" : "upload.csv"),
+      bytes: new Uint8Array(await request.arrayBuffer())
+    });
+  }
+  
+  const files = [];
+  for (const part of parts) {
+    if (part.bytes.length > MAX_UPLOAD_BYTES) {
+      throw new Error(`${part.name} exceeds ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`);
+    }
+    // Zips are recognized by their magic number, whatever they're called
+    if (part.bytes[0] === 0x50 && part.bytes[1] === 0x4b && part.bytes[2] === 0x03 && part.bytes[3] === 0x04) {
+      for (const entry of readZipEntries(part.bytes)) {
+        if (entry.name.endsWith("/") || entry.name.startsWith("__MACOSX/") || !/\.csv$/i.test(entry.name)) continue;
+        if (entry.size > MAX_UPLOAD_BYTES) {
+          throw new Error(`${entry.name} inflates past ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`);
+        }
+        files.push({ name: entry.name.split("/").pop(), text: new TextDecoder().decode(await inflateZipEntry(entry)) });
+      }
+    } else {
+      files.push({ name: part.name, text: new TextDecoder().decode(part.bytes) });
+    }
+  }
+  return files;
+}
+
+// Minimal zip reader: walks the central directory (no zip64, no encryption)
+function readZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  
+  // The end-of-central-directory record sits at the end, before an optional comment
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Upload looks like a zip but has no central directory");
+  
+  const entries = [];
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error("Corrupt zip central directory");
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    
+    entries.push({
+      name: new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+      method: view.getUint16(offset + 10, true),
+      size: view.getUint32(offset + 24, true),
+      data: bytes.subarray(start, start + compressedSize)
+    });
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  return entries;
+}
+
+async function inflateZipEntry(entry) {
+  if (entry.method === 0) return entry.data;
+  if (entry.method !== 8) throw new Error(`${entry.name} uses unsupported zip compression method ${entry.method}`);
+  
+  const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Checks the header row against the MLS mapping profiles and every row
+// against getListingRejectReasons. Returns the report and the usable
+// listings (deduplicated, as processing would see them).
+function validateListingCSV(filename, text) {
+  const records = parseCSVRecords(text);
+  const headers = records[0] || [];
+  const report = {
+    filename,
+    status: "rejected",
+    profile: null,
+    signatureMatched: false,
+    missingColumns: [],
+    unrecognizedColumns: [],
+    rowCount: Math.max(records.length - 1, 0),
+    acceptedRows: 0,
+    rejectedRows: 0,
+    duplicateRows: 0,
+    rejections: [],
+    errors: []
+  };
+  
+  const profile = headers.length > 0 ? detectMappingProfile(headers) : null;
+  if (!profile) {
+    report.errors.push("Header row doesn't match any known MLS export");
+    return { report, listings: [] };
+  }
+  
+  const present = new Set(headers.map(normalizeHeader));
+  const has = aliases => aliases.some(alias => present.has(normalizeHeader(alias)));
+  const known = new Set([...profile.addressParts, ...Object.values(profile.fields).flat()].map(normalizeHeader));
+  report.profile = profile.id;
+  report.signatureMatched = profile.signature.every(h => present.has(normalizeHeader(h)));
+  report.missingColumns = REQUIRED_LISTING_FIELDS.filter(field =>
+    !has(profile.fields[field] || []) && !(field === "address" && has(profile.addressParts))
+  );
+  report.unrecognizedColumns = headers.filter(h => h.trim() && !known.has(normalizeHeader(h)));
+  
+  if (report.missingColumns.includes("address")) {
+    report.errors.push(`No address columns for the ${profile.name} profile`);
+  }
+  if (records.length < 2) {
+    report.errors.push("File has no data rows");
+  }
+  
+  const mapListing = createListingMapper(headers, profile);
+  const listings = [];
+  for (let i = 1; i < records.length; i++) {
+    const listing = mapListing(records[i]);
+    const reasons = getListingRejectReasons(listing, records[i], headers.length);
+    if (reasons.length === 0) {
+      listings.push(listing);
+      continue;
+    }
+    report.rejectedRows++;
+    if (report.rejections.length < MAX_REPORTED_REJECTIONS) {
+      // The file line the row starts on, counting blank lines and line
+      // breaks inside quoted fields
+      report.rejections.push({ row: records[i].line, reasons });
+    }
+  }
+  
+  const unique = dedupeListings(listings);
+  report.acceptedRows = listings.length;
+  report.duplicateRows = listings.length - unique.length;
+  if (report.errors.length === 0 && unique.length > 0) {
+    report.status = "accepted";
+  } else if (report.errors.length === 0) {
+    report.errors.push("No usable rows");
+  }
+  return { report, listings: unique };
+}
+
+// expired-listings/<date>-<name>.csv, suffixed if that key is taken
+async function getUploadKey(env, filename) {
+  const base = filename.replace(/\.csv$/i, "").replace(/[^A-Za-z0-9._-]+/g, "-").replace(/^-+|-+$/g, "") || "upload";
+  const key = `expired-listings/${new Date().toISOString().slice(0, 10)}-${base}.csv`;
+  const existing = await env.R2_BUCKET.head(key);
+  return existing ? key.replace(/\.csv$/, `-${Date.now()}.csv`) : key;
+}
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handleApiRequest } from "../src/api.js";
+import { ensureSchema } from "../src/migrations.js";
+import { createTestEnv } from "./helpers/env.js";
+
+function apiRequest(env, method, path, body) {
+  const request = new Request(`https://worker.example.com${path}`, {
+    method,
+    headers: { Authorization: "Bearer test-token", "Content-Type": "application/json" },
+    body
+  });
+  return handleApiRequest(request, env, new URL(request.url), { waitUntil: () => {} });
+}
+
+test("write endpoints answer 400 to a body that isn't a JSON object", async (t) => {
+  const { env, restore } = createTestEnv();
+  t.after(restore);
+  await ensureSchema(env.DB);
+  
+  for (const [method, path] of [["PATCH", "/api/leads/1"], ["POST", "/api/dnc/opt-out"], ["PATCH", "/api/drafts/1"]]) {
+    for (const body of ["null", "[]", '"contacted"', "42", "{not json"]) {
+      const response = await apiRequest(env, method, path, body);
+      assert.equal(response.status, 400, `${method} ${path} with ${body}`);
+      assert.deepEqual(await response.json(), { error: "Body must be a JSON object" });
+    }
+  }
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCSV, parseCSVRecords } from "../src/csv.js";
+import { readFixture } from "./helpers/env.js";
+
+test("parseCSVRecords handles quoted commas, doubled quotes and embedded newlines", () => {
+  const records = parseCSVRecords('a,b,c\r\n"1,5","say ""hi""","line one\nline two"\r\n\r\nx,,z');
+  assert.deepEqual(records, [
+    ["a", "b", "c"],
+    ["1,5", 'say "hi"', "line one\nline two"],
+    ["x", "", "z"]
+  ]);
+  assert.deepEqual(records.map(record => record.line), [1, 2, 5]);
+});
+
+test("parseCSV maps a HAR export and builds street addresses from their parts", () => {
+  const listings = parseCSV(readFixture("har/har-expired-sample.csv"));
+  
+  // The lot with no city or zip is rejected
+  assert.equal(listings.length, 6);
+  
+  const condo = listings.find(l => l.mlsNumber === "83456789");
+  assert.equal(condo.address, "2400 Fountain View Dr 1402");
+  assert.equal(condo.city, "Houston");
+  assert.equal(condo.state, "TX");
+  assert.equal(condo.zip, "77057");
+  assert.equal(condo.daysOnMarket, "141");
+  assert.equal(condo.listingAgent, "Dana Whitfield");
+  assert.equal(condo.listingOffice, "Bayou City Realty");
+  
+  const withSuffixDirection = listings.find(l => l.mlsNumber === "85678901");
+  assert.equal(withSuffixDirection.address, "910 Wakefield Dr N");
+});
+
+test("parseCSV returns nothing for a file without a header match", () => {
+  assert.deepEqual(parseCSV("foo,bar\n1,2\n"), []);
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { refreshDncLists } from "../src/dnc.js";
+import { createTestEnv } from "./helpers/env.js";
+
+const FEDERAL_FILE = "dnc/federal-713.csv";
+
+// The federal registry's "area code, number" layout
+function federalCsv(from, to) {
+  const rows = [];
+  for (let i = from; i < to; i++) {
+    rows.push(`713,${5550000 + i}`);
+  }
+  return rows.join("\n");
+}
+
+async function countNumbers(db, sourceFile) {
+  return db.prepare(`SELECT COUNT(*) AS count FROM dnc_numbers WHERE source_file = ?`).bind(sourceFile).first("count");
+}
+
+async function isListed(db, phone) {
+  return Boolean(await db.prepare(`SELECT 1 AS listed FROM dnc_numbers WHERE phone = ?`).bind(phone).first("listed"));
+}
+
+test("a DNC reload that dies partway keeps the previous numbers and resumes where it stopped", async (t) => {
+  const { env, restore } = createTestEnv({ files: { [FEDERAL_FILE]: federalCsv(0, 1200) } });
+  t.after(restore);
+  
+  await refreshDncLists(env);
+  assert.equal(await countNumbers(env.DB, FEDERAL_FILE), 1200);
+  const first = await env.DB.prepare(`SELECT etag, row_count FROM dnc_lists WHERE source_file = ?`).bind(FEDERAL_FILE).first();
+  assert.equal(first.row_count, 1200);
+  
+  // The next version drops the first 200 numbers; the invocation dies after
+  // its first batch of inserts
+  await env.R2_BUCKET.put(FEDERAL_FILE, federalCsv(200, 1400));
+  const batch = env.DB.batch;
+  let batches = 0;
+  env.DB.batch = async statements => {
+    if (++batches === 3) throw new Error("Worker exceeded CPU time limit");
+    return batch(statements);
+  };
+  await refreshDncLists(env);
+  
+  assert.ok(await isListed(env.DB, "7135550000"));
+  assert.equal(await countNumbers(env.DB, FEDERAL_FILE), 1200);
+  const partial = await env.DB.prepare(`SELECT etag, loaded_rows FROM dnc_lists WHERE source_file = ?`).bind(FEDERAL_FILE).first();
+  assert.deepEqual({ ...partial }, { etag: first.etag, loaded_rows: 500 });
+  
+  env.DB.batch = batch;
+  await refreshDncLists(env);
+  
+  assert.equal(await isListed(env.DB, "7135550000"), false);
+  assert.ok(await isListed(env.DB, "7135551399"));
+  assert.equal(await countNumbers(env.DB, FEDERAL_FILE), 1200);
+  assert.equal(await countNumbers(env.DB, `${FEDERAL_FILE}#loading`), 0);
+  const done = await env.DB.prepare(`SELECT row_count, loading_etag FROM dnc_lists WHERE source_file = ?`).bind(FEDERAL_FILE).first();
+  assert.deepEqual({ ...done }, { row_count: 1200, loading_etag: null });
+});
+
+test("a file bigger than one tick's share loads over several ticks, matching staged numbers meanwhile", async (t) => {
+  const { env, restore } = createTestEnv({ files: { [FEDERAL_FILE]: federalCsv(0, 12000) } });
+  t.after(restore);
+  
+  await refreshDncLists(env);
+  const partial = await env.DB.prepare(`SELECT etag, loading_etag, loaded_rows FROM dnc_lists WHERE source_file = ?`).bind(FEDERAL_FILE).first();
+  assert.equal(partial.etag, null);
+  assert.ok(partial.loading_etag);
+  assert.equal(partial.loaded_rows, 10000);
+  assert.ok(await isListed(env.DB, "7135550042"));
+  assert.equal(await isListed(env.DB, "7135561999"), false);
+  
+  await refreshDncLists(env);
+  assert.equal(await countNumbers(env.DB, FEDERAL_FILE), 12000);
+  assert.equal(await countNumbers(env.DB, `${FEDERAL_FILE}#loading`), 0);
+  assert.ok(await isListed(env.DB, "7135561999"));
+});
+
+test("numbers from a DNC file deleted from R2 are purged, opt-outs are kept", async (t) => {
+  const { env, restore } = createTestEnv({ files: { [FEDERAL_FILE]: federalCsv(0, 10), "dnc/internal.csv": "8325550117" } });
+  t.after(restore);
+  await refreshDncLists(env);
+  await env.DB.prepare(`INSERT INTO dnc_numbers (phone, list, source_file) VALUES (?, ?, ?)`).bind("2815550100", "internal", "api").run();
+  
+  await env.R2_BUCKET.delete(FEDERAL_FILE);
+  await refreshDncLists(env);
+  
+  assert.equal(await countNumbers(env.DB, FEDERAL_FILE), 0);
+  const { results: lists } = await env.DB.prepare(`SELECT source_file FROM dnc_lists`).all();
+  assert.deepEqual(lists.map(row => row.source_file), ["dnc/internal.csv"]);
+  assert.ok(await isListed(env.DB, "8325550117"));
+  assert.ok(await isListed(env.DB, "2815550100"));
+});
@@ -0,0 +1,46 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { processExpiredListings } from "../src/pipeline.js";
+import { LEAD_SELECT_SQL, readLeadRow } from "../src/storage.js";
+import { createTestEnv, readFixture, FROZEN_NOW } from "./helpers/env.js";
+
+// Stored leads and the Slack summary for each sample export, compared with
+// test/fixtures/golden/<name>.json. Run with UPDATE_GOLDEN=1 to rewrite them
+// after an intended change, and review the diff.
+const SAMPLES = ["har-expired-sample"];
+
+for (const name of SAMPLES) {
+  test(`pipeline output for ${name} matches the golden file`, async (t) => {
+    mock.timers.enable({ apis: ["Date"], now: FROZEN_NOW });
+    const { env, http, slackMessages, restore } = createTestEnv({
+      files: { "expired-listings/2026-10-19.csv": readFixture(`har/${name}.csv`) },
+      fixtures: ["anthropic-analysis", "slack-webhook"]
+    });
+    t.after(() => {
+      restore();
+      mock.timers.reset();
+    });
+    
+    await processExpiredListings(env);
+    assert.deepEqual(http.unmatched, []);
+    
+    // createdAt comes from SQLite's clock, which the frozen Date doesn't reach
+    const { results } = await env.DB.prepare(`${LEAD_SELECT_SQL} ORDER BY l.id`).all();
+    const actual = {
+      leads: results.map(row => {
+        const lead = readLeadRow(row);
+        delete lead.createdAt;
+        return lead;
+      }),
+      slack: slackMessages()
+    };
+    
+    const goldenFile = new URL(`./fixtures/golden/${name}.json`, import.meta.url);
+    if (process.env.UPDATE_GOLDEN || !existsSync(goldenFile)) {
+      writeFileSync(goldenFile, JSON.stringify(actual, null, 2) + "\n");
+      return;
+    }
+    assert.deepEqual(actual, JSON.parse(readFileSync(goldenFile, "utf8")));
+  });
+}
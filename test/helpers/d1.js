@@ -0,0 +1,79 @@
+// ============================================
+// D1 STAND-IN (node:sqlite)
+// ============================================
+
+import { DatabaseSync } from "node:sqlite";
+
+// The shared intelligence table predates this worker, so ensureSchema()
+// doesn't create it; this is its production shape
+const LEGACY_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS intelligence (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    topic_id INTEGER NOT NULL,
+    title TEXT,
+    summary TEXT,
+    relevance_score REAL,
+    status TEXT,
+    gathered_at TEXT
+  )`;
+
+const READ_PATTERN = /^\s*(SELECT|WITH|PRAGMA|VALUES)\b|\bRETURNING\b/i;
+
+// Implements the parts of the D1 binding the worker uses: prepare/bind,
+// run/all/first/raw, batch (as one transaction) and exec. path defaults to
+// an in-memory database.
+export function createD1(path = ":memory:") {
+  const sqlite = new DatabaseSync(path);
+  sqlite.exec(LEGACY_SCHEMA);
+  
+  const execute = (sql, params) => {
+    // D1 accepts double-quoted string literals such as "$.zip"; node's SQLite build doesn't
+    const statement = sqlite.prepare(sql.replace(/"(\$[^"]*)"/g, "'$1'"));
+    const values = params.map((value, i) => {
+      if (value === undefined) {
+        throw new Error(`D1_TYPE_ERROR: Type 'undefined' not supported for value at index ${i}`);
+      }
+      return typeof value === "boolean" ? Number(value) : value;
+    });
+    
+    if (READ_PATTERN.test(sql)) {
+      const results = statement.all(...values).map(row => ({ ...row }));
+      return { success: true, results, meta: { changes: 0, last_row_id: 0 } };
+    }
+    const { changes, lastInsertRowid } = statement.run(...values);
+    return { success: true, results: [], meta: { changes, last_row_id: Number(lastInsertRowid) } };
+  };
+  
+  const prepare = (sql, params = []) => ({
+    sql,
+    params,
+    bind: (...values) => prepare(sql, values),
+    run: async () => execute(sql, params),
+    all: async () => execute(sql, params),
+    first: async column => {
+      const row = execute(sql, params).results[0] ?? null;
+      return column && row ? row[column] ?? null : row;
+    },
+    raw: async () => execute(sql, params).results.map(row => Object.values(row))
+  });
+  
+  return {
+    sqlite,
+    prepare: sql => prepare(sql),
+    async batch(statements) {
+      sqlite.exec("BEGIN");
+      try {
+        const results = statements.map(statement => execute(statement.sql, statement.params));
+        sqlite.exec("COMMIT");
+        return results;
+      } catch (error) {
+        sqlite.exec("ROLLBACK");
+        throw error;
+      }
+    },
+    async exec(sql) {
+      sqlite.exec(sql);
+      return { count: sql.split(";").filter(s => s.trim()).length };
+    }
+  };
+}
@@ -0,0 +1,43 @@
+// ============================================
+// TEST ENVIRONMENT
+// ============================================
+
+import { readFileSync } from "node:fs";
+import { createD1 } from "./d1.js";
+import { createR2 } from "./r2.js";
+import { createFixtureFetch, loadHttpFixture } from "./http.js";
+import { setHttpFetch } from "../../src/http.js";
+
+export const SLACK_WEBHOOK = "https://hooks.slack.com/services/T0000/B0000/fixture";
+
+// The clock every test runs at: the Monday after the sample export
+export const FROZEN_NOW = new Date("2026-10-19T14:00:00Z");
+
+export function readFixture(path) {
+  return readFileSync(new URL(`../fixtures/${path}`, import.meta.url), "utf8");
+}
+
+// Worker env backed by the stand-ins, with HTTP answered from the named
+// fixtures. Call restore() when the test is done.
+export function createTestEnv({ files = {}, fixtures = [], vars = {} } = {}) {
+  const http = createFixtureFetch(fixtures.map(loadHttpFixture));
+  setHttpFetch(http.fetch);
+  
+  const env = {
+    DB: createD1(),
+    R2_BUCKET: createR2(files),
+    AGENT_NAME: "Bernard",
+    AGENT_BIO: "a CPA and Realtor in Houston",
+    ANTHROPIC_API_KEY: "sk-ant-test",
+    SLACK_WEBHOOK,
+    API_TOKEN: "test-token",
+    ...vars
+  };
+  
+  return {
+    env,
+    http,
+    slackMessages: () => http.callsTo(SLACK_WEBHOOK).map(call => call.json),
+    restore: () => setHttpFetch(null)
+  };
+}
@@ -0,0 +1,61 @@
+// ============================================
+// RECORDED HTTP FIXTURES
+// ============================================
+
+import { readFileSync } from "node:fs";
+
+const FIXTURE_DIR = new URL("../fixtures/http/", import.meta.url);
+
+// Reads test/fixtures/http/<name>.json:
+//   { "method": "POST", "url": "https://...", "status": 200, "json": {...} }
+// "url" matches as a prefix. A fixture may give "body" (text) or "bodyFile"
+// (another file in the directory) instead of "json".
+export function loadHttpFixture(name) {
+  const fixture = JSON.parse(readFileSync(new URL(`${name}.json`, FIXTURE_DIR), "utf8"));
+  if (fixture.bodyFile) {
+    fixture.body = readFileSync(new URL(fixture.bodyFile, FIXTURE_DIR), "utf8");
+  }
+  return fixture;
+}
+
+// A fetch that answers from fixtures and records every call. Requests no
+// fixture matches get a 501 and land in unmatched, so tests can assert on it.
+export function createFixtureFetch(fixtures) {
+  const calls = [];
+  const unmatched = [];
+  
+  const fetch = async (input, init = {}) => {
+    const url = String(input instanceof Request ? input.url : input);
+    const method = (init.method || "GET").toUpperCase();
+    const body = typeof init.body === "string" ? init.body : null;
+    calls.push({ method, url, headers: new Headers(init.headers), body, json: parseJson(body) });
+    
+    const fixture = fixtures.find(f => (f.method || "GET").toUpperCase() === method && url.startsWith(f.url));
+    if (!fixture) {
+      unmatched.push(`${method} ${url}`);
+      return new Response(`No fixture for ${method} ${url}`, { status: 501 });
+    }
+    
+    const headers = { ...(fixture.headers || {}) };
+    if (fixture.json !== undefined) {
+      headers["Content-Type"] = "application/json";
+      return new Response(JSON.stringify(fixture.json), { status: fixture.status || 200, headers });
+    }
+    return new Response(fixture.body ?? "", { status: fixture.status || 200, headers });
+  };
+  
+  return {
+    fetch,
+    calls,
+    unmatched,
+    callsTo: prefix => calls.filter(call => call.url.startsWith(prefix))
+  };
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
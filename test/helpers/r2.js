@@ -0,0 +1,82 @@
+// ============================================
+// R2 STAND-IN (in memory)
+// ============================================
+
+const R2_LIST_LIMIT = 1000;
+
+// files: { key: string | Uint8Array } to start with. objects is the backing
+// Map, for assertions.
+export function createR2(files = {}) {
+  const objects = new Map();
+  
+  const store = (key, bytes, options = {}) => {
+    const object = {
+      key,
+      bytes,
+      size: bytes.byteLength,
+      etag: `${bytes.byteLength}-${objects.size}-${Date.now()}`,
+      uploaded: new Date(),
+      httpMetadata: options.httpMetadata || {},
+      customMetadata: options.customMetadata || {}
+    };
+    objects.set(key, object);
+    return object;
+  };
+  
+  const describe = ({ bytes, ...object }) => ({ ...object });
+  const withBody = object => ({
+    ...describe(object),
+    get body() {
+      return new Blob([object.bytes]).stream();
+    },
+    text: async () => new TextDecoder().decode(object.bytes),
+    json: async () => JSON.parse(new TextDecoder().decode(object.bytes)),
+    arrayBuffer: async () => object.bytes.slice().buffer
+  });
+  
+  for (const [key, value] of Object.entries(files)) {
+    store(key, toBytes(value));
+  }
+  
+  return {
+    objects,
+    async get(key) {
+      return objects.has(key) ? withBody(objects.get(key)) : null;
+    },
+    async head(key) {
+      return objects.has(key) ? describe(objects.get(key)) : null;
+    },
+    async put(key, value, options) {
+      return describe(store(key, await readValue(value), options));
+    },
+    async delete(keys) {
+      for (const key of [keys].flat()) objects.delete(key);
+    },
+    async list({ prefix = "", limit = R2_LIST_LIMIT, cursor } = {}) {
+      const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+      const start = cursor ? parseInt(cursor) : 0;
+      const page = keys.slice(start, start + limit);
+      const truncated = start + limit < keys.length;
+      return {
+        objects: page.map(key => describe(objects.get(key))),
+        truncated,
+        cursor: truncated ? String(start + limit) : undefined,
+        delimitedPrefixes: []
+      };
+    }
+  };
+}
+
+function toBytes(value) {
+  return typeof value === "string" ? new TextEncoder().encode(value) : new Uint8Array(value);
+}
+
+async function readValue(value) {
+  if (value instanceof ReadableStream || value instanceof Blob) {
+    return new Uint8Array(await new Response(value).arrayBuffer());
+  }
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return new Uint8Array(value.buffer ?? value, value.byteOffset ?? 0, value.byteLength).slice();
+  }
+  return toBytes(String(value));
+}
@@ -0,0 +1,180 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { processExpiredListings } from "../src/pipeline.js";
+import { processSkipTraceJobs } from "../src/skip-trace.js";
+import { refreshDncLists } from "../src/dnc.js";
+import { updateLeadRecord } from "../src/leads.js";
+import { ensureSchema } from "../src/migrations.js";
+import { storeLeads } from "../src/storage.js";
+import { handleApiRequest } from "../src/api.js";
+import { formatVCard, processLeadIntegrations, signWebhookBody } from "../src/integrations.js";
+import { createTestEnv, readFixture, FROZEN_NOW } from "./helpers/env.js";
+
+const CRM_URL = "https://crm.example.com/hooks/leads";
+const CRM_DOWN_URL = "https://crm-down.example.com/hooks/leads";
+
+function setup(t, { files = {}, fixtures = [], config }) {
+  mock.timers.enable({ apis: ["Date"], now: FROZEN_NOW });
+  const harness = createTestEnv({
+    files: { ...files, "config/integrations.json": JSON.stringify(config) },
+    fixtures,
+    vars: { TRACERFY_API_KEY: "tracerfy-test", WEBHOOK_SIGNING_SECRET: "whsec-test" }
+  });
+  t.after(() => {
+    harness.restore();
+    mock.timers.reset();
+  });
+  return harness;
+}
+
+function apiRequest(env, method, path) {
+  const request = new Request(`https://worker.example.com${path}`, {
+    method,
+    headers: { Authorization: "Bearer test-token" }
+  });
+  return handleApiRequest(request, env, new URL(request.url), { waitUntil: () => {} });
+}
+
+test("lead events reach the webhook signed, and skip-traced owners land in the CRM exports", async (t) => {
+  const { env, http } = setup(t, {
+    files: {
+      "expired-listings/2026-10-19.csv": readFixture("har/har-expired-sample.csv"),
+      // Rosa's landline is on the federal registry: flagged, not suppressed
+      "dnc/federal-713.csv": "713,5550199\n"
+    },
+    fixtures: ["anthropic-analysis", "slack-webhook", "tracerfy-submit", "tracerfy-queue-complete", "tracerfy-results", "crm-webhook"],
+    config: {
+      version: "test-1",
+      webhooks: [{ name: "crm", url: CRM_URL, minScore: 4.5, fields: { score: "urgencyScore", urgencyScore: null } }],
+      exports: { fields: { followupboss: { "Urgency": "urgencyScore", "Notes": null } } }
+    }
+  });
+  
+  await refreshDncLists(env);
+  await processExpiredListings(env);
+  
+  // Only the four leads scoring 4.5+ go to this webhook
+  const created = http.callsTo(CRM_URL);
+  assert.deepEqual(created.map(call => call.json.lead.address), [
+    "4518 Merrimac St", "11422 Sagedowne Ln", "1207 W Cottage St", "910 Wakefield Dr N"
+  ]);
+  assert.equal(created[0].json.event, "lead.created");
+  assert.equal(created[0].json.lead.score, 6);
+  assert.equal("urgencyScore" in created[0].json.lead, false);
+  
+  const [, timestamp, signature] = created[0].headers.get("X-Lead-Signature").match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+  assert.equal(signature, await signWebhookBody("whsec-test", timestamp, created[0].body));
+  assert.equal(created[0].headers.get("X-Lead-Event"), "lead.created");
+  
+  // Nobody to call yet, so nothing to export
+  assert.equal((await env.R2_BUCKET.list({ prefix: "crm-exports/" })).objects.length, 0);
+  
+  await processSkipTraceJobs(env);
+  await processLeadIntegrations(env);
+  
+  const found = http.callsTo(CRM_URL).filter(call => call.json.event === "lead.contact_found");
+  assert.deepEqual(found.map(call => [call.json.lead.id, call.json.lead.ownerPhone]), [[1, "7135550142"], [3, "8325550117"]]);
+  
+  const fub = await (await env.R2_BUCKET.get("crm-exports/skip-trace-job-1/followupboss.csv")).text();
+  const [header, rosa, henry] = fub.trim().split("\n");
+  assert.equal(header, '"First Name","Last Name","Email","Phone","Address","City","State","Zip","Stage","Source","Tags","Urgency"');
+  assert.match(rosa, /^"Rosa","Delgado","rosa\.delgado@example\.com","7135550142","4518 Merrimac St",.*,"6"$/);
+  assert.match(henry, /^"Henry","Okafor","","8325550117"/);
+  
+  const kvcore = await (await env.R2_BUCKET.get("crm-exports/skip-trace-job-1/kvcore.csv")).text();
+  assert.match(kvcore.split("\n")[0], /"Cell Phone".*"Deal Type"/);
+  
+  const vcards = await (await env.R2_BUCKET.get("crm-exports/skip-trace-job-1/leads.vcf")).text();
+  assert.equal(vcards.match(/BEGIN:VCARD/g).length, 2);
+  assert.match(vcards, /\r\nFN:Henry Okafor\r\n/);
+  assert.match(vcards, /\r\nADR;TYPE=HOME:;;1207 W Cottage St;Houston;TX;77009;USA\r\n/);
+  assert.match(vcards, /\r\nTEL;TYPE=CELL:7135550142\r\n/);
+  assert.doesNotMatch(vcards, /7135550199/);
+  assert.match(
+    formatVCard({ id: 9, ownerPhones: [{ number: "7135550199", type: "landline", dnc: [] }] }),
+    /\r\nTEL;TYPE=HOME:7135550199\r\n/
+  );
+  
+  await updateLeadRecord(env.DB, 3, { status: "contacted", source: "api" });
+  await processLeadIntegrations(env);
+  
+  const [changed] = http.callsTo(CRM_URL).filter(call => call.json.event === "lead.status_changed");
+  assert.deepEqual(changed.json.change, { from: "new", to: "contacted", source: "api" });
+  assert.equal(changed.json.lead.status, "contacted");
+  assert.deepEqual(http.unmatched, []);
+});
+
+test("a failing webhook backs off, is dead-lettered after its last retry and can be retried", async (t) => {
+  const { env, http } = setup(t, {
+    fixtures: ["crm-webhook-down"],
+    config: { version: "test-1", webhooks: [{ name: "crm", url: CRM_DOWN_URL, events: ["lead.created"] }] }
+  });
+  await ensureSchema(env.DB);
+  const listing = {
+    leadKey: "mls:81234567",
+    mlsNumber: "81234567",
+    address: "4518 Merrimac St",
+    city: "Houston",
+    zip: "77093",
+    csvFilename: "expired-listings/2026-10-19.csv",
+    urgencyScore: 8.5
+  };
+  await storeLeads(env.DB, [listing]);
+  
+  await processLeadIntegrations(env);
+  
+  const first = await env.DB.prepare(
+    `SELECT state, attempts, response_status, next_attempt_at > datetime('now') AS backing_off FROM webhook_deliveries`
+  ).first();
+  assert.deepEqual({ ...first }, { state: "pending", attempts: 1, response_status: 503, backing_off: 1 });
+  
+  // A tick before the retry is due leaves it alone
+  await processLeadIntegrations(env);
+  assert.equal(http.callsTo(CRM_DOWN_URL).length, 1);
+  
+  for (let i = 0; i < 5; i++) {
+    await env.DB.prepare(`UPDATE webhook_deliveries SET next_attempt_at = datetime('now')`).run();
+    await processLeadIntegrations(env);
+  }
+  assert.equal(http.callsTo(CRM_DOWN_URL).length, 6);
+  
+  const deadLetters = await (await apiRequest(env, "GET", "/api/webhooks/deliveries?state=dead")).json();
+  assert.equal(deadLetters.total, 1);
+  const [dead] = deadLetters.deliveries;
+  assert.equal(dead.attempts, 6);
+  assert.equal(dead.error, "HTTP 503");
+  
+  const response = await apiRequest(env, "POST", `/api/webhooks/deliveries/${dead.id}/retry`);
+  assert.equal(response.status, 202);
+  const retried = await response.json();
+  assert.equal(retried.state, "pending");
+  assert.equal(retried.attempts, 0);
+  
+  await processLeadIntegrations(env);
+  assert.equal(http.callsTo(CRM_DOWN_URL).length, 7);
+});
+
+test("lead.created is written in the batch that stores the lead, and not when that batch fails", async (t) => {
+  const { env } = setup(t, { config: { version: "test-1", webhooks: [] } });
+  await ensureSchema(env.DB);
+  const listings = ["4518 Merrimac St", "1207 W Cottage St"].map((address, i) => ({
+    leadKey: `mls:8123456${i}`,
+    mlsNumber: `8123456${i}`,
+    address,
+    zip: "77009",
+    csvFilename: "expired-listings/2026-10-19.csv",
+    urgencyScore: 7,
+    ownerName: "Rosa Delgado",
+    analysis: { positioningAngle: "Price it right this time" }
+  }));
+  await storeLeads(env.DB, listings);
+  
+  const { results: events } = await env.DB.prepare(`SELECT lead_id, event FROM lead_events ORDER BY id`).all();
+  assert.deepEqual(events.map(row => ({ ...row })), listings.map(l => ({ lead_id: l.leadId, event: "lead.created" })));
+  
+  // D1 rejects undefined bindings, so this lead's batch fails as a whole
+  const broken = { ...listings[0], leadId: undefined, leadKey: "mls:89999999", urgencyScore: undefined };
+  await storeLeads(env.DB, [broken]);
+  assert.equal(broken.leadId, undefined);
+  assert.equal(await env.DB.prepare(`SELECT COUNT(*) AS count FROM lead_events`).first("count"), 2);
+});
@@ -0,0 +1,145 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyMigrations, getSchemaStatus } from "../src/migrations.js";
+import { getProcessedFiles } from "../src/leads.js";
+import { LEAD_SELECT_SQL, readLeadRow, storeLeads } from "../src/storage.js";
+import { createD1 } from "./helpers/d1.js";
+
+// Rows as the single-file worker wrote them to the shared intelligence table
+const LEGACY_ROWS = [
+  {
+    id: 7,
+    topic_id: 1,
+    title: "4518 Merrimac St, Houston",
+    relevance_score: 8.5,
+    status: "contacted",
+    gathered_at: "2026-09-02 13:05:11",
+    summary: {
+      csv_filename: "expired-listings/2026-09-02.csv",
+      leadKey: "mls:81234567",
+      mlsNumber: "81234567",
+      address: "4518 Merrimac St",
+      city: "Houston",
+      zip: "77093",
+      price: "$249,900",
+      dom: "187",
+      expiredDate: "08/30/2026",
+      previousAgent: "Dana Whitfield",
+      ownerName: "R. Alvarez",
+      ownerPhone: "7135550142",
+      ownerEmail: null,
+      notes: [{ text: "Left voicemail", at: "2026-09-03T15:00:00Z" }],
+      analysis: { failureReasons: ["Overpriced"], firstContactChannel: "call" }
+    }
+  },
+  {
+    // Topic 2 belongs to another worker and stays where it is
+    id: 8,
+    topic_id: 2,
+    title: "Rate watch",
+    relevance_score: 3,
+    status: "new",
+    gathered_at: "2026-09-02 13:06:00",
+    summary: { note: "not a lead" }
+  },
+  {
+    // From before lead keys: only the title carries the address
+    id: 9,
+    topic_id: 1,
+    title: "1207 W Cottage St, Houston",
+    relevance_score: 7,
+    status: "new",
+    gathered_at: "2026-09-02 13:05:12",
+    summary: { csv_filename: "expired-listings/2026-09-02.csv", zip: "77008", dom: "96" }
+  }
+];
+
+function createLegacyDb() {
+  const db = createD1();
+  const insert = db.sqlite.prepare(
+    `INSERT INTO intelligence (id, topic_id, title, summary, relevance_score, status, gathered_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  );
+  for (const row of LEGACY_ROWS) {
+    insert.run(row.id, row.topic_id, row.title, JSON.stringify(row.summary), row.relevance_score, row.status, row.gathered_at);
+  }
+  return db;
+}
+
+async function readLeads(db) {
+  const { results } = await db.prepare(`${LEAD_SELECT_SQL} ORDER BY l.id`).all();
+  return results.map(readLeadRow);
+}
+
+test("migrations copy expired-listing intelligence rows into the lead tables, keeping ids", async () => {
+  const db = createLegacyDb();
+  
+  assert.deepEqual((await applyMigrations(db)).slice(0, 3), [1, 2, 3]);
+  
+  const leads = await readLeads(db);
+  assert.deepEqual(leads.map(lead => lead.id), [7, 9]);
+  
+  const [merrimac, cottage] = leads;
+  assert.equal(merrimac.status, "contacted");
+  assert.equal(merrimac.urgencyScore, 8.5);
+  assert.equal(merrimac.createdAt, "2026-09-02 13:05:11");
+  assert.equal(merrimac.summary.dom, 187);
+  assert.equal(merrimac.summary.expiredDate, "2026-08-30");
+  assert.equal(merrimac.summary.ownerPhone, "7135550142");
+  assert.equal(merrimac.summary.sourceFile, "expired-listings/2026-09-02.csv");
+  assert.deepEqual(merrimac.summary.notes, LEGACY_ROWS[0].summary.notes);
+  assert.equal(merrimac.summary.analysis.firstContactChannel, "call");
+  
+  const listPrice = await db.prepare(`SELECT list_price FROM leads WHERE id = 7`).first("list_price");
+  assert.equal(listPrice, 249900);
+  const agentKey = await db.prepare(`SELECT listing_agent_key FROM leads WHERE id = 7`).first("listing_agent_key");
+  assert.equal(agentKey, "dana whitfield");
+  
+  assert.equal(cottage.summary.address, "1207 W Cottage St");
+  assert.equal(cottage.summary.leadKey, "addr:1207 w cottage st|77008");
+  assert.equal(cottage.summary.ownerPhone, undefined);
+  const contacts = await db.prepare(`SELECT COUNT(*) AS count FROM contacts`).first("count");
+  assert.equal(contacts, 1);
+  
+  assert.ok((await getProcessedFiles(db)).has("expired-listings/2026-09-02.csv"));
+  
+  const legacy = await db.prepare(`SELECT COUNT(*) AS count FROM intelligence`).first("count");
+  assert.equal(legacy, 3);
+});
+
+test("re-applying migrations is a no-op and new leads take ids after the backfilled ones", async () => {
+  const db = createLegacyDb();
+  await applyMigrations(db);
+  
+  assert.deepEqual(await applyMigrations(db), []);
+  const status = await getSchemaStatus(db);
+  assert.equal(status.version, status.applied.length);
+  assert.deepEqual(status.pending, []);
+  assert.equal((await readLeads(db)).length, 2);
+  
+  const listing = {
+    leadKey: "mls:87890123",
+    mlsNumber: "87890123",
+    address: "11422 Sagedowne Ln",
+    city: "Houston",
+    zip: "77089",
+    csvFilename: "expired-listings/2026-10-19.csv",
+    urgencyScore: 7.5
+  };
+  await storeLeads(db, [listing]);
+  assert.equal(listing.leadId, 10);
+  
+  const sighting = await db.prepare(`SELECT intelligence_id FROM listing_sightings WHERE lead_key = ?`)
+    .bind(listing.leadKey).first("intelligence_id");
+  assert.equal(sighting, 10);
+});
+
+test("migrations that add columns can be applied again by a racing invocation", async () => {
+  const db = createLegacyDb();
+  await applyMigrations(db);
+  
+  // Another isolate got to these first, but this one never saw them recorded
+  await db.prepare(`DELETE FROM schema_migrations WHERE version >= 5`).run();
+  assert.deepEqual((await applyMigrations(db)).slice(0, 3), [5, 6, 7]);
+  assert.deepEqual((await getSchemaStatus(db)).pending, []);
+});
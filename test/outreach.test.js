@@ -0,0 +1,55 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { processExpiredListings } from "../src/pipeline.js";
+import { handleApiRequest } from "../src/api.js";
+import { setHttpFetch } from "../src/http.js";
+import { createTestEnv, readFixture, FROZEN_NOW } from "./helpers/env.js";
+
+const RESEND_URL = "https://api.resend.com/emails";
+
+function patchDraft(env, id, body) {
+  const request = new Request(`https://worker.example.com/api/drafts/${id}`, {
+    method: "PATCH",
+    headers: { Authorization: "Bearer test-token", "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  return handleApiRequest(request, env, new URL(request.url), { waitUntil: () => {} });
+}
+
+test("approving the same draft twice sends it once", async (t) => {
+  mock.timers.enable({ apis: ["Date"], now: FROZEN_NOW });
+  const { env, http, restore } = createTestEnv({
+    files: { "expired-listings/2026-10-19.csv": readFixture("har/har-expired-sample.csv") },
+    fixtures: ["anthropic-analysis", "slack-webhook", "tracerfy-submit", "tracerfy-queue-complete", "tracerfy-results"],
+    vars: { EMAIL_SENDER: "resend", RESEND_API_KEY: "re-test", EMAIL_FROM: "bernard@example.com" }
+  });
+  t.after(() => {
+    restore();
+    mock.timers.reset();
+  });
+  await processExpiredListings(env);
+  
+  let sends = 0;
+  setHttpFetch(async (url, init) => {
+    if (String(url).startsWith(RESEND_URL)) {
+      sends++;
+      return Response.json({ id: `re_${sends}` });
+    }
+    return http.fetch(url, init);
+  });
+  const draft = await env.DB.prepare(
+    `INSERT INTO outreach_drafts (intelligence_id, channel, recipient, subject, body) VALUES (1, 'email', 'owner@example.com', 'Your listing', 'Hello')`
+  ).run();
+  const id = draft.meta.last_row_id;
+  
+  // A double click: both requests read the draft as pending
+  const responses = await Promise.all([patchDraft(env, id, { action: "approve" }), patchDraft(env, id, { action: "approve" })]);
+  assert.deepEqual(responses.map(r => r.status).sort(), [200, 409]);
+  assert.equal(sends, 1);
+  
+  const rejected = await patchDraft(env, id, { action: "reject" });
+  assert.equal(rejected.status, 409);
+  
+  const row = await env.DB.prepare("SELECT status, message_id FROM outreach_drafts WHERE id = ?").bind(id).first();
+  assert.deepEqual({ ...row }, { status: "sent", message_id: "re_1" });
+});
@@ -0,0 +1,191 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { processExpiredListings } from "../src/pipeline.js";
+import { processSkipTraceJobs } from "../src/skip-trace.js";
+import { tracerfyProvider } from "../src/tracerfy.js";
+import { startPipelineRun } from "../src/pipeline-runs.js";
+import { updateLeadRecord } from "../src/leads.js";
+import { setHttpFetch } from "../src/http.js";
+import { createTestEnv, readFixture, FROZEN_NOW } from "./helpers/env.js";
+
+const ANTHROPIC_URL = "https://api.anthropic.com/v1/messages";
+
+function setup(t) {
+  mock.timers.enable({ apis: ["Date"], now: FROZEN_NOW });
+  const harness = createTestEnv({
+    files: { "expired-listings/2026-10-19.csv": readFixture("har/har-expired-sample.csv") },
+    fixtures: ["anthropic-analysis", "slack-webhook", "tracerfy-submit", "tracerfy-queue-complete", "tracerfy-results"],
+    vars: { TRACERFY_API_KEY: "tracerfy-test" }
+  });
+  t.after(() => {
+    harness.restore();
+    mock.timers.reset();
+  });
+  return harness;
+}
+
+test("an export runs end to end: parse, score, analyze, store, report and skip trace", async (t) => {
+  const { env, http, slackMessages } = setup(t);
+  
+  await processExpiredListings(env);
+  
+  const { results: leads } = await env.DB.prepare(
+    "SELECT l.id, l.urgency_score, l.expired_date, a.analysis FROM leads l JOIN analyses a ON a.lead_id = l.id ORDER BY l.id"
+  ).all();
+  assert.equal(leads.length, 6);
+  assert.deepEqual(leads.map(lead => lead.urgency_score), [6, 5, 4.5, 4.5, 3.5, 2]);
+  assert.equal(leads[0].expired_date, "2026-10-16");
+  assert.equal(JSON.parse(leads[0].analysis).firstContactChannel, "call");
+  
+  const file = await env.DB.prepare("SELECT COUNT(*) AS leads FROM leads l JOIN source_files f ON f.id = l.source_file_id WHERE f.filename = ?")
+    .bind("expired-listings/2026-10-19.csv").first();
+  assert.equal(file.leads, 6);
+  
+  assert.equal(http.callsTo(ANTHROPIC_URL).length, 6);
+  assert.equal(slackMessages().length, 1);
+  
+  const run = await env.DB.prepare("SELECT status, new_leads, analyzed, stored FROM pipeline_runs").first();
+  assert.deepEqual({ ...run }, { status: "completed", new_leads: 6, analyzed: 6, stored: 6 });
+  
+  const job = await env.DB.prepare("SELECT state, queue_id, lead_count FROM skip_trace_jobs").first();
+  assert.deepEqual({ ...job }, { state: "pending", queue_id: "48213", lead_count: 6 });
+  
+  // The next frequent cron tick picks up the finished Tracerfy queue
+  await processSkipTraceJobs(env);
+  
+  const finished = await env.DB.prepare("SELECT state, result_count, enriched_count FROM skip_trace_jobs").first();
+  assert.deepEqual({ ...finished }, { state: "completed", result_count: 3, enriched_count: 2 });
+  
+  const { results: phones } = await env.DB.prepare(
+    "SELECT lead_id, phone FROM contacts WHERE phone IS NOT NULL ORDER BY lead_id"
+  ).all();
+  assert.deepEqual(phones, [{ lead_id: 1, phone: "7135550142" }, { lead_id: 3, phone: "8325550117" }]);
+  
+  assert.equal(slackMessages().length, 2);
+  assert.deepEqual(http.unmatched, []);
+});
+
+test("a processed export is not analyzed again", async (t) => {
+  const { env, http } = setup(t);
+  
+  await processExpiredListings(env);
+  const callsAfterFirstRun = http.calls.length;
+  await processExpiredListings(env);
+  
+  assert.equal(http.calls.length, callsAfterFirstRun);
+  const { count } = await env.DB.prepare("SELECT COUNT(*) AS count FROM leads").first();
+  assert.equal(count, 6);
+});
+
+test("a failed Claude call leaves the lead stored without analysis and the run partial", async (t) => {
+  const { env, http } = setup(t);
+  // Claude is overloaded; everything else still answers from fixtures
+  setHttpFetch(async (url, init) => {
+    if (String(url).startsWith(ANTHROPIC_URL)) return new Response("overloaded", { status: 529 });
+    return http.fetch(url, init);
+  });
+  
+  await processExpiredListings(env);
+  
+  const run = await env.DB.prepare("SELECT status, analysis_failed, stored FROM pipeline_runs").first();
+  assert.equal(run.status, "partial");
+  assert.equal(run.stored, 6);
+  assert.ok(run.analysis_failed > 0);
+});
+
+test("Claude calls stop once the budget no longer covers a call's worst case", async (t) => {
+  const { env, http } = setup(t);
+  // Room for one worst-case call at a time, though each actual call costs far less
+  env.CLAUDE_MONTHLY_BUDGET_USD = "0.05";
+  
+  await processExpiredListings(env);
+  
+  const usage = await env.DB.prepare("SELECT requests, skipped_for_budget, cost_usd FROM claude_usage").first();
+  assert.equal(usage.requests, http.callsTo(ANTHROPIC_URL).length);
+  assert.equal(usage.requests + usage.skipped_for_budget, 6);
+  assert.ok(usage.skipped_for_budget > 0);
+  assert.ok(usage.cost_usd <= 0.05);
+});
+
+test("a retry sends the leads a failed attempt stored on to skip trace", async (t) => {
+  const { env } = setup(t);
+  const file = "expired-listings/2026-10-19.csv";
+  // The first attempt dies submitting the skip trace, after storing every lead
+  const submit = t.mock.method(tracerfyProvider, "submit", async () => {
+    throw new Error("Tracerfy client crashed");
+  });
+  
+  await processExpiredListings(env);
+  
+  const failed = await env.DB.prepare("SELECT status, stage, stored FROM pipeline_runs").first();
+  assert.deepEqual({ ...failed }, { status: "failed", stage: "skip_trace", stored: 6 });
+  assert.equal(await env.DB.prepare("SELECT COUNT(*) AS count FROM skip_trace_jobs").first("count"), 0);
+  const countTouches = () => env.DB.prepare("SELECT COUNT(*) AS count FROM lead_touches").first("count");
+  const touchesBefore = await countTouches();
+  
+  submit.mock.restore();
+  const retry = await startPipelineRun(env.DB, file, "retry");
+  await processExpiredListings(env, { trigger: "retry", queuedRuns: [retry] });
+  
+  const run = await env.DB.prepare("SELECT status, already_processed, stored FROM pipeline_runs WHERE id = ?").bind(retry.id).first();
+  assert.deepEqual({ ...run }, { status: "completed", already_processed: 6, stored: 0 });
+  const job = await env.DB.prepare("SELECT state, lead_count FROM skip_trace_jobs").first();
+  assert.deepEqual({ ...job }, { state: "pending", lead_count: 6 });
+  
+  await processSkipTraceJobs(env);
+  const finished = await env.DB.prepare("SELECT state, enriched_count FROM skip_trace_jobs").first();
+  assert.deepEqual({ ...finished }, { state: "completed", enriched_count: 2 });
+  
+  // Touches the first attempt scheduled aren't scheduled twice
+  assert.equal(await countTouches(), touchesBefore);
+  
+  // A later retry of the file doesn't trace the same leads again
+  const again = await startPipelineRun(env.DB, file, "retry");
+  await processExpiredListings(env, { trigger: "retry", queuedRuns: [again] });
+  assert.equal(await env.DB.prepare("SELECT COUNT(*) AS count FROM skip_trace_jobs").first("count"), 1);
+});
+
+test("an owner who relists under a new MLS number updates the expired lead instead of becoming a new one", async (t) => {
+  const { env, http, slackMessages } = setup(t);
+  await processExpiredListings(env);
+  await updateLeadRecord(env.DB, 3, { status: "appointment", source: "api" });
+  
+  // A week later: Merrimac is back with another brokerage under a new MLS
+  // number, Cottage is active again (the agent's appointment stands) and a
+  // house we never had a lead for shows up already under contract
+  const [header, merrimac, cottage] = readFixture("har/har-expired-sample.csv").split("\n");
+  const rows = [
+    merrimac.replace('"81234567"', '"89000001"').replace('"Expired"', '"Active"')
+      .replace('"Dana Whitfield"', '"Jo Park"').replace('"Bayou City Realty"', '"Gulf Coast Realty"'),
+    cottage.replace('"Expired"', '"Active"'),
+    merrimac.replace('"81234567"', '"89000002"').replace('"Expired"', '"Under Contract"').replace('"4518"', '"4600"')
+  ];
+  await env.R2_BUCKET.put("expired-listings/2026-10-26.csv", [header, ...rows].join("\n"));
+  const analyzedBefore = http.callsTo(ANTHROPIC_URL).length;
+  
+  await processExpiredListings(env);
+  
+  const { count } = await env.DB.prepare("SELECT COUNT(*) AS count FROM leads").first();
+  assert.equal(count, 6);
+  assert.equal(http.callsTo(ANTHROPIC_URL).length, analyzedBefore);
+  
+  const relisted = await env.DB.prepare("SELECT status, lead_key, relisted_agent, relisted_office FROM leads WHERE id = 1").first();
+  assert.deepEqual({ ...relisted }, {
+    status: "relisted",
+    lead_key: "mls:89000001",
+    relisted_agent: "Jo Park",
+    relisted_office: "Gulf Coast Realty"
+  });
+  assert.equal(await env.DB.prepare("SELECT status FROM leads WHERE id = 3").first("status"), "appointment");
+  
+  const { results: history } = await env.DB.prepare(
+    "SELECT intelligence_id, from_status, to_status, source FROM lead_status_history WHERE source = 'pipeline'"
+  ).all();
+  assert.deepEqual(history.map(row => ({ ...row })), [{ intelligence_id: 1, from_status: "new", to_status: "relisted", source: "pipeline" }]);
+  
+  // The under-contract house is kept as history only, and nobody is reported
+  const unmatched = await env.DB.prepare("SELECT intelligence_id FROM listing_sightings WHERE mls_number = '89000002'").first();
+  assert.equal(unmatched.intelligence_id, null);
+  assert.equal(slackMessages().length, 2);
+  assert.doesNotMatch(JSON.stringify(slackMessages()[1]), /Merrimac|Cottage/);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ensureSchema } from "../src/migrations.js";
+import { storeLeads } from "../src/storage.js";
+import { attachListingProfiles, loadListingProfiles } from "../src/profiles.js";
+import { buildLeadBlocks } from "../src/slack.js";
+import { createD1 } from "./helpers/d1.js";
+
+function expiredListing(i, overrides) {
+  return {
+    leadKey: `mls:8000000${i}`,
+    mlsNumber: `8000000${i}`,
+    address: `${i}00 Main St`,
+    city: "Houston",
+    zip: "77008",
+    daysOnMarket: "120",
+    csvFilename: "expired-listings/2026-10-12.csv",
+    urgencyScore: 5,
+    ...overrides
+  };
+}
+
+test("agent and brokerage profiles match names however the export spaces or cases them", async () => {
+  const db = createD1();
+  await ensureSchema(db);
+  await storeLeads(db, [
+    expiredListing(1, { listingAgent: "Dana  Whitfield", listingOffice: "Bayou City Realty " }),
+    expiredListing(2, { listingAgent: "dana whitfield", listingOffice: "BAYOU  CITY REALTY" })
+  ]);
+  
+  const listing = {
+    ...expiredListing(3),
+    listingAgent: "Dana Whitfield",
+    listingOffice: "Bayou City Realty",
+    price: "249,900",
+    bedrooms: "3",
+    bathrooms: "2",
+    cumulativeDaysOnMarket: "120"
+  };
+  attachListingProfiles(listing, await loadListingProfiles(db));
+  
+  assert.equal(listing.agentProfile.expiredCount, 2);
+  assert.equal(listing.officeProfile.expiredCount, 2);
+  
+  const [section] = buildLeadBlocks(listing, 1);
+  assert.match(section.text.text, /👤 Dana Whitfield: 2 expireds on record, avg 120 DOM, 0% relisted with another agent\n/);
+  assert.match(section.text.text, /🏢 Bayou City Realty: 2 expireds on record, avg 120 DOM, 0% relisted with another brokerage\n/);
+});
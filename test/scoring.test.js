@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SCORING_RUBRIC, calculateUrgencyScore, getScoringInputs } from "../src/scoring.js";
+import { FROZEN_NOW } from "./helpers/env.js";
+
+const HOT_LISTING = {
+  daysOnMarket: "200",
+  cumulativeDaysOnMarket: "450",
+  expiredDate: "2026-10-18",
+  price: "$140,000",
+  yearBuilt: "2015",
+  bedrooms: "3",
+  comps: { priceGapPct: 20 },
+  appraisal: { absentee: true, purchaseYear: 2005 },
+  timeline: { totalReductionPct: 12.5, relistCount: 2 }
+};
+
+test("getScoringInputs derives ratios, ages and appraisal inputs against the given clock", () => {
+  const inputs = getScoringInputs(HOT_LISTING, FROZEN_NOW);
+  assert.equal(inputs.cdomRatio, 2.25);
+  assert.equal(inputs.daysSinceExpired, 1);
+  assert.equal(inputs.price, 140000);
+  assert.equal(inputs.propertyAge, 11);
+  assert.equal(inputs.absenteeOwner, 1);
+  assert.equal(inputs.ownershipYears, 21);
+  assert.equal(inputs.priceReductionPct, 12.5);
+  assert.equal(inputs.relistCount, 2);
+});
+
+test("getScoringInputs leaves comps and appraisal inputs null when unmatched", () => {
+  const inputs = getScoringInputs({ daysOnMarket: "0", cumulativeDaysOnMarket: "12" }, FROZEN_NOW);
+  assert.equal(inputs.cdomRatio, Infinity);
+  assert.equal(inputs.daysSinceExpired, 999);
+  assert.equal(inputs.priceGapPct, null);
+  assert.equal(inputs.absenteeOwner, null);
+  assert.equal(inputs.ownershipYears, null);
+  assert.equal(inputs.priceReductionPct, null);
+  assert.equal(inputs.relistCount, null);
+});
+
+test("the default rubric's top bands add up to its maxScore", () => {
+  const maxPossible = DEFAULT_SCORING_RUBRIC.factors
+    .reduce((total, factor) => total + Math.max(...factor.bands.map(band => band.points)), 0);
+  assert.equal(maxPossible, DEFAULT_SCORING_RUBRIC.maxScore);
+});
+
+test("calculateUrgencyScore awards top bands", () => {
+  const { score, breakdown } = calculateUrgencyScore(HOT_LISTING, DEFAULT_SCORING_RUBRIC, FROZEN_NOW);
+  assert.equal(score, 10);
+  assert.deepEqual(breakdown, {
+    motivation: 1.5,
+    freshness: 2,
+    repeatFailure: 1,
+    pricePoint: 1.5,
+    propertyAge: 0.5,
+    bedrooms: 0.5,
+    overpricing: 1,
+    absentee: 0.5,
+    ownerTenure: 0.5,
+    priceReductions: 0.5,
+    relists: 0.5
+  });
+});
+
+test("calculateUrgencyScore gives nothing for unmatched bands and missing inputs", () => {
+  const listing = {
+    daysOnMarket: "30",
+    cumulativeDaysOnMarket: "30",
+    expiredDate: "2026-09-01",
+    price: "$700,000",
+    yearBuilt: "1970",
+    bedrooms: "1"
+  };
+  const { score, breakdown } = calculateUrgencyScore(listing, DEFAULT_SCORING_RUBRIC, FROZEN_NOW);
+  assert.equal(score, 0);
+  assert.equal(breakdown.motivation, 0);
+  assert.equal(breakdown.repeatFailure, 0);
+  assert.equal(breakdown.freshness, 0);
+  assert.equal(breakdown.overpricing, 0);
+  assert.equal(breakdown.absentee, 0);
+});
+
+test("calculateUrgencyScore scores against a custom rubric and caps at its maximum", () => {
+  const rubric = {
+    version: "test",
+    maxScore: 5,
+    factors: [{ id: "price", input: "price", bands: [{ lt: 200000, points: 3 }] }]
+  };
+  assert.deepEqual(calculateUrgencyScore(HOT_LISTING, rubric, FROZEN_NOW), { score: 3, breakdown: { price: 3 } });
+  assert.equal(calculateUrgencyScore(HOT_LISTING, { ...rubric, maxScore: 2 }, FROZEN_NOW).score, 2);
+});
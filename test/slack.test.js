@@ -0,0 +1,88 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { processExpiredListings } from "../src/pipeline.js";
+import { processSkipTraceJobs } from "../src/skip-trace.js";
+import { handleSlackRequest } from "../src/slack-interactivity.js";
+import { ensureSchema } from "../src/migrations.js";
+import { storeLeads } from "../src/storage.js";
+import { createTestEnv, readFixture, FROZEN_NOW } from "./helpers/env.js";
+
+const SIGNING_SECRET = "slack-signing-test";
+
+// Posts a form body to a Slack endpoint, signed the way Slack signs it
+async function slackRequest(env, path, params) {
+  const body = new URLSearchParams(params).toString();
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const key = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(SIGNING_SECRET), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(`v0:${timestamp}:${body}`));
+  const request = new Request(`https://worker.example.com${path}`, {
+    method: "POST",
+    headers: {
+      "X-Slack-Request-Timestamp": timestamp,
+      "X-Slack-Signature": `v0=${Buffer.from(mac).toString("hex")}`
+    },
+    body
+  });
+  return handleSlackRequest(request, env, { waitUntil: () => {} }, path);
+}
+
+async function slackCommand(env, text) {
+  const response = await slackRequest(env, "/slack/commands", { command: "/expireds", text });
+  return JSON.stringify(await response.json());
+}
+
+test("/expireds leaves out phones that went on a DNC list after skip trace", async (t) => {
+  mock.timers.enable({ apis: ["Date"], now: FROZEN_NOW });
+  const { env, restore } = createTestEnv({
+    files: { "expired-listings/2026-10-19.csv": readFixture("har/har-expired-sample.csv") },
+    fixtures: ["anthropic-analysis", "slack-webhook", "tracerfy-submit", "tracerfy-queue-complete", "tracerfy-results"],
+    vars: { TRACERFY_API_KEY: "tracerfy-test", SLACK_SIGNING_SECRET: SIGNING_SECRET }
+  });
+  t.after(() => {
+    restore();
+    mock.timers.reset();
+  });
+  await processExpiredListings(env);
+  await processSkipTraceJobs(env);
+  
+  assert.match(await slackCommand(env, ""), /7135550142/);
+  
+  await env.DB.prepare(`INSERT INTO dnc_numbers (phone, list, source_file) VALUES (?, ?, ?)`)
+    .bind("7135550142", "internal", "api").run();
+  
+  const reply = await slackCommand(env, "");
+  assert.doesNotMatch(reply, /7135550142/);
+  assert.match(reply, /8325550117/);
+});
+
+test("the Door knocked button completes the lead's due door-knock touch", async (t) => {
+  const { env, restore } = createTestEnv({ vars: { SLACK_SIGNING_SECRET: SIGNING_SECRET } });
+  t.after(restore);
+  await ensureSchema(env.DB);
+  await storeLeads(env.DB, [{
+    leadKey: "mls:81234567",
+    mlsNumber: "81234567",
+    address: "4518 Merrimac St",
+    city: "Houston",
+    zip: "77093",
+    csvFilename: "expired-listings/2026-10-19.csv",
+    urgencyScore: 8
+  }]);
+  await env.DB.prepare(
+    `INSERT INTO lead_touches (intelligence_id, cadence, step, channel, due_date) VALUES (1, 'expired-default-1/hot', 3, 'door_knock', date('now'))`
+  ).run();
+  
+  const payload = {
+    type: "block_actions",
+    user: { id: "U123", username: "dana" },
+    actions: [{ action_id: "lead_door_knock", value: "1" }]
+  };
+  const response = await slackRequest(env, "/slack/interactions", { payload: JSON.stringify(payload) });
+  assert.equal(response.status, 200);
+  
+  const touch = await env.DB.prepare("SELECT status FROM lead_touches WHERE intelligence_id = 1").first("status");
+  assert.equal(touch, "done");
+  assert.equal(await env.DB.prepare("SELECT status FROM leads WHERE id = 1").first("status"), "contacted");
+});
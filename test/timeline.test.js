@@ -0,0 +1,104 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { processExpiredListings } from "../src/pipeline.js";
+import { handleApiRequest } from "../src/api.js";
+import { buildPropertyTimeline, formatTimelineSummary } from "../src/timeline.js";
+import { createTestEnv, readFixture, FROZEN_NOW } from "./helpers/env.js";
+
+const ANTHROPIC_URL = "https://api.anthropic.com/v1/messages";
+
+// 4518 Merrimac St across two listings: a cut and an expiry with one
+// brokerage, then a relist elsewhere that the export says was cut twice
+const MERRIMAC_SIGHTINGS = [
+  { csv_filename: "a.csv", seen_at: "2026-01-15 12:00:00", mls_number: "80000001", price: "$299,900", list_date: "2026-01-10", listing_status: "Active", listing_office: "Gulf Coast Realty" },
+  { csv_filename: "b.csv", seen_at: "2026-03-02 12:00:00", mls_number: "80000001", price: "$284,900", price_changed_at: "2026-03-01", listing_status: "Active", listing_office: "Gulf Coast Realty" },
+  { csv_filename: "c.csv", seen_at: "2026-04-11 12:00:00", mls_number: "80000001", price: "$284,900", listing_status: "Expired", status_changed_at: "2026-04-10", listing_office: "Gulf Coast Realty" },
+  { csv_filename: "d.csv", seen_at: "2026-10-19 12:00:00", mls_number: "81234567", price: "$249,900", list_date: "2026-04-15", original_price: "$279,900", previous_price: "$264,900", price_changed_at: "2026-08-20", listing_status: "Expired", status_changed_at: "2026-10-16", listing_office: "Bayou City Realty" }
+];
+
+test("buildPropertyTimeline follows price cuts, statuses and relists across exports", () => {
+  const timeline = buildPropertyTimeline(MERRIMAC_SIGHTINGS);
+  
+  assert.equal(timeline.originalPrice, 299900);
+  assert.equal(timeline.currentPrice, 249900);
+  assert.equal(timeline.priceCutCount, 4);
+  assert.equal(timeline.totalReductionPct, 16.7);
+  assert.equal(timeline.relistCount, 1);
+  assert.deepEqual(timeline.brokerages, ["Gulf Coast Realty", "Bayou City Realty"]);
+  assert.equal(timeline.exportCount, 4);
+  assert.equal(timeline.status, "Expired");
+  
+  assert.deepEqual(timeline.events.filter(e => e.type === "price").map(e => [e.date, e.from, e.to]), [
+    ["2026-03-01", 299900, 284900],
+    ["2026-04-15", 284900, 279900],
+    [null, 279900, 264900],
+    ["2026-08-20", 264900, 249900]
+  ]);
+  assert.deepEqual(timeline.events.filter(e => e.type === "status").map(e => [e.date, e.to]), [
+    ["2026-01-15", "Active"],
+    ["2026-04-10", "Expired"]
+  ]);
+  
+  assert.equal(
+    formatTimelineSummary(timeline),
+    "cut price 4 times, 16.7% total, relisted once, listed with 2 brokerages, still didn't sell"
+  );
+});
+
+test("a single unchanged listing has nothing to summarize", () => {
+  const timeline = buildPropertyTimeline(MERRIMAC_SIGHTINGS.slice(2, 3));
+  assert.equal(timeline.priceCutCount, 0);
+  assert.equal(timeline.totalReductionPct, 0);
+  assert.equal(timeline.relistCount, 0);
+  assert.equal(formatTimelineSummary(timeline), "");
+});
+
+test("an earlier active listing shows up in the expired lead's score, prompt and timeline", async (t) => {
+  mock.timers.enable({ apis: ["Date"], now: FROZEN_NOW });
+  const [header, merrimac] = readFixture("har/har-expired-sample.csv").split("\n");
+  // On the market with another brokerage in April: not a lead, but history
+  const earlier = merrimac
+    .replace('"81234567"', '"80000001"')
+    .replace('"Expired"', '"Active"')
+    .replace('"$249,900"', '"$299,900"')
+    .replace('"04/15/2026"', '"01/10/2026"')
+    .replace('"Bayou City Realty"', '"Gulf Coast Realty"');
+  const { env, http, restore } = createTestEnv({
+    files: {
+      "expired-listings/2026-04-12.csv": `${header}\n${earlier}\n`,
+      "expired-listings/2026-10-19.csv": readFixture("har/har-expired-sample.csv")
+    },
+    fixtures: ["anthropic-analysis", "slack-webhook", "tracerfy-submit", "tracerfy-queue-complete", "tracerfy-results"],
+    vars: { TRACERFY_API_KEY: "tracerfy-test" }
+  });
+  t.after(() => {
+    restore();
+    mock.timers.reset();
+  });
+  
+  await processExpiredListings(env);
+  
+  const { results: leads } = await env.DB.prepare(`SELECT id, mls_number, score_breakdown FROM leads ORDER BY id`).all();
+  assert.equal(leads.length, 6);
+  const lead = leads.find(row => row.mls_number === "81234567");
+  const breakdown = JSON.parse(lead.score_breakdown);
+  assert.equal(breakdown.priceReductions, 0.5);
+  assert.equal(breakdown.relists, 0.5);
+  
+  const prompts = http.callsTo(ANTHROPIC_URL).map(call => call.json.messages[0].content);
+  assert.ok(prompts.some(prompt => prompt.includes(
+    "Listing History: cut price once, 16.7% total, relisted once, listed with 2 brokerages, still didn't sell"
+  )));
+  
+  const request = new Request(`https://worker.example.com/api/leads/${lead.id}/timeline`, {
+    headers: { Authorization: "Bearer test-token" }
+  });
+  const response = await handleApiRequest(request, env, new URL(request.url), { waitUntil: () => {} });
+  assert.equal(response.status, 200);
+  const timeline = await response.json();
+  assert.equal(timeline.leadId, lead.id);
+  assert.equal(timeline.exportCount, 2);
+  assert.deepEqual(timeline.events.filter(e => e.type === "status").map(e => e.to), ["Active", "Expired"]);
+  assert.deepEqual(timeline.brokerages, ["Gulf Coast Realty", "Bayou City Realty"]);
+  assert.equal(timeline.summary, "cut price once, 16.7% total, relisted once, listed with 2 brokerages, still didn't sell");
+});
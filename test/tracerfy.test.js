@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchTracerfyResults, parseTracerfyResults } from "../src/tracerfy.js";
+import { readFixture } from "./helpers/env.js";
+
+const results = parseTracerfyResults(readFixture("http/tracerfy-results.csv"));
+
+test("parseTracerfyResults keys rows by normalized header", () => {
+  assert.equal(results.length, 3);
+  assert.equal(results[0].row_id, "1");
+  assert.equal(results[0].mobile_1, "(713) 555-0142");
+  assert.equal(results[2].first_name, "");
+});
+
+test("matchTracerfyResults matches by row id and collects phones mobiles first", () => {
+  const [rosa, henry, empty] = matchTracerfyResults([
+    { leadId: 1, address: "4518 Merrimac St" },
+    { leadId: 3, address: "1207 W Cottage St" },
+    { leadId: 5, address: "2400 Fountain View Dr 1402" }
+  ], results);
+  
+  assert.equal(rosa.matchStatus, "matched");
+  assert.equal(rosa.ownerName, "Rosa Delgado");
+  assert.deepEqual(rosa.ownerPhones, [
+    { number: "7135550142", type: "mobile" },
+    { number: "7135550199", type: "landline" }
+  ]);
+  assert.equal(rosa.ownerEmail, "rosa.delgado@example.com");
+  
+  assert.equal(henry.ownerMailingAddress, "PO Box 8812, Houston, TX 77208");
+  
+  // A row with no contact details is unmatched however well the address agrees
+  assert.equal(empty.matchStatus, "unmatched");
+  assert.deepEqual(empty.ownerPhones, []);
+});
+
+test("matchTracerfyResults falls back to the address when the row id is unknown", () => {
+  const [lead] = matchTracerfyResults([{ leadId: 99, address: "1207 West Cottage Street" }], results);
+  assert.equal(lead.matchStatus, "matched");
+  assert.equal(lead.ownerName, "Henry Okafor");
+});
+
+test("matchTracerfyResults leaves leads with no similar address unmatched", () => {
+  const [lead] = matchTracerfyResults([{ leadId: 99, address: "77 Nowhere Rd" }], results);
+  assert.equal(lead.matchStatus, "unmatched");
+  assert.equal(lead.ownerPhone, undefined);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../src/index.js";
+import { createTestEnv, readFixture } from "./helpers/env.js";
+
+test("a dry-run upload reports rejected rows by file line and writes nothing", async (t) => {
+  const { env, restore } = createTestEnv();
+  t.after(restore);
+  const [header, merrimac, cottage] = readFixture("har/har-expired-sample.csv").split("\n");
+  // The agent's name spans lines 2-3, line 4 is blank and line 5 has no city or zip
+  const csv = [
+    merrimac.replace('"Dana Whitfield"', '"Dana\nWhitfield"'),
+    "",
+    cottage.replace('"Houston","TX","77009"', '"","TX",""')
+  ];
+  
+  const countTables = () => env.DB.prepare("SELECT COUNT(*) AS count FROM sqlite_master").first("count");
+  const tablesBefore = await countTables();
+  
+  const pending = [];
+  const request = new Request("https://worker.example.com/api/uploads?dry_run=true&filename=sample.csv", {
+    method: "POST",
+    headers: { Authorization: "Bearer test-token", "Content-Type": "text/csv" },
+    body: [header, ...csv].join("\n")
+  });
+  const response = await worker.fetch(request, env, { waitUntil: promise => pending.push(promise) });
+  await Promise.all(pending);
+  
+  assert.equal(response.status, 200);
+  const [file] = (await response.json()).files;
+  assert.equal(file.acceptedRows, 1);
+  assert.deepEqual(file.rejections, [{ row: 5, reasons: ["missing city and zip"] }]);
+  
+  assert.equal(await countTables(), tablesBefore);
+  assert.equal((await env.R2_BUCKET.list({ prefix: "expired-listings/" })).objects.length, 0);
+});